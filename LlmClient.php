@@ -43,6 +43,21 @@ class LlmClient
     /** @var array Track tool call counts to prevent infinite loops */
     private $toolCallCounts = [];
 
+    /** @var array Trace of the tool calls of the last request, see getTrace() */
+    private $trace = [];
+
+    /** @var int Maximum length of the tool results kept in the trace */
+    const TRACE_RESULT_LENGTH = 500;
+
+    /**
+     * @var string The pattern of the template placeholders, without delimiters,
+     * also used by the editor, so it must be valid as a JavaScript regular expression
+     */
+    const PLACEHOLDER_PATTERN = '(?<!\{)\{([^{}\n]+)\}(?!\})';
+
+    /** @var array Token usage and latency of the last request, see getUsage() */
+    private $usage = [];
+
     /** @var string The API authentication key */
     private $api_key;
 
@@ -73,6 +88,9 @@ class LlmClient
     /** @var string|null Page ID */
     private $pageId;
 
+    /** @var int Maximum number of tokens of the response, 0 for the API default */
+    private $max_tokens;
+
     /**
      * Initialize the LLM client with configuration settings
      *
@@ -92,8 +110,9 @@ class LlmClient
      * - think: Whether to enable thinking in LLM responses (boolean)
      * - chromaClient: ChromaDB client instance (optional)
      * - pageId: Page ID (optional)
+     * - max_tokens: Maximum number of tokens of the response (0 for the API default)
      */
-    public function __construct($api_url = null, $api_key = null, $model = null, $timeout = null, $temperature = null, $top_p = null, $top_k = null, $min_p = null, $think = null, $tools = null, $profile = null, $chromaClient = null, $pageId = null)
+    public function __construct($api_url = null, $api_key = null, $model = null, $timeout = null, $temperature = null, $top_p = null, $top_k = null, $min_p = null, $think = null, $tools = null, $profile = null, $chromaClient = null, $pageId = null, $max_tokens = 6144)
     {
         $this->api_url = $api_url;
         $this->api_key = $api_key;
@@ -108,9 +127,220 @@ class LlmClient
         $this->profile = $profile;
         $this->chromaClient = $chromaClient;
         $this->pageId = $pageId;
+        $this->max_tokens = $max_tokens;
+    }
+
+    /**
+     * Process text with the specified action
+     *
+     * Loads the prompt for the action, fills its placeholders from the
+     * metadata and sends it to the LLM API.
+     *
+     * When a callback is provided, the response is streamed and the callback
+     * is invoked for every received fragment with two arguments: the fragment
+     * type ('content' or 'thinking') and the fragment text.
+     *
+     * @param string $action The action to perform (prompt name)
+     * @param string $text The text to process
+     * @param array $metadata Optional metadata containing template, examples and previous
+     * @param callable|null $onDelta Optional callback for streamed fragments
+     * @return string The processed text
+     */
+    public function process($action, $text, $metadata = [], $onDelta = null)
+    {
+        // Prepare the placeholder values
+        $metadata = $this->prepareVariables($action, $text, $metadata);
+
+        // Load the prompt
+        $prompt = $this->loadPrompt($action, $metadata);
+
+        // Call the API
+        return $this->callAPI($action, $prompt, $metadata, $this->tools, $onDelta);
+    }
+
+    /**
+     * Process text with the specified action, generating several variants
+     *
+     * Like process(), but the same prompt is sent several times, so the
+     * variants can be compared and one of them chosen. They differ only if
+     * the temperature is above 0.
+     *
+     * @param string $action The action to perform (prompt name)
+     * @param string $text The text to process
+     * @param array $metadata Optional metadata containing template, examples and previous
+     * @param int $count The number of variants
+     * @return array The processed texts, fewer than requested if some requests failed
+     * @throws Exception If all the API requests fail
+     */
+    public function processVariants($action, $text, $metadata = [], $count = 2)
+    {
+        // Prepare the placeholder values
+        $metadata = $this->prepareVariables($action, $text, $metadata);
+
+        // Load the prompts
+        $prompt = $this->loadPrompt($action, $metadata);
+        $systemPrompt = $this->loadSystemPrompt($action, $metadata);
+
+        // Call the API
+        return $this->callAPIVariants([
+            ['role' => 'system', 'content' => $systemPrompt],
+            ['role' => 'user', 'content' => $prompt]
+        ], $count, $this->tools);
+    }
+
+    /**
+     * Suggest a short continuation of the text
+     *
+     * Uses the 'complete' prompt, which receives the text before the cursor.
+     * The tools are not offered, since the suggestion has to come quickly,
+     * so the client should be created with the tools disabled: the prompt
+     * then receives the content of the template instead.
+     *
+     * @param string $text The text before the cursor
+     * @param array $metadata Optional metadata containing template, examples and previous
+     * @return string The suggested continuation
+     * @throws Exception If the prompt is missing or the API request fails
+     */
+    public function complete($text, $metadata = [])
+    {
+        // Prepare the placeholder values
+        $metadata = $this->prepareVariables('complete', $text, $metadata);
+
+        // Load the prompt
+        $prompt = $this->loadPrompt('complete', $metadata);
+
+        // Call the API
+        return $this->callAPI('complete', $prompt, $metadata, false);
+    }
+
+    /**
+     * Suggest the values of the placeholders of a template from notes
+     *
+     * Uses the 'fill_placeholders' prompt, which receives the page text with
+     * the placeholders in {text}, the notes in {notes} and the list of the
+     * placeholders to fill in {placeholders}. The LLM is asked to answer
+     * with a JSON object, see parsePlaceholderValues().
+     *
+     * @param string $text The page text, with the template placeholders
+     * @param string $notes The free-form notes to take the values from
+     * @param array $names The names of the placeholders to fill
+     * @param array $metadata Optional metadata containing template, examples and previous
+     * @return array The suggested values by placeholder name, without the placeholders left unanswered
+     * @throws Exception If there are no placeholders, the API request fails or the response is not valid
+     */
+    public function fillPlaceholders($text, $notes, $names, $metadata = [])
+    {
+        $names = array_values(array_unique(array_filter($names, 'is_string')));
+        if (empty($names)) {
+            throw new PluginException('No placeholders to fill', PluginException::INPUT, 400);
+        }
+
+        // Prepare the placeholder values
+        $metadata['notes'] = $notes;
+        $metadata['placeholders'] = implode("\n", array_map(function ($name) {
+            return '- ' . $name;
+        }, $names));
+        $metadata = $this->prepareVariables('fill_placeholders', $text, $metadata);
+
+        // Load the prompt
+        $prompt = $this->loadPrompt('fill_placeholders', $metadata);
+
+        // Call the API
+        $response = $this->callAPI('fill_placeholders', $prompt, $metadata, $this->tools);
+        return $this->parsePlaceholderValues($response, $names);
     }
 
-    public function process($action, $text, $metadata = [])
+    /**
+     * Read the placeholder values from the LLM response
+     *
+     * The response should be a JSON object with the placeholder names as
+     * keys. Models often wrap it in a code block or add a sentence around
+     * it, so the object is taken from the first '{' to the last '}'.
+     * Unknown names and values that are not text or numbers are ignored.
+     *
+     * @param string $response The LLM response
+     * @param array $names The names of the placeholders to fill
+     * @return array The values by placeholder name
+     * @throws PluginException If the response does not contain a JSON object
+     */
+    private function parsePlaceholderValues($response, $names)
+    {
+        $start = strpos($response, '{');
+        $end = strrpos($response, '}');
+        $values = $start !== false && $end > $start ? json_decode(substr($response, $start, $end - $start + 1), true) : null;
+        if (!is_array($values)) {
+            throw new PluginException('The LLM response does not contain the placeholder values', PluginException::LLM, 502);
+        }
+
+        $result = [];
+        foreach ($names as $name) {
+            if (isset($values[$name]) && is_scalar($values[$name]) && trim((string)$values[$name]) !== '') {
+                $result[$name] = trim((string)$values[$name]);
+            }
+        }
+        return $result;
+    }
+
+    /**
+     * Continue a conversation about the page
+     *
+     * The conversation is sent after a system message made of the system
+     * prompt and the 'chat' prompt, which holds the page text and the
+     * context from the page metadata. This way the page context does not
+     * need to be repeated in every turn.
+     *
+     * Each message is an array with a 'role' ('user' or 'assistant') and a
+     * 'content' string; the last message must be from the user.
+     *
+     * @param array $messages The conversation so far
+     * @param string $text The current page text
+     * @param array $metadata Optional metadata containing template, examples and previous
+     * @param callable|null $onDelta Optional callback for streamed fragments
+     * @return string The assistant reply
+     * @throws Exception If the messages are invalid or the API request fails
+     */
+    public function chat($messages, $text, $metadata = [], $onDelta = null)
+    {
+        // Validate the conversation, only user and assistant messages are accepted
+        if (!is_array($messages) || empty($messages)) {
+            throw new PluginException('No chat messages provided', PluginException::INPUT, 400);
+        }
+        $conversation = [];
+        foreach ($messages as $message) {
+            if (!is_array($message) || !isset($message['role'], $message['content'])
+                || !in_array($message['role'], ['user', 'assistant'], true) || !is_string($message['content'])) {
+                throw new PluginException('Invalid chat message', PluginException::INPUT, 400);
+            }
+            $conversation[] = ['role' => $message['role'], 'content' => $message['content']];
+        }
+        if (end($conversation)['role'] !== 'user') {
+            throw new PluginException('The last chat message must be from the user', PluginException::INPUT, 400);
+        }
+
+        // Prepare the placeholder values
+        $metadata = $this->prepareVariables('chat', $text, $metadata);
+
+        // Put the page context in the system message
+        $systemPrompt = $this->loadSystemPrompt('chat', $metadata) . "\n" . $this->loadPrompt('chat', $metadata);
+        array_unshift($conversation, ['role' => 'system', 'content' => $systemPrompt]);
+
+        // Call the API
+        return $this->callAPIMessages($conversation, $this->tools, $onDelta);
+    }
+
+    /**
+     * Prepare the placeholder values for a prompt
+     *
+     * Stores the text for tool usage, adds the text, think and action values
+     * and renames the page references from the metadata, so they do not
+     * collide with the placeholders filled with the referenced content.
+     *
+     * @param string $action The action to perform (prompt name)
+     * @param string $text The text to process
+     * @param array $metadata The request metadata
+     * @return array The placeholder values
+     */
+    private function prepareVariables($action, $text, $metadata)
     {
         // Store the current text for tool usage
         $this->currentText = $text;
@@ -138,11 +368,7 @@ class LlmClient
             unset($metadata['previous']);
         }
 
-        // Load the prompt
-        $prompt = $this->loadPrompt($action, $metadata);
-
-        // Call the API
-        return $this->callAPI($action, $prompt, $metadata, $this->tools);
+        return $metadata;
     }
 
     /**
@@ -249,30 +475,148 @@ class LlmClient
      * - Tool responses are cached to avoid duplicate calls with identical parameters
      * - Infinite loop protection prevents excessive tool calls
      *
+     * When a streaming callback is provided, the response is requested as a
+     * server-sent event stream and forwarded fragment by fragment. Tool calls
+     * can not be streamed, so with tools enabled the final content is passed
+     * to the callback in one piece.
+     *
      * @param string $command The command name for loading command-specific system prompts
      * @param string $prompt The prompt to send to the LLM as user message
      * @param array $metadata Optional metadata containing template, examples, and snippets
+     * @param bool $useTools Whether to offer the tools to the LLM
+     * @param callable|null $onDelta Optional callback for streamed fragments
      * @return string The response content from the LLM
      * @throws Exception If the API request fails or returns unexpected format
      */
 
-    private function callAPI($command, $prompt, $metadata = [], $useTools = false)
+    private function callAPI($command, $prompt, $metadata = [], $useTools = false, $onDelta = null)
     {
-        // Load system prompt which provides general instructions to the LLM
-        $systemPrompt = $this->loadSystemPrompt($command, []);
+        // Load system prompt which provides general instructions to the LLM,
+        // with the same placeholders as the prompt (e.g. {language})
+        $systemPrompt = $this->loadSystemPrompt($command, $metadata);
+
+        return $this->callAPIMessages([
+            ['role' => 'system', 'content' => $systemPrompt],
+            ['role' => 'user', 'content' => $prompt]
+        ], $useTools, $onDelta);
+    }
 
+    /**
+     * Send a list of messages to the LLM API
+     *
+     * Adds the model parameters and the tools to the request, then makes
+     * a streaming or a regular API call, as described for callAPI().
+     *
+     * @param array $messages The messages, each with a 'role' and a 'content'
+     * @param bool $useTools Whether to offer the tools to the LLM
+     * @param callable|null $onDelta Optional callback for streamed fragments
+     * @return string The response content from the LLM
+     * @throws Exception If the API request fails or returns unexpected format
+     */
+    private function callAPIMessages($messages, $useTools = false, $onDelta = null)
+    {
+        $this->resetStats();
+        $data = $this->createRequestData($messages, $useTools);
+        $start = microtime(true);
+
+        // Stream the response if requested and no tools are involved
+        if ($onDelta !== null && !$useTools) {
+            $data['stream'] = true;
+            $data['stream_options'] = ['include_usage' => true];
+            $content = $this->callAPIStream($data, $onDelta);
+            $this->usage['time'] = (int)round((microtime(true) - $start) * 1000);
+            return $content;
+        }
+
+        // Make an API call with tool responses
+        $content = $this->callAPIWithTools($data, false);
+        $this->usage['time'] = (int)round((microtime(true) - $start) * 1000);
+        if ($onDelta !== null) {
+            $onDelta('content', $content);
+        }
+        return $content;
+    }
+
+    /**
+     * Send a list of messages to the LLM API several times, for variants of the response
+     *
+     * Without tools, the requests are sent in parallel, see callAPIParallel().
+     * The tool calls need follow-up requests, so with tools the variants are
+     * requested one after another. The variants that failed are left out,
+     * unless all of them failed.
+     *
+     * @param array $messages The messages, each with a 'role' and a 'content'
+     * @param int $count The number of variants
+     * @param bool $useTools Whether to offer the tools to the LLM
+     * @return array The response contents
+     * @throws Exception If all the API requests fail
+     */
+    private function callAPIVariants($messages, $count, $useTools = false)
+    {
+        $this->resetStats();
+        $data = $this->createRequestData($messages, $useTools);
+        $start = microtime(true);
+
+        if ($useTools) {
+            $results = [];
+            for ($i = 0; $i < $count; $i++) {
+                try {
+                    $results[] = $this->callAPIWithTools($data, false);
+                } catch (Exception $e) {
+                    $results[] = $e;
+                }
+            }
+        } else {
+            $results = $this->callAPIParallel($data, $count);
+        }
+        $this->usage['time'] = (int)round((microtime(true) - $start) * 1000);
+
+        $variants = array_values(array_filter($results, 'is_string'));
+        if (empty($variants)) {
+            throw $results[0];
+        }
+        return $variants;
+    }
+
+    /**
+     * Reset the trace and the usage before a new request
+     *
+     * @return void
+     */
+    private function resetStats()
+    {
+        $this->trace = [];
+        $this->usage = [
+            'model' => $this->model,
+            'prompt_tokens' => 0,
+            'completion_tokens' => 0,
+            'time' => 0,
+            'truncated' => false
+        ];
+    }
+
+    /**
+     * Create the API request data for a list of messages
+     *
+     * Adds the model parameters that are set and, if requested, the tools.
+     *
+     * @param array $messages The messages, each with a 'role' and a 'content'
+     * @param bool $useTools Whether to offer the tools to the LLM
+     * @return array The API request data
+     */
+    private function createRequestData($messages, $useTools = false)
+    {
         // Prepare API request data with model parameters
         $data = [
             'model' => $this->model,
-            'messages' => [
-                ['role' => 'system', 'content' => $systemPrompt],
-                ['role' => 'user', 'content' => $prompt]
-            ],
-            'max_tokens' => 6144,
+            'messages' => $messages,
             'stream' => false,
             'keep_alive' => '30m',
             'think' => true
         ];
+        if ($this->max_tokens > 0) {
+            $data['max_tokens'] = $this->max_tokens;
+        }
 
         // Add tools to the request only if useTools is true
         if ($useTools) {
@@ -296,8 +640,313 @@ class LlmClient
             $data['min_p'] = $this->min_p;
         }
 
-        // Make an API call with tool responses
-        return $this->callAPIWithTools($data, false);
+        return $data;
+    }
+
+    /**
+     * Send the same API request several times in parallel
+     *
+     * Many OpenAI-compatible servers, Ollama among them, ignore the 'n'
+     * parameter, so the variants are requested separately, with cURL's
+     * multi interface. The results are in the order of the requests, each
+     * either the response content or the exception of the failed request.
+     *
+     * Servers like Ollama process one request at a time by default, so the
+     * later requests wait in their queue. Each request therefore gets the
+     * timeout once for itself and once for every request sent before it.
+     *
+     * @param array $data The API request data, without tools
+     * @param int $count The number of requests
+     * @return array The response contents and exceptions
+     */
+    private function callAPIParallel($data, $count)
+    {
+        // Set up HTTP headers, including authentication if API key is configured
+        $headers = [
+            'Content-Type: application/json'
+        ];
+
+        if (!empty($this->api_key)) {
+            $headers[] = 'Authorization: Bearer ' . $this->api_key;
+        }
+
+        // Initialize and configure a cURL handle for each request
+        $multi = curl_multi_init();
+        $handles = [];
+        for ($i = 0; $i < $count; $i++) {
+            $ch = curl_init();
+            curl_setopt($ch, CURLOPT_URL, $this->api_url);
+            curl_setopt($ch, CURLOPT_POST, true);
+            curl_setopt($ch, CURLOPT_POSTFIELDS, json_encode($data));
+            curl_setopt($ch, CURLOPT_HTTPHEADER, $headers);
+            curl_setopt($ch, CURLOPT_RETURNTRANSFER, true);
+            curl_setopt($ch, CURLOPT_TIMEOUT, $this->timeout * ($i + 1));
+            curl_setopt($ch, CURLOPT_SSL_VERIFYPEER, true);
+            curl_multi_add_handle($multi, $ch);
+            $handles[] = $ch;
+        }
+
+        // Execute the API requests until all of them are finished
+        do {
+            $status = curl_multi_exec($multi, $running);
+            // Wait for activity; select fails on some systems, then wait a little instead of spinning
+            if ($running && curl_multi_select($multi) === -1) {
+                usleep(100000);
+            }
+        } while ($running && $status === CURLM_OK);
+
+        // The transfer errors are only reported by the multi handle
+        $errors = [];
+        while (($info = curl_multi_info_read($multi)) !== false) {
+            $index = array_search($info['handle'], $handles, true);
+            if ($index !== false && $info['result'] !== CURLE_OK) {
+                $errors[$index] = $info['result'];
+            }
+        }
+
+        $results = [];
+        foreach ($handles as $index => $ch) {
+            $response = curl_multi_getcontent($ch);
+            $httpCode = curl_getinfo($ch, CURLINFO_HTTP_CODE);
+            curl_multi_remove_handle($multi, $ch);
+            curl_close($ch);
+
+            // Handle cURL errors
+            if (isset($errors[$index])) {
+                $results[] = $this->createRequestException($errors[$index], curl_strerror($errors[$index]));
+                continue;
+            }
+
+            // Handle HTTP errors
+            if ($httpCode !== 200) {
+                $results[] = $this->createHTTPException($httpCode, $response);
+                continue;
+            }
+
+            // Parse the JSON response and extract the content
+            $result = json_decode($response, true);
+            if (is_array($result)) {
+                $this->addUsage($result);
+            }
+            if (isset($result['choices'][0]['message']['content'])) {
+                $results[] = trim($result['choices'][0]['message']['content']);
+            } else {
+                $results[] = new PluginException('Unexpected API response format', PluginException::LLM, 502);
+            }
+        }
+        curl_multi_close($multi);
+
+        return $results;
+    }
+
+    /**
+     * Create the exception of an API request that could not be completed
+     *
+     * Timeouts are not retried, since the next attempt would likely take as
+     * long; other connection errors may be transient.
+     *
+     * @param int $errno The cURL error number
+     * @param string $error The cURL error message
+     * @return PluginException The exception
+     */
+    private function createRequestException($errno, $error)
+    {
+        if ($errno === CURLE_OPERATION_TIMEDOUT) {
+            return new PluginException('API request timed out: ' . $error, PluginException::LLM, 504);
+        }
+        return new PluginException('API request failed: ' . $error, PluginException::LLM, 502, true);
+    }
+
+    /**
+     * Create the exception of an API request answered with an HTTP error
+     *
+     * Rate limits and server errors of the API are transient. Refused
+     * credentials point to the plugin configuration.
+     *
+     * @param int $httpCode The HTTP status of the API response
+     * @param string|bool $response The response body
+     * @return PluginException The exception
+     */
+    private function createHTTPException($httpCode, $response)
+    {
+        $message = 'API request failed with HTTP code: ' . $httpCode . $this->getAPIError($response);
+        if ($httpCode === 429) {
+            return new PluginException($message, PluginException::LLM, 429, true);
+        }
+        if ($httpCode >= 500) {
+            return new PluginException($message, PluginException::LLM, 502, true);
+        }
+        if ($httpCode === 401 || $httpCode === 403) {
+            return new PluginException($message, PluginException::CONFIG, 502);
+        }
+        return new PluginException($message, PluginException::LLM, 502);
+    }
+
+    /**
+     * Get the error message of a failed API response
+     *
+     * OpenAI-compatible APIs explain the error, for example a context
+     * length exceeded, in the 'error' field of the response.
+     *
+     * @param string|bool $response The response body
+     * @return string The message prefixed by a colon, or an empty string
+     */
+    private function getAPIError($response)
+    {
+        $result = json_decode((string)$response, true);
+        if (isset($result['error']['message']) && is_string($result['error']['message'])) {
+            return ': ' . $result['error']['message'];
+        }
+        if (isset($result['error']) && is_string($result['error'])) {
+            return ': ' . $result['error'];
+        }
+        return '';
+    }
+
+    /**
+     * Add the token usage reported by the API to the usage of the request
+     *
+     * Reads the 'usage' block, the model name and the finish reason of an
+     * OpenAI-compatible response or stream event. The tokens of the several
+     * responses of a request with tool calls are added up.
+     *
+     * @param array $response The decoded response or stream event
+     * @return void
+     */
+    private function addUsage($response)
+    {
+        if (!empty($response['model'])) {
+            $this->usage['model'] = $response['model'];
+        }
+        if (isset($response['usage']) && is_array($response['usage'])) {
+            $this->usage['prompt_tokens'] += (int)($response['usage']['prompt_tokens'] ?? 0);
+            $this->usage['completion_tokens'] += (int)($response['usage']['completion_tokens'] ?? 0);
+        }
+        if (($response['choices'][0]['finish_reason'] ?? '') === 'length') {
+            $this->usage['truncated'] = true;
+        }
+    }
+
+    /**
+     * Get the token usage and the latency of the last request
+     *
+     * The usage has the 'model' that answered, the 'prompt_tokens' and the
+     * 'completion_tokens' reported by the API (0 if it does not report them),
+     * the 'time' in milliseconds and whether the response was 'truncated'
+     * at max_tokens.
+     *
+     * @return array The usage
+     */
+    public function getUsage()
+    {
+        return $this->usage;
+    }
+
+    /**
+     * Make a streaming API call
+     *
+     * Sends the request with streaming enabled and parses the server-sent
+     * events of an OpenAI-compatible API as they arrive. Each content delta
+     * is passed to the callback and accumulated into the final result.
+     * Reasoning deltas ('reasoning_content' or 'reasoning') are passed to the
+     * callback as 'thinking' fragments and are not part of the result.
+     *
+     * @param array $data The API request data
+     * @param callable $onDelta Callback receiving the fragment type and text
+     * @return string The complete response content
+     * @throws Exception If the API request fails
+     */
+    private function callAPIStream($data, $onDelta)
+    {
+        // Set up HTTP headers, including authentication if API key is configured
+        $headers = [
+            'Content-Type: application/json',
+            'Accept: text/event-stream'
+        ];
+
+        if (!empty($this->api_key)) {
+            $headers[] = 'Authorization: Bearer ' . $this->api_key;
+        }
+
+        $buffer = '';
+        $content = '';
+        $errorBody = '';
+
+        // Parse complete lines from the buffer and forward the deltas
+        $parseLines = function () use (&$buffer, &$content, $onDelta) {
+            while (($pos = strpos($buffer, "\n")) !== false) {
+                $line = trim(substr($buffer, 0, $pos));
+                $buffer = substr($buffer, $pos + 1);
+                if (strpos($line, 'data:') !== 0) {
+                    continue;
+                }
+                $payload = trim(substr($line, 5));
+                if ($payload === '' || $payload === '[DONE]') {
+                    continue;
+                }
+                $event = json_decode($payload, true);
+                if (!is_array($event)) {
+                    continue;
+                }
+                // The usage comes in the last event, without choices
+                $this->addUsage($event);
+                if (!isset($event['choices'][0]['delta'])) {
+                    continue;
+                }
+                $delta = $event['choices'][0]['delta'];
+                foreach (['reasoning_content', 'reasoning'] as $key) {
+                    if (isset($delta[$key]) && $delta[$key] !== '') {
+                        $onDelta('thinking', $delta[$key]);
+                    }
+                }
+                if (isset($delta['content']) && $delta['content'] !== '') {
+                    $content .= $delta['content'];
+                    $onDelta('content', $delta['content']);
+                }
+            }
+        };
+
+        // Initialize and configure cURL for the API request
+        $ch = curl_init();
+        curl_setopt($ch, CURLOPT_URL, $this->api_url);
+        curl_setopt($ch, CURLOPT_POST, true);
+        curl_setopt($ch, CURLOPT_POSTFIELDS, json_encode($data));
+        curl_setopt($ch, CURLOPT_HTTPHEADER, $headers);
+        curl_setopt($ch, CURLOPT_TIMEOUT, $this->timeout);
+        curl_setopt($ch, CURLOPT_SSL_VERIFYPEER, true);
+        curl_setopt($ch, CURLOPT_WRITEFUNCTION, function ($ch, $chunk) use (&$buffer, &$errorBody, $parseLines) {
+            // Error responses are not event streams, they are reported below
+            if (curl_getinfo($ch, CURLINFO_HTTP_CODE) !== 200) {
+                $errorBody .= $chunk;
+                return strlen($chunk);
+            }
+            $buffer .= $chunk;
+            $parseLines();
+            return strlen($chunk);
+        });
+
+        // Execute the API request
+        curl_exec($ch);
+        $httpCode = curl_getinfo($ch, CURLINFO_HTTP_CODE);
+        $error = curl_error($ch);
+        $errno = curl_errno($ch);
+        curl_close($ch);
+
+        // Handle cURL errors
+        if ($error) {
+            throw $this->createRequestException($errno, $error);
+        }
+
+        // Handle HTTP errors
+        if ($httpCode !== 200) {
+            throw $this->createHTTPException($httpCode, $errorBody);
+        }
+
+        // Parse whatever is left in the buffer
+        $buffer .= "\n";
+        $parseLines();
+
+        return trim($content);
     }
 
     /**
@@ -355,20 +1004,24 @@ class LlmClient
         $response = curl_exec($ch);
         $httpCode = curl_getinfo($ch, CURLINFO_HTTP_CODE);
         $error = curl_error($ch);
+        $errno = curl_errno($ch);
         curl_close($ch);
 
         // Handle cURL errors
         if ($error) {
-            throw new Exception('API request failed: ' . $error);
+            throw $this->createRequestException($errno, $error);
         }
 
         // Handle HTTP errors
         if ($httpCode !== 200) {
-            throw new Exception('API request failed with HTTP code: ' . $httpCode);
+            throw $this->createHTTPException($httpCode, $response);
         }
 
         // Parse and validate the JSON response
         $result = json_decode($response, true);
+        if (is_array($result)) {
+            $this->addUsage($result);
+        }
 
         // Extract the content from the response if available
         if (isset($result['choices'][0]['message']['content'])) {
@@ -404,13 +1057,26 @@ class LlmClient
 
                 $toolResponse = $this->handleToolCall($toolCall);
                 $messages[] = $toolResponse;
+
+                // Record the call in the trace, with a shortened result
+                $this->trace[] = [
+                    'type' => 'tool',
+                    'tool' => $toolName,
+                    'arguments' => json_decode($toolCall['function']['arguments'], true) ?: [],
+                    'result' => \dokuwiki\Utf8\PhpString::substr($toolResponse['content'], 0, self::TRACE_RESULT_LENGTH),
+                    'length' => \dokuwiki\Utf8\PhpString::strlen($toolResponse['content']),
+                    'cached' => $toolResponse['cached']
+                ];
             }
 
             // Check if any tool has been called more than 3 times
             $toolsCalledCount = 0;
-            foreach ($this->toolCallCounts as $count) {
+            foreach ($this->toolCallCounts as $name => $count) {
                 if ($count > 3) {
                     // If any tool called more than 3 times, disable tools to break loop
+                    if (!$toolsCalled) {
+                        $this->trace[] = ['type' => 'cutoff', 'tool' => $name, 'count' => $count, 'limit' => 3];
+                    }
                     $toolsCalled = true;
                     break;
                 }
@@ -419,6 +1085,9 @@ class LlmClient
 
             // If total tool calls exceed 10, also disable tools
             if ($toolsCalledCount > 10) {
+                if (!$toolsCalled) {
+                    $this->trace[] = ['type' => 'cutoff', 'tool' => '', 'count' => $toolsCalledCount, 'limit' => 10];
+                }
                 $toolsCalled = true;
             }
 
@@ -428,7 +1097,24 @@ class LlmClient
         }
 
         // Throw exception for unexpected response format
-        throw new Exception('Unexpected API response format');
+        throw new PluginException('Unexpected API response format', PluginException::LLM, 502);
+    }
+
+    /**
+     * Get the trace of the tool calls made for the last request
+     *
+     * Each entry is an array with a 'type':
+     * - tool: a tool call, with 'tool', 'arguments', 'result' (shortened to
+     *   TRACE_RESULT_LENGTH characters), 'length' (of the full result) and
+     *   'cached' (whether the result came from the tool call cache)
+     * - cutoff: the tools were disabled by the loop protection, after 'count'
+     *   calls of 'tool' (or of all the tools, if empty) exceeded 'limit'
+     *
+     * @return array The trace entries, in order
+     */
+    public function getTrace()
+    {
+        return $this->trace;
     }
 
     /**
@@ -513,6 +1199,8 @@ class LlmClient
      *
      * After loading the prompt, it scans for placeholders and automatically
      * adds missing ones with appropriate values before replacing all placeholders.
+     * The prompt text itself can therefore not contain literal curly braces
+     * around a word, they would be taken for a placeholder.
      *
      * @param string $promptName The name of the prompt (e.g., 'create', 'rewrite')
      * @param array $variables Associative array of placeholder => value pairs
@@ -534,13 +1222,13 @@ class LlmClient
 
         // If the profile-specific prompt doesn't exist, try default as fallback
         if ($prompt === false && $this->profile !== 'default') {
-            $promptPageId = 'dokullm:profile:default:' . $promptName;
+            $promptPageId = 'dokullm:profiles:default:' . $promptName;
             $prompt = $this->getPageContent($promptPageId);
         }
 
         // If still no prompt found, throw an exception
         if ($prompt === false) {
-            throw new Exception('Prompt page not found: ' . $promptPageId);
+            throw new PluginException('Prompt page not found: ' . $promptPageId, PluginException::CONFIG);
         }
 
         // Find placeholders in the prompt
@@ -593,10 +1281,15 @@ class LlmClient
         }
 
         // Replace placeholders with actual values
-        // Placeholders are in the format {placeholder_name}
+        // Placeholders are in the format {placeholder_name}; they are replaced in a single
+        // pass, so the inserted texts (like a page with its own placeholders) are kept as they are
+        $replacements = [];
         foreach ($variables as $placeholder => $value) {
-            $prompt = str_replace('{' . $placeholder . '}', $value, $prompt);
+            if (is_scalar($value) || $value === null) {
+                $replacements['{' . $placeholder . '}'] = (string)$value;
+            }
         }
+        $prompt = strtr($prompt, $replacements);
 
         // Return the processed prompt
         return $prompt;
@@ -716,7 +1409,8 @@ class LlmClient
      * Scan text for placeholders
      *
      * Finds all placeholders in the format {placeholder_name} in the provided text
-     * and returns an array of unique placeholder names.
+     * and returns an array of unique placeholder names. DokuWiki's {{media}}
+     * syntax is not a placeholder.
      *
      * @param string $text The text to scan for placeholders
      * @return array List of unique placeholder names found in the text
@@ -724,11 +1418,11 @@ class LlmClient
     public function findPlaceholders($text)
     {
         $placeholders = [];
-        $pattern = '/\{([^}]+)\}/';
+        $pattern = '/' . self::PLACEHOLDER_PATTERN . '/';
 
         if (preg_match_all($pattern, $text, $matches)) {
             // Get unique placeholder names
-            $placeholders = array_unique($matches[1]);
+            $placeholders = array_values(array_unique($matches[1]));
         }
 
         return $placeholders;
@@ -984,6 +1678,84 @@ class LlmClient
      * @return array List of template document IDs (maximum 1)
      */
     public function queryChromaDBTemplate($text)
+    {
+        $templateIds = $this->queryChromaDB($text, 1, $this->getTemplateWhere());
+
+        // Remove chunk number (e.g., "@2") from the ID to get the base document ID
+        if (!empty($templateIds)) {
+            $templateIds[0] = preg_replace('/@\\d+$/', '', $templateIds[0]);
+        }
+
+        return $templateIds;
+    }
+
+    /**
+     * Query ChromaDB for the template documents most similar to a text
+     *
+     * Works like queryChromaDBTemplate(), but returns several candidates
+     * with their similarity score, computed from the ChromaDB distance as
+     * 1 / (1 + distance). The chunks of a template are merged, keeping the
+     * best score.
+     *
+     * @param string $text The text to find templates for
+     * @param int $limit Maximum number of templates to return
+     * @param string $namespace Optional namespace containing the templates
+     * @return array List of templates, each with 'id' and 'score', the most similar first
+     * @throws PluginException If the ChromaDB query fails
+     */
+    public function queryChromaDBTemplates($text, $limit = 5, $namespace = '')
+    {
+        // Filter by namespace inside the query, so the best chunks are not all from other namespaces
+        $pageIds = null;
+        if ($namespace !== '') {
+            $pageIds = $this->getNamespacePages($namespace);
+            if (empty($pageIds)) {
+                return [];
+            }
+        }
+        $where = $this->getTemplateWhere($pageIds);
+
+        try {
+            // Get ChromaDB client and collection name
+            list($chromaClient, $chromaCollection) = $this->getChromaDBClient();
+            // Query more chunks than templates, several chunks may belong to the same template
+            $results = $chromaClient->queryCollection($chromaCollection, [$text], min($limit * 5, 100), $where);
+        } catch (Exception $e) {
+            throw new PluginException('ChromaDB query failed: ' . $e->getMessage(), PluginException::CHROMADB, 503, true, $e);
+        }
+
+        $templates = [];
+        $ids = $results['ids'][0] ?? [];
+        $distances = $results['distances'][0] ?? [];
+        foreach ($ids as $index => $chunkId) {
+            // Remove chunk number (e.g., "@2") from the ID to get the base document ID
+            $id = preg_replace('/@\\d+$/', '', $chunkId);
+            // The results are sorted by distance, so the first chunk of a template is its best
+            if (isset($templates[$id])) {
+                continue;
+            }
+            $templates[$id] = [
+                'id' => $id,
+                'score' => isset($distances[$index]) ? round(1 / (1 + (float)$distances[$index]), 3) : null
+            ];
+            if (count($templates) >= $limit) {
+                break;
+            }
+        }
+
+        return array_values($templates);
+    }
+
+    /**
+     * Build the ChromaDB filter of the template queries
+     *
+     * Templates are the documents of type 'template' with the modality of
+     * the current page, taken from the second part of its ID, if any.
+     *
+     * @param array|null $pageIds Optional IDs of the documents to search in
+     * @return array The where clause
+     */
+    private function getTemplateWhere($pageIds = null)
     {
         // Extract modality from current page ID
         $modality = '';
@@ -994,20 +1766,72 @@ class LlmClient
             }
         }
 
-        // Build where clause with both type and modality
-        $where = ['type' => 'template'];
+        // Build where clause with the type, the modality and the documents
+        $conditions = [['type' => 'template']];
         if (!empty($modality)) {
-            $where['modality'] = $modality;
+            $conditions[] = ['modality' => $modality];
         }
+        if ($pageIds !== null) {
+            $conditions[] = ['document_id' => ['$in' => array_values($pageIds)]];
+        }
+        // ChromaDB needs an explicit $and for several conditions
+        return count($conditions) === 1 ? $conditions[0] : ['$and' => $conditions];
+    }
 
-        $templateIds = $this->queryChromaDB($text, 1, $where);
+    /**
+     * Get the IDs of all the pages of a namespace, including its sub-namespaces
+     *
+     * The permissions are not checked, the results of the queries are
+     * checked by the caller.
+     *
+     * @param string $namespace The namespace
+     * @return array The page IDs
+     */
+    private function getNamespacePages($namespace)
+    {
+        global $conf;
+        require_once(DOKU_INC . 'inc/search.php');
 
-        // Remove chunk number (e.g., "@2") from the ID to get the base document ID
-        if (!empty($templateIds)) {
-            $templateIds[0] = preg_replace('/@\\d+$/', '', $templateIds[0]);
+        $pages = [];
+        search($pages, $conf['datadir'], 'search_allpages', ['skipacl' => true], utf8_encodeFN(str_replace(':', '/', $namespace)));
+        return array_column($pages, 'id');
+    }
+
+    /**
+     * Query ChromaDB for the document chunks most similar to a text
+     *
+     * Unlike the template and snippet queries, the results are not limited
+     * to a document type, and each chunk is returned with its document ID
+     * and a similarity score computed as 1 / (1 + distance).
+     *
+     * @param string $text The text to find similar chunks for
+     * @param int $limit Maximum number of chunks to return
+     * @return array List of chunks, each with 'id' (the document ID), 'chunk', 'snippet' and 'score', the most similar first
+     * @throws PluginException If the ChromaDB query fails
+     */
+    public function queryChromaDBRelated($text, $limit = 10)
+    {
+        try {
+            // Get ChromaDB client and collection name
+            list($chromaClient, $chromaCollection) = $this->getChromaDBClient();
+            $results = $chromaClient->queryCollection($chromaCollection, [$text], $limit);
+        } catch (Exception $e) {
+            throw new PluginException('ChromaDB query failed: ' . $e->getMessage(), PluginException::CHROMADB, 503, true, $e);
         }
 
-        return $templateIds;
+        $chunks = [];
+        $ids = $results['ids'][0] ?? [];
+        foreach ($ids as $index => $chunkId) {
+            $distance = $results['distances'][0][$index] ?? null;
+            $chunks[] = [
+                // Remove chunk number (e.g., "@2") from the ID to get the base document ID
+                'id' => preg_replace('/@\\d+$/', '', $chunkId),
+                'chunk' => $chunkId,
+                'snippet' => $results['documents'][0][$index] ?? '',
+                'score' => $distance === null ? null : round(1 / (1 + (float)$distance), 3)
+            ];
+        }
+        return $chunks;
     }
 
 }
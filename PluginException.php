@@ -0,0 +1,84 @@
+<?php
+
+namespace dokuwiki\plugin\dokullm;
+
+use Exception;
+
+/**
+ * Class PluginException
+ *
+ * An error of a DokuLLM request, with the kind of problem that caused it,
+ * so the editor can tell the user what to check, and whether sending the
+ * request again may succeed.
+ *
+ * @package dokuwiki\plugin\dokullm
+ */
+class PluginException extends Exception
+{
+    /** @var string The plugin configuration or the profile pages are wrong */
+    const CONFIG = 'config';
+
+    /** @var string The LLM API failed or refused the request */
+    const LLM = 'llm';
+
+    /** @var string ChromaDB or the embeddings service failed */
+    const CHROMADB = 'chromadb';
+
+    /** @var string The user is not allowed to do this */
+    const PERMISSION = 'permission';
+
+    /** @var string The request itself is invalid */
+    const INPUT = 'input';
+
+    /** @var string The kind of error, one of the constants above */
+    private $type;
+
+    /** @var bool Whether the error is transient, so the request may be retried */
+    private $transient;
+
+    /**
+     * Create the exception
+     *
+     * @param string $message The message shown to the user
+     * @param string $type The kind of error, one of the class constants
+     * @param int $status The HTTP status of the AJAX response
+     * @param bool $transient Whether the request may be retried
+     * @param Exception|null $previous The exception that caused this one
+     */
+    public function __construct($message, $type, $status = 500, $transient = false, $previous = null)
+    {
+        parent::__construct($message, $status, $previous);
+        $this->type = $type;
+        $this->transient = $transient;
+    }
+
+    /**
+     * Get the kind of error
+     *
+     * @return string One of the class constants
+     */
+    public function getType()
+    {
+        return $this->type;
+    }
+
+    /**
+     * Get the HTTP status of the AJAX response
+     *
+     * @return int The status code
+     */
+    public function getStatus()
+    {
+        return $this->getCode();
+    }
+
+    /**
+     * Check whether the request may succeed if it is sent again
+     *
+     * @return bool True for transient errors, like rate limits and unavailable services
+     */
+    public function isTransient()
+    {
+        return $this->transient;
+    }
+}
@@ -6,6 +6,8 @@
  * @author  Costin Stroie <costinstroie@eridu.eu.org>
  */
 
+use dokuwiki\plugin\dokullm\PluginException;
+
 // must be run within Dokuwiki
 if (!defined('DOKU_INC')) {
     die();
@@ -29,17 +31,116 @@ if (!defined('DOKU_INC')) {
  * - api_key: Authentication key for the API (optional)
  * - model: The model identifier to use for requests
  * - timeout: Request timeout in seconds
+ * - client_timeout: Browser-side request deadline in seconds (0 disables it)
+ * - max_tokens: Maximum length of the responses in tokens (0 leaves it to the API)
+ * - context_limit: Context size of the model in tokens, for the editor warning (0 disables it)
+ * - chunk_size: Length in characters above which texts are processed in chunks (0 disables it)
+ * - variants: Number of variants requested by a Shift+click on an action
  * - profile: Profile for prompt templates
+ * - profile_map: Default profiles of namespaces (namespace=profile, comma separated)
  * - temperature: Temperature setting for response randomness (0.0-1.0)
  * - top_p: Top-p (nucleus sampling) setting (0.0-1.0)
  * - top_k: Top-k setting (integer >= 1)
  * - min_p: Minimum probability threshold (0.0-1.0)
  * - think: Whether to enable thinking in LLM responses (boolean)
+ * - stream: Whether to stream LLM responses to the browser (boolean)
+ * - history_size: Number of DokuLLM edits kept for undo/redo
+ * - review_changes: Whether changes are reviewed before applying them by default (boolean)
+ * - section_mode: Whether only the current section is processed by default (boolean)
+ * - autocomplete: Whether continuations are suggested while typing by default (boolean)
+ * - autocomplete_delay: Pause in typing in milliseconds before a continuation is requested
+ * - toolbar_mode: Where the action buttons are shown (separate, native_group, native_buttons)
+ * - prompt_storage: Where the custom prompt history is stored (browser, server)
+ * - language: Value of the {language} placeholder
+ * - page_overrides: Settings pages can override with directives (model, temperature, language, profile)
+ * - allowed_models: Models pages can choose
+ * - temperature_min, temperature_max: Range of the temperatures pages can choose
+ * - template_candidates: Number of matching templates offered by Find Template
  * - show_copy_button: Whether to show the copy page button (boolean)
  * - replace_id: Whether to replace template ID when copying (boolean)
  */
 class action_plugin_dokullm extends DokuWiki_Action_Plugin
 {
+    /**
+     * Valid values of the Result column in the profile action table
+     *
+     * - show: Display the result in a modal dialog
+     * - replace: Replace the selected content (or the whole page) with the result
+     * - append: Add the result to the end of the page
+     * - prepend: Add the result to the beginning of the page, after the metadata
+     * - insert: Insert the result at the cursor position
+     * - after: Insert the result directly after the selection
+     * - section_end: Add the result to the end of the current heading section
+     * - new_section: Add the result as a new section, with the action label as heading
+     * - replace_section: Replace the content of the current heading section
+     */
+    const RESULT_MODES = [
+        'show',
+        'replace',
+        'append',
+        'prepend',
+        'insert',
+        'after',
+        'section_end',
+        'new_section',
+        'replace_section'
+    ];
+
+    /**
+     * Placeholders filled by the plugin, which can not be used as action parameters
+     */
+    const RESERVED_PLACEHOLDERS = [
+        'text',
+        'template',
+        'examples',
+        'snippets',
+        'previous',
+        'prompt',
+        'action',
+        'think',
+        'current_date',
+        'previous_date',
+        'page_template',
+        'page_examples',
+        'page_previous',
+        'notes',
+        'placeholders'
+    ];
+
+    /**
+     * Maximum number of prompts kept in each list of the custom prompt history
+     */
+    const PROMPT_HISTORY_SIZE = 50;
+
+    /**
+     * Number of ChromaDB chunks queried for the Related panel
+     */
+    const RELATED_RESULTS = 10;
+
+    /**
+     * Maximum number of variants generated for one request
+     */
+    const MAX_VARIANTS = 5;
+
+    /**
+     * Maximum length of the continuations suggested while typing, in tokens
+     */
+    const COMPLETION_MAX_TOKENS = 48;
+
+    /**
+     * The profile of the current request, resolved by getProfile()
+     *
+     * @var string|null
+     */
+    private $profile = null;
+
+    /**
+     * The page directives of the current request, read by getDirectives()
+     *
+     * @var array|null
+     */
+    private $directives = null;
+
     /**
      * Register the event handlers for this plugin
      *
@@ -116,13 +217,33 @@ class action_plugin_dokullm extends DokuWiki_Action_Plugin
     public function handleDokuwikiStarted(Doku_Event $event, $param)
     {
         global $JSINFO;
+        global $INPUT;
+        global $ID;
 
         if (!isset($JSINFO['plugins'])) {
             $JSINFO['plugins'] = [];
         }
 
         $JSINFO['plugins']['dokullm'] = [
-            'enable_chromadb' => $this->getConf('enable_chromadb')
+            'enable_chromadb' => $this->getConf('enable_chromadb'),
+            'stream' => $this->getConf('stream'),
+            'client_timeout' => $this->getConf('client_timeout'),
+            'max_tokens' => (int)$this->getConf('max_tokens'),
+            'context_limit' => (int)$this->getConf('context_limit'),
+            'chunk_size' => (int)$this->getConf('chunk_size'),
+            'variants' => (int)$this->getConf('variants'),
+            'history_size' => $this->getConf('history_size'),
+            'review_changes' => $this->getConf('review_changes'),
+            'section_mode' => $this->getConf('section_mode'),
+            'autocomplete' => $this->getConf('autocomplete'),
+            'autocomplete_delay' => (int)$this->getConf('autocomplete_delay'),
+            'placeholder_pattern' => \dokuwiki\plugin\dokullm\LlmClient::PLACEHOLDER_PATTERN,
+            'toolbar_mode' => $this->getConf('toolbar_mode'),
+            'default_icon' => DOKU_BASE . 'lib/plugins/dokullm/images/icons/dokullm.svg',
+            'profile' => $this->getDefaultProfile($ID),
+            'prompt_storage' => $this->getConf('prompt_storage'),
+            'page_overrides' => $this->getPageOverrides(),
+            'user' => $INPUT->server->str('REMOTE_USER')
         ];
 
         // Add language strings
@@ -185,14 +306,47 @@ class action_plugin_dokullm extends DokuWiki_Action_Plugin
             'examples' => $examplesList,
             'previous' => $previous
         ];
+        // Handle the special case of get_profiles action
+        if ($action === 'get_profiles') {
+            echo json_encode(['result' => [
+                'profiles' => $this->getProfiles(),
+                'default' => $this->getDefaultProfile($INPUT->str('id'))
+            ]]);
+            return;
+        }
+        // Handle the special cases of the metadata panel actions
+        if ($action === 'search_pages') {
+            echo json_encode(['result' => $this->searchPages($INPUT->str('query'))]);
+            return;
+        }
+        if ($action === 'check_pages') {
+            $pageIds = json_decode($INPUT->str('pages'), true);
+            echo json_encode(['result' => $this->checkPages(is_array($pageIds) ? $pageIds : [])]);
+            return;
+        }
+        // Resolve the profile of the request, the actions and the prompts are read from it
+        try {
+            $this->getProfile();
+        } catch (Exception $e) {
+            $this->sendError($e, PluginException::PERMISSION, 403);
+            return;
+        }
+        // Read the page directives, they fill the placeholders of the same name
+        try {
+            $metadata = array_merge($metadata, $this->getDirectives(), [
+                'language' => $this->getPageConf('language')
+            ]);
+        } catch (Exception $e) {
+            $this->sendError($e, PluginException::CONFIG, 400);
+            return;
+        }
         // Handle the special case of get_actions action
         if ($action === 'get_actions') {
             try {
                 $actions = $this->getActions();
                 echo json_encode(['result' => $actions]);
             } catch (Exception $e) {
-                http_status(500);
-                echo json_encode(['error' => $e->getMessage()]);
+                $this->sendError($e, PluginException::CONFIG, 500);
             }
             return;
         }
@@ -202,12 +356,37 @@ class action_plugin_dokullm extends DokuWiki_Action_Plugin
                 $templateId = $template;
                 $templateContent = $this->getPageContent($templateId);
                 if ($templateContent === false) {
-                    throw new Exception($this->getLang('template_not_found') . $templateId);
+                    throw new PluginException($this->getLang('template_not_found') . $templateId, PluginException::INPUT, 404);
                 }
                 echo json_encode(['result' => ['content' => $templateContent]]);
             } catch (Exception $e) {
-                http_status(500);
-                echo json_encode(['error' => $e->getMessage()]);
+                $this->sendError($e, PluginException::INPUT, 500);
+            }
+            return;
+        }
+        // Handle the special cases of the custom prompt history actions
+        if ($action === 'get_prompts' || $action === 'save_prompts') {
+            try {
+                if ($action === 'save_prompts') {
+                    // Changing the stored history requires the form security token
+                    if (!checkSecurityToken()) {
+                        throw new Exception($this->getLang('prompt_storage_unavailable'));
+                    }
+                    $this->savePromptHistory(json_decode($INPUT->str('prompts'), true));
+                }
+                echo json_encode(['result' => $this->loadPromptHistory()]);
+            } catch (Exception $e) {
+                $this->sendError($e, PluginException::PERMISSION, 403);
+            }
+            return;
+        }
+        // Handle the special case of render action
+        if ($action === 'render') {
+            try {
+                $html = $this->renderText($text, $INPUT->str('id'));
+                echo json_encode(['result' => ['html' => $html]]);
+            } catch (Exception $e) {
+                $this->sendError($e, PluginException::PERMISSION, 403);
             }
             return;
         }
@@ -215,77 +394,454 @@ class action_plugin_dokullm extends DokuWiki_Action_Plugin
         if ($action === 'find_template') {
             try {
                 $searchText = $INPUT->str('text');
-                $template = $this->findTemplate($searchText);
-                if (!empty($template)) {
-                    echo json_encode(['result' => ['template' => $template[0]]]);
-                } else {
-                    echo json_encode(['result' => ['template' => null]]);
-                }
+                $templates = $this->findTemplate($searchText, cleanID($INPUT->str('namespace')));
+                echo json_encode(['result' => [
+                    'template' => empty($templates) ? null : $templates[0]['id'],
+                    'templates' => $templates
+                ]]);
+            } catch (Exception $e) {
+                $this->sendError($e, PluginException::CHROMADB, 500);
+            }
+            return;
+        }
+        // Handle the special case of find_related action
+        if ($action === 'find_related') {
+            try {
+                echo json_encode(['result' => $this->findRelated($text, $INPUT->str('id'))]);
+            } catch (Exception $e) {
+                $this->sendError($e, PluginException::CHROMADB, 500);
+            }
+            return;
+        }
+        // Handle the special case of chat action, the page text may be empty
+        if ($action === 'chat') {
+            $messages = json_decode($INPUT->str('messages'), true);
+            $client = $this->createLlmClient();
+            // Stream the reply if requested and allowed
+            if ($INPUT->bool('stream') && $this->getConf('stream')) {
+                $this->streamResponse($client, function ($onDelta) use ($client, $messages, $text, $metadata) {
+                    return $client->chat($messages, $text, $metadata, $onDelta);
+                });
+                return;
+            }
+            try {
+                $result = $client->chat($messages, $text, $metadata);
+                echo json_encode(['result' => $result, 'trace' => $client->getTrace(), 'usage' => $client->getUsage()]);
             } catch (Exception $e) {
-                http_status(500);
-                echo json_encode(['error' => $e->getMessage()]);
+                $this->sendError($e, PluginException::LLM, 500);
             }
             return;
         }
         // Validate input
         if (empty($text)) {
-            http_status(400);
-            echo json_encode(['error' => $this->getLang('no_text_provided')]);
+            $this->sendError(new PluginException($this->getLang('no_text_provided'), PluginException::INPUT, 400), PluginException::INPUT);
             return;
         }
-        // Create ChromaDB client only if enabled
-        $chromaClient = null;
-        if ($this->getConf('enable_chromadb')) {
-            $chromaClient = new \dokuwiki\plugin\dokullm\ChromaDBClient(
-                $this->getConf('chroma_host'),
-                $this->getConf('chroma_port'),
-                $this->getConf('chroma_tenant'),
-                $this->getConf('chroma_database'),
-                $this->getConf('chroma_collection'),
-                $this->getConf('ollama_host'),
-                $this->getConf('ollama_port'),
-                $this->getConf('ollama_embeddings_model')
-            );
+        // Handle the special case of complete action, a short continuation suggested while typing
+        if ($action === 'complete') {
+            try {
+                // Without tools, so the prompt gets the template and the previous page
+                $client = $this->createLlmClient(self::COMPLETION_MAX_TOKENS, false);
+                echo json_encode(['result' => $client->complete($text, $metadata), 'usage' => $client->getUsage()]);
+            } catch (Exception $e) {
+                $this->sendError($e, PluginException::LLM, 500);
+            }
+            return;
+        }
+        // Handle the special case of fill_placeholders action, the values are returned by placeholder name
+        if ($action === 'fill_placeholders') {
+            try {
+                $names = json_decode($INPUT->str('placeholders'), true);
+                $client = $this->createLlmClient();
+                $values = $client->fillPlaceholders($text, $INPUT->str('notes'), is_array($names) ? $names : [], $metadata);
+                // An empty array would be encoded as a JSON list
+                echo json_encode(['result' => (object)$values, 'trace' => $client->getTrace(), 'usage' => $client->getUsage()]);
+            } catch (Exception $e) {
+                $this->sendError($e, PluginException::LLM, 500);
+            }
+            return;
+        }
+        // Fill the placeholders of the action parameters
+        try {
+            $params = json_decode($INPUT->str('params', '{}'), true);
+            $metadata = array_merge($metadata, $this->getParameterValues($action, is_array($params) ? $params : []));
+        } catch (Exception $e) {
+            $this->sendError($e, PluginException::INPUT, 400);
+            return;
+        }
+        $client = $this->createLlmClient();
+        // Generate several variants to choose from, they are not streamed
+        $variants = min($INPUT->int('variants'), self::MAX_VARIANTS);
+        if ($variants > 1) {
+            try {
+                $results = $client->processVariants($action, $text, $metadata, $variants);
+                echo json_encode([
+                    'result' => $results[0],
+                    'variants' => $results,
+                    'trace' => $client->getTrace(),
+                    'usage' => $client->getUsage()
+                ]);
+            } catch (Exception $e) {
+                $this->sendError($e, PluginException::LLM, 500);
+            }
+            return;
+        }
+        // Stream the result if requested and allowed
+        if ($INPUT->bool('stream') && $this->getConf('stream')) {
+            $this->streamResponse($client, function ($onDelta) use ($client, $action, $text, $metadata) {
+                return $client->process($action, $text, $metadata, $onDelta);
+            });
+            return;
+        }
+        try {
+            $result = $client->process($action, $text, $metadata);
+            echo json_encode(['result' => $result, 'trace' => $client->getTrace(), 'usage' => $client->getUsage()]);
+        } catch (Exception $e) {
+            $this->sendError($e, PluginException::LLM, 500);
+        }
+    }
+
+
+    /**
+     * Process the request and stream the result as server-sent events
+     *
+     * Sends the LLM output to the browser while it is generated. The stream
+     * consists of the following events, each with a JSON encoded payload:
+     * - content: a fragment of the result text ({content: string})
+     * - thinking: a fragment of the model reasoning ({content: string})
+     * - done: the complete result, the trace of the tool calls and the token usage
+     *   ({result: string, trace: array, usage: object})
+     * - error: an error occurred ({error: string, type: string, transient: bool}, see getErrorData())
+     *
+     * @param \dokuwiki\plugin\dokullm\LlmClient $client The client running the request, for the trace and the usage
+     * @param callable $process Runs the request, receiving the fragment callback and returning the result
+     * @return void
+     */
+    private function streamResponse($client, $process)
+    {
+        header('Content-Type: text/event-stream; charset=utf-8');
+        header('Cache-Control: no-cache');
+        // Disable proxy buffering (nginx)
+        header('X-Accel-Buffering: no');
+        // Flush and disable any output buffering so events reach the browser immediately
+        while (ob_get_level() > 0) {
+            ob_end_flush();
+        }
+        $send = function ($event, $data) {
+            echo 'event: ' . $event . "\n";
+            echo 'data: ' . json_encode($data) . "\n\n";
+            flush();
+        };
+        try {
+            $result = $process(function ($type, $fragment) use ($send) {
+                $send($type, ['content' => $fragment]);
+            });
+            $send('done', ['result' => $result, 'trace' => $client->getTrace(), 'usage' => $client->getUsage()]);
+        } catch (Exception $e) {
+            $send('error', $this->getErrorData($e, PluginException::LLM));
+        }
+    }
+
+
+    /**
+     * Send the error of an AJAX request
+     *
+     * The response status is the one of the PluginException, or the given
+     * one for other exceptions, and the body is described in getErrorData().
+     *
+     * @param Exception $e The exception
+     * @param string $type The error type of exceptions other than PluginException
+     * @param int $status The HTTP status of exceptions other than PluginException
+     * @return void
+     */
+    private function sendError(Exception $e, $type, $status = 500)
+    {
+        if ($e instanceof PluginException) {
+            $status = $e->getStatus();
+        }
+        http_status($status);
+        echo json_encode($this->getErrorData($e, $type));
+    }
+
+
+    /**
+     * Get the error data sent to the editor
+     *
+     * Besides the message, the editor gets the type of the error, to tell
+     * the user what to check, and whether it is transient, to retry the
+     * request. Only a PluginException can be transient.
+     *
+     * @param Exception $e The exception
+     * @param string $type The error type of exceptions other than PluginException
+     * @return array The 'error' message, the 'type' and the 'transient' flag
+     */
+    private function getErrorData(Exception $e, $type)
+    {
+        if ($e instanceof PluginException) {
+            return ['error' => $e->getMessage(), 'type' => $e->getType(), 'transient' => $e->isTransient()];
+        }
+        return ['error' => $e->getMessage(), 'type' => $type, 'transient' => false];
+    }
+
+
+    /**
+     * Create the ChromaDB client from the plugin configuration
+     *
+     * @return \dokuwiki\plugin\dokullm\ChromaDBClient|null The client, or null if ChromaDB is disabled
+     */
+    private function createChromaClient()
+    {
+        if (!$this->getConf('enable_chromadb')) {
+            return null;
         }
-        $client = new \dokuwiki\plugin\dokullm\LlmClient(
+        return new \dokuwiki\plugin\dokullm\ChromaDBClient(
+            $this->getConf('chroma_host'),
+            $this->getConf('chroma_port'),
+            $this->getConf('chroma_tenant'),
+            $this->getConf('chroma_database'),
+            $this->getConf('chroma_collection'),
+            $this->getConf('ollama_host'),
+            $this->getConf('ollama_port'),
+            $this->getConf('ollama_embeddings_model')
+        );
+    }
+
+
+    /**
+     * Create the LLM client from the plugin configuration
+     *
+     * @param int|null $maxTokens The maximum length of the responses, the max_tokens option if null
+     * @param bool|null $useTools Whether to offer the tools, the use_tools option if null
+     * @return \dokuwiki\plugin\dokullm\LlmClient The client
+     */
+    private function createLlmClient($maxTokens = null, $useTools = null)
+    {
+        global $ID;
+        return new \dokuwiki\plugin\dokullm\LlmClient(
             $this->getConf('api_url'),
             $this->getConf('api_key'),
-            $this->getConf('model'),
+            $this->getPageConf('model'),
             $this->getConf('timeout'),
-            $this->getConf('temperature'),
+            $this->getPageConf('temperature'),
             $this->getConf('top_p'),
             $this->getConf('top_k'),
             $this->getConf('min_p'),
             $this->getConf('think', false),
-            $this->getConf('tools', false),
-            $this->getConf('profile', 'default'),
-            $chromaClient,
-            $ID
+            $useTools !== null ? $useTools : $this->getConf('use_tools', false),
+            $this->getProfile(),
+            $this->createChromaClient(),
+            $ID,
+            $maxTokens !== null ? $maxTokens : (int)$this->getConf('max_tokens')
         );
-        try {
-            $result = $client->process($action, $text, $metadata);
-            echo json_encode(['result' => $result]);
-        } catch (Exception $e) {
-            http_status(500);
-            echo json_encode(['error' => $e->getMessage()]);
+    }
+
+
+    /**
+     * Get the profile of the current request
+     *
+     * The profile is chosen, in this order, from:
+     * - The 'profile' request parameter, sent by the editor from a
+     *   ~~LLM_PROFILE:name~~ page directive or from the user's choice
+     * - The profile_map entry of the page namespace, see getDefaultProfile()
+     * - The profile configuration option
+     *
+     * A requested profile is used only if the user can read its page.
+     *
+     * @return string The profile name
+     * @throws Exception If the requested profile does not exist or is not readable
+     */
+    private function getProfile()
+    {
+        global $INPUT;
+        if ($this->profile !== null) {
+            return $this->profile;
+        }
+        $profile = $INPUT->str('profile');
+        if ($profile === '') {
+            $this->profile = $this->getDefaultProfile($INPUT->str('id'));
+        } elseif ($this->isProfileReadable($profile)) {
+            $this->profile = $profile;
+        } else {
+            throw new PluginException($this->getLang('profile_unavailable') . $profile, PluginException::PERMISSION, 403);
         }
+        return $this->profile;
+    }
+
+
+    /**
+     * Get the settings which pages can override with directives
+     *
+     * @return array The setting names
+     */
+    private function getPageOverrides()
+    {
+        return array_values(array_filter(array_map('trim', explode(',', $this->getConf('page_overrides', '')))));
+    }
+
+
+    /**
+     * Get the page directives of the current request
+     *
+     * The editor sends the ~~LLM_KEY:value~~ directives of the page, other
+     * than the template, examples and previous references, as a JSON object
+     * with lowercase keys. They fill the {key} placeholders of the prompts;
+     * the reserved placeholders can not be set this way.
+     *
+     * The directives overriding settings are validated here: the model must
+     * be one of the allowed_models and the temperature is kept between
+     * temperature_min and temperature_max.
+     *
+     * @return array The directive values by key
+     * @throws Exception If an allowed override has an invalid value
+     */
+    private function getDirectives()
+    {
+        global $INPUT;
+        if ($this->directives !== null) {
+            return $this->directives;
+        }
+        $directives = [];
+        $values = json_decode($INPUT->str('directives', '{}'), true);
+        foreach (is_array($values) ? $values : [] as $key => $value) {
+            $key = strtolower($key);
+            if (!preg_match('/^[a-z][a-z0-9_]*$/', $key) || !is_scalar($value) || in_array($key, self::RESERVED_PLACEHOLDERS, true)) {
+                continue;
+            }
+            $directives[$key] = \dokuwiki\Utf8\PhpString::substr(trim((string)$value), 0, 1000);
+        }
+
+        $overrides = $this->getPageOverrides();
+        if (isset($directives['model']) && in_array('model', $overrides, true)) {
+            $allowed = array_filter(array_map('trim', explode(',', $this->getConf('allowed_models', ''))));
+            if (!in_array($directives['model'], $allowed, true)) {
+                throw new PluginException(sprintf($this->getLang('model_not_allowed'), $directives['model']), PluginException::CONFIG, 400);
+            }
+        }
+        if (isset($directives['temperature']) && in_array('temperature', $overrides, true)) {
+            if (!is_numeric($directives['temperature'])) {
+                throw new PluginException(sprintf($this->getLang('invalid_directive_value'), 'LLM_TEMPERATURE'), PluginException::CONFIG, 400);
+            }
+            $temperature = max((float)$this->getConf('temperature_min'), (float)$directives['temperature']);
+            $directives['temperature'] = (string)min((float)$this->getConf('temperature_max'), $temperature);
+        }
+
+        $this->directives = $directives;
+        return $directives;
+    }
+
+
+    /**
+     * Get a setting, overridden by the page directive of the same name if allowed
+     *
+     * @param string $key The setting name, one of the page_overrides choices
+     * @return mixed The setting value
+     */
+    private function getPageConf($key)
+    {
+        $directives = $this->directives ?? [];
+        if (isset($directives[$key]) && $directives[$key] !== '' && in_array($key, $this->getPageOverrides(), true)) {
+            return $directives[$key];
+        }
+        return $this->getConf($key);
+    }
+
+
+    /**
+     * Get the default profile of a page
+     *
+     * The profile_map configuration option maps namespaces to profiles, as a
+     * comma separated list of namespace=profile entries. The longest namespace
+     * containing the page wins; pages outside all of them use the configured profile.
+     *
+     * @param string $pageId The page ID
+     * @return string The profile name
+     */
+    private function getDefaultProfile($pageId)
+    {
+        $pageId = cleanID($pageId);
+        $profile = $this->getConf('profile', 'default');
+        $matched = '';
+        foreach (explode(',', $this->getConf('profile_map', '')) as $entry) {
+            if (strpos($entry, '=') === false) {
+                continue;
+            }
+            list($namespace, $name) = array_map('trim', explode('=', $entry, 2));
+            $namespace = cleanID($namespace);
+            if ($namespace === '' || $name === '') {
+                continue;
+            }
+            // Match whole namespaces only, "dept" does not contain "department:page"
+            if (strpos($pageId . ':', $namespace . ':') === 0 && strlen($namespace) > strlen($matched)) {
+                $matched = $namespace;
+                $profile = $name;
+            }
+        }
+        return $profile;
+    }
+
+
+    /**
+     * Check if a profile exists and the current user can read its page
+     *
+     * @param string $profile The profile name
+     * @return bool True if the profile can be used
+     */
+    private function isProfileReadable($profile)
+    {
+        if (!preg_match('/^[a-z0-9_.-]+$/', $profile)) {
+            return false;
+        }
+        $pageId = 'dokullm:profiles:' . $profile;
+        return auth_quickaclcheck($pageId) >= AUTH_READ && page_exists($pageId);
+    }
+
+
+    /**
+     * Get the profiles the current user can choose from
+     *
+     * Lists the pages directly in the dokullm:profiles namespace which the
+     * user can read. The prompt pages of the profiles, in the sub-namespaces,
+     * are not included.
+     *
+     * @return array List of profiles, each with 'name' and 'title' (the first heading of the page)
+     */
+    private function getProfiles()
+    {
+        $profiles = [];
+        $files = glob(dirname(wikiFN('dokullm:profiles:default')) . '/*.txt') ?: [];
+        foreach ($files as $file) {
+            $name = utf8_decodeFN(basename($file, '.txt'));
+            if (!$this->isProfileReadable($name)) {
+                continue;
+            }
+            $title = p_get_first_heading('dokullm:profiles:' . $name);
+            $profiles[] = [
+                'name' => $name,
+                'title' => $title ?: $name
+            ];
+        }
+        return $profiles;
     }
 
 
     /**
      * Get action definitions from the DokuWiki table at dokullm:profiles:PROFILE
      *
-     * Parses the table containing action definitions with the following columns:
+     * Parses the table containing action definitions with the following columns,
+     * in the order given by the header row (or in this order, if there is none):
      *
      * - ID: The action identifier, which corresponds to the prompt name
      * - Label: The text displayed on the button
      * - Description: A detailed description of the action, used as a tooltip
-     * - Icon: The icon displayed on the button (can be empty)
-     * - Result: The action to perform with the LLM result:
-     *   - show: Display the result in a modal dialog
-     *   - append: Add the result to the end of the current content
-     *   - replace: Replace the selected content with the result
-     *   - insert: Insert the result at the cursor position
+     * - Icon: The icon displayed on the button (can be empty), see getIconUrl()
+     * - Result: The action to perform with the LLM result, one of RESULT_MODES
+     * - Shortcut: An optional key combination running the action (e.g. "Ctrl+Alt+S")
+     * - Variants: An optional number of variants to generate on every click, to choose from
+     * - Parameters: Optional parameters filling placeholders of the prompt, see parseParameters()
+     *
+     * An empty Result means 'replace'. Actions with an unknown Result value
+     * are logged and returned with an 'error' message, so the editor can
+     * report them instead of guessing.
      *
      * The parsing stops after the first table ends to avoid processing
      * additional tables that might contain disabled or work-in-progress commands.
@@ -301,12 +857,17 @@ class action_plugin_dokullm extends DokuWiki_Action_Plugin
      *               - label: string, the button label
      *               - description: string, the action description
      *               - icon: string, the icon name
+     *               - iconUrl: string, the URL of the bundled icon, empty if not found
      *               - result: string, the result handling method
+     *               - shortcut: string, the key combination, empty if none
+     *               - variants: int, the number of variants, 0 for a single result
+     *               - parameters: array, the parameter definitions
+     *               - error: string, set only if the action definition is invalid
      */
     private function getActions()
     {
         // Get the content of the profile page
-        $profile = $this->getConf('profile', 'default');
+        $profile = $this->getProfile();
         try {
             $content = $this->getPageContent('dokullm:profiles:' . $profile);
         } catch (Exception $e) {
@@ -323,43 +884,280 @@ class action_plugin_dokullm extends DokuWiki_Action_Plugin
         $actions = [];
         $lines = explode("\n", $content);
         $inTable = false;
+        // The column order, unless the table has a header row
+        $columns = ['id', 'label', 'description', 'icon', 'result'];
         foreach ($lines as $line) {
-            // Check if this is a table row
-            if (preg_match('/^\|\s*([^\|]+)\s*\|\s*([^\|]+)\s*\|\s*([^\|]+)\s*\|\s*([^\|]+)\s*\|\s*([^\|]+)\s*\|$/', $line, $matches)) {
-                $inTable = true;
-                // Skip header row
-                if (trim($matches[1]) === 'ID' || trim($matches[1]) === 'id') {
-                    continue;
-                }
-                // Extract ID from either simple text or page link
-                $rawId = trim($matches[1]);
-                $id = $rawId;
-                // Check if ID is a page link in format [[namespace:page]] or [[.:namespace:page]]
-                if (preg_match('/\[\[\.?:?([^\]]+)\]\]/', $rawId, $linkMatches)) {
-                    // Extract the actual page path
-                    $pagePath = $linkMatches[1];
-                    // Get the last part after the final ':' as the ID
-                    $pathParts = explode(':', $pagePath);
-                    $id = end($pathParts);
+            $line = trim($line);
+            // Check if this is a table row (header cells start with '^', data cells with '|')
+            if (!preg_match('/^[\^\|].*[\^\|]$/', $line)) {
+                if ($inTable) {
+                    // We've exited the table, so stop parsing
+                    break;
                 }
-                // Append the action definition
-                $actions[] = [
-                    'id' => $id,
-                    'label' => trim($matches[2]),
-                    'description' => trim($matches[3]),
-                    'icon' => trim($matches[4]),
-                    'result' => trim($matches[5])
-                ];
-            } else if ($inTable) {
-                // We've exited the table, so stop parsing
-                break;
+                continue;
+            }
+            $inTable = true;
+            // Split the cells, ignoring the pipes inside links like [[page|title]]
+            $cells = array_map('trim', preg_split('/[\^\|](?![^\[]*\]\])/', substr($line, 1, -1)));
+            // The header row defines the column order
+            if (strtolower($cells[0]) === 'id') {
+                $columns = array_map('strtolower', $cells);
+                continue;
+            }
+            $row = [];
+            foreach ($columns as $index => $column) {
+                $row[$column] = isset($cells[$index]) ? $cells[$index] : '';
             }
+            // Extract ID from either simple text or page link
+            $rawId = $row['id'];
+            $id = $rawId;
+            // Check if ID is a page link in format [[namespace:page]] or [[.:namespace:page]]
+            if (preg_match('/\[\[\.?:?([^\]\|]+)/', $rawId, $linkMatches)) {
+                // Extract the actual page path
+                $pagePath = $linkMatches[1];
+                // Get the last part after the final ':' as the ID
+                $pathParts = explode(':', $pagePath);
+                $id = end($pathParts);
+            }
+            if ($id === '') {
+                continue;
+            }
+            // Build the action definition
+            $definition = [
+                'id' => $id,
+                'label' => isset($row['label']) && $row['label'] !== '' ? $row['label'] : $id,
+                'description' => isset($row['description']) ? $row['description'] : '',
+                'icon' => isset($row['icon']) ? $row['icon'] : '',
+                'iconUrl' => $this->getIconUrl(isset($row['icon']) ? $row['icon'] : ''),
+                'result' => isset($row['result']) && $row['result'] !== '' ? $row['result'] : 'replace',
+                'shortcut' => isset($row['shortcut']) ? $row['shortcut'] : '',
+                'variants' => isset($row['variants']) ? min(max((int)$row['variants'], 0), self::MAX_VARIANTS) : 0,
+                'parameters' => []
+            ];
+            // Parse the parameters, an invalid definition disables the action
+            try {
+                $definition['parameters'] = $this->parseParameters(isset($row['parameters']) ? $row['parameters'] : '');
+            } catch (Exception $e) {
+                $definition['error'] = $e->getMessage();
+                \dokuwiki\Logger::error('DokuLLM: ' . $definition['error'] . ' in dokullm:profiles:' . $profile);
+            }
+            // Report unknown result modes instead of silently replacing the text
+            if (!in_array($definition['result'], self::RESULT_MODES, true)) {
+                $definition['error'] = sprintf($this->getLang('unknown_result_mode'), $definition['result'], $id);
+                \dokuwiki\Logger::error('DokuLLM: ' . $definition['error'] . ' in dokullm:profiles:' . $profile);
+            }
+            // Append the action definition
+            $actions[] = $definition;
         }
         // Return the actions definitions
         return $actions;
     }
 
 
+    /**
+     * Render DokuWiki text to XHTML
+     *
+     * Renders the text with DokuWiki's own parser, in the context of the
+     * given page, so the result looks exactly like the saved page would:
+     * tables, code blocks, footnotes and internal links included.
+     * The user needs edit permission on the page, like for a preview.
+     *
+     * @param string $text The DokuWiki text to render
+     * @param string $pageId The page providing the rendering context
+     * @return string The rendered XHTML
+     * @throws Exception If the user is not allowed to edit the page
+     */
+    private function renderText($text, $pageId)
+    {
+        global $ID;
+        // Render in the context of the edited page, so relative links resolve
+        $ID = cleanID($pageId);
+        if (auth_quickaclcheck($ID) < AUTH_EDIT) {
+            throw new PluginException($this->getLang('unauthorized_edit') . $ID, PluginException::PERMISSION, 403);
+        }
+        if (trim($text) === '') {
+            return '';
+        }
+        $info = [];
+        $html = p_render('xhtml', p_get_instructions($text), $info);
+        // Remove the section edit markers
+        return html_secedit($html, false);
+    }
+
+
+    /**
+     * Parse the parameters of an action from the Parameters column
+     *
+     * The parameters are separated by ';', each in the format
+     * name:type=default[choice1,choice2], where only the name is required:
+     * - name: the placeholder filled with the value, like {language}
+     * - type: 'text' (default), 'number' or 'choice' (default if choices are given)
+     * - default: the initial value of the parameter
+     * - choices: the allowed values of a choice parameter
+     *
+     * Example: "language:choice=English[English,Romanian]; length:number=200"
+     *
+     * @param string $spec The content of the Parameters column
+     * @return array The parameter definitions, each with name, type, default and choices
+     * @throws Exception If a parameter definition is invalid
+     */
+    private function parseParameters($spec)
+    {
+        $parameters = [];
+        foreach (array_filter(array_map('trim', explode(';', $spec))) as $item) {
+            if (!preg_match('/^([a-z][a-z0-9_]*)(?::([a-z]+))?(?:=([^\[]*))?(?:\[([^\]]*)\])?$/i', $item, $matches)) {
+                throw new PluginException(sprintf($this->getLang('invalid_parameter_definition'), $item), PluginException::CONFIG);
+            }
+            $name = strtolower($matches[1]);
+            $choices = isset($matches[4]) && trim($matches[4]) !== '' ? array_map('trim', explode(',', $matches[4])) : [];
+            $type = !empty($matches[2]) ? strtolower($matches[2]) : ($choices ? 'choice' : 'text');
+            $default = isset($matches[3]) ? trim($matches[3]) : '';
+            // The plugin placeholders can not be overridden
+            if (in_array($name, self::RESERVED_PLACEHOLDERS, true)
+                || !in_array($type, ['text', 'number', 'choice'], true)
+                || ($type === 'choice' && !$choices)) {
+                throw new PluginException(sprintf($this->getLang('invalid_parameter_definition'), $item), PluginException::CONFIG);
+            }
+            if ($type === 'choice' && !in_array($default, $choices, true)) {
+                $default = $choices[0];
+            }
+            $parameters[] = [
+                'name' => $name,
+                'type' => $type,
+                'default' => $default,
+                'choices' => $choices
+            ];
+        }
+        return $parameters;
+    }
+
+
+    /**
+     * Get the placeholder values of the parameters of an action
+     *
+     * Each declared parameter gets the value sent by the editor, if valid,
+     * or its default value. Values of undeclared parameters are ignored.
+     *
+     * @param string $actionId The action identifier
+     * @param array $values The parameter values sent by the editor
+     * @return array The placeholder values, indexed by parameter name
+     * @throws Exception If a value is not valid for its parameter
+     */
+    private function getParameterValues($actionId, $values)
+    {
+        $result = [];
+        foreach ($this->getActions() as $definition) {
+            if ($definition['id'] !== $actionId || empty($definition['parameters'])) {
+                continue;
+            }
+            foreach ($definition['parameters'] as $parameter) {
+                $name = $parameter['name'];
+                $value = isset($values[$name]) && is_scalar($values[$name]) ? trim((string)$values[$name]) : $parameter['default'];
+                if (($parameter['type'] === 'number' && $value !== '' && !is_numeric($value))
+                    || ($parameter['type'] === 'choice' && !in_array($value, $parameter['choices'], true))) {
+                    throw new PluginException(sprintf($this->getLang('invalid_parameter_value'), $name), PluginException::INPUT, 400);
+                }
+                $result[$name] = \dokuwiki\Utf8\PhpString::substr($value, 0, 1000);
+            }
+            break;
+        }
+        return $result;
+    }
+
+
+    /**
+     * Get the file storing the custom prompt history of the current user
+     *
+     * The history is stored only if enabled in the configuration and
+     * only for logged in users, in the meta directory of the wiki.
+     *
+     * @return string The file path
+     * @throws Exception If the history can not be stored on the server
+     */
+    private function getPromptHistoryFile()
+    {
+        global $conf;
+        global $INPUT;
+        $user = $INPUT->server->str('REMOTE_USER');
+        if ($this->getConf('prompt_storage') !== 'server' || $user === '') {
+            throw new Exception($this->getLang('prompt_storage_unavailable'));
+        }
+        return $conf['metadir'] . '/dokullm/prompts/' . md5($user) . '.json';
+    }
+
+
+    /**
+     * Load the custom prompt history of the current user
+     *
+     * @return array The history, with the 'history' and 'pinned' lists of prompts
+     * @throws Exception If the history can not be stored on the server
+     */
+    private function loadPromptHistory()
+    {
+        $file = $this->getPromptHistoryFile();
+        $data = file_exists($file) ? json_decode(io_readFile($file, false), true) : null;
+        return [
+            'history' => isset($data['history']) ? $data['history'] : [],
+            'pinned' => isset($data['pinned']) ? $data['pinned'] : []
+        ];
+    }
+
+
+    /**
+     * Save the custom prompt history of the current user
+     *
+     * Only lists of strings are stored, limited to PROMPT_HISTORY_SIZE
+     * prompts each, with a limited length.
+     *
+     * @param array|null $data The history, with the 'history' and 'pinned' lists of prompts
+     * @return void
+     * @throws Exception If the history can not be stored on the server
+     */
+    private function savePromptHistory($data)
+    {
+        $file = $this->getPromptHistoryFile();
+        $clean = function ($list) {
+            $list = is_array($list) ? array_values(array_filter($list, 'is_string')) : [];
+            $list = array_map(function ($prompt) {
+                return \dokuwiki\Utf8\PhpString::substr($prompt, 0, 4000);
+            }, $list);
+            return array_slice($list, 0, self::PROMPT_HISTORY_SIZE);
+        };
+        $history = [
+            'history' => $clean(isset($data['history']) ? $data['history'] : []),
+            'pinned' => $clean(isset($data['pinned']) ? $data['pinned'] : [])
+        ];
+        if (!io_saveFile($file, json_encode($history))) {
+            throw new Exception($this->getLang('prompt_storage_unavailable'));
+        }
+    }
+
+
+    /**
+     * Resolve an icon name from the profile table to a bundled SVG icon
+     *
+     * Icon names may have a set prefix, like 'file-icons:summary'; only the
+     * part after the last colon is used to find images/icons/NAME.svg in
+     * the plugin directory.
+     *
+     * @param string $icon The icon name
+     * @return string The URL of the icon, or an empty string if there is no such icon
+     */
+    private function getIconUrl($icon)
+    {
+        $parts = explode(':', $icon);
+        $name = preg_replace('/\.svg$/', '', strtolower(trim(end($parts))));
+        // Only plain file names are allowed
+        if ($name === '' || !preg_match('/^[a-z0-9_\-]+$/', $name)) {
+            return '';
+        }
+        if (!file_exists(__DIR__ . '/images/icons/' . $name . '.svg')) {
+            return '';
+        }
+        return DOKU_BASE . 'lib/plugins/dokullm/images/icons/' . $name . '.svg';
+    }
+
+
     /**
      * Get the content of a DokuWiki page
      *
@@ -375,7 +1173,7 @@ class action_plugin_dokullm extends DokuWiki_Action_Plugin
         // Clean the ID and check ACL
         $cleanId = cleanID($pageId);
         if (auth_quickaclcheck($cleanId) < AUTH_READ) {
-            throw new Exception($this->getLang('unauthorized') . $pageId);
+            throw new PluginException($this->getLang('unauthorized') . $pageId, PluginException::PERMISSION, 403);
         }
 
         // Convert page ID to file path
@@ -388,54 +1186,132 @@ class action_plugin_dokullm extends DokuWiki_Action_Plugin
     }
 
     /**
-     * Find an appropriate template based on the provided text
+     * Find the pages matching a part of their ID or title
+     *
+     * Used by the page ID autocompletion of the metadata panel. Works like
+     * the quick search of DokuWiki, which lists only the pages the user can read.
      *
-     * Uses ChromaDB to search for the most relevant template based on the content.
+     * @param string $query The searched text
+     * @return array List of at most 20 pages, each with 'id' and 'title'
+     */
+    private function searchPages($query)
+    {
+        $pages = [];
+        if (trim($query) === '') {
+            return $pages;
+        }
+        foreach (ft_pageLookup($query, true, useHeading('navigation')) as $id => $title) {
+            $pages[] = [
+                'id' => $id,
+                'title' => $title ?: ''
+            ];
+            if (count($pages) >= 20) {
+                break;
+            }
+        }
+        return $pages;
+    }
+
+    /**
+     * Check if the pages referenced by the metadata directives can be used
+     *
+     * @param array $pageIds The page IDs
+     * @return array List of pages, each with 'id', 'status' ('ok', 'missing' or 'unreadable')
+     *               and 'length' (in characters, 0 unless the status is 'ok')
+     */
+    private function checkPages($pageIds)
+    {
+        $pages = [];
+        foreach ($pageIds as $pageId) {
+            if (!is_string($pageId)) {
+                continue;
+            }
+            $cleanId = cleanID($pageId);
+            $length = 0;
+            if (auth_quickaclcheck($cleanId) < AUTH_READ) {
+                $status = 'unreadable';
+            } elseif (!page_exists($cleanId)) {
+                $status = 'missing';
+            } else {
+                $status = 'ok';
+                $length = \dokuwiki\Utf8\PhpString::strlen(rawWiki($cleanId));
+            }
+            $pages[] = [
+                'id' => $pageId,
+                'status' => $status,
+                'length' => $length
+            ];
+        }
+        return $pages;
+    }
+
+    /**
+     * Find the templates matching the provided text
+     *
+     * Uses ChromaDB to search for the most relevant templates based on the
+     * content. Only the existing templates the user can read are returned,
+     * at most template_candidates of them.
      *
      * @param string $text The text to use for finding a template
-     * @return array The template ID array or empty array if none found
+     * @param string $namespace Optional namespace containing the templates
+     * @return array List of templates, each with 'id', 'title' and 'score' (0-1), the best first
      * @throws Exception If an error occurs during the search
      */
-    private function findTemplate($text) {
+    private function findTemplate($text, $namespace = '') {
         try {
-            // Create ChromaDB client only if enabled
-            $chromaClient = null;
-            if ($this->getConf('enable_chromadb')) {
-                $chromaClient = new \dokuwiki\plugin\dokullm\ChromaDBClient(
-                    $this->getConf('chroma_host'),
-                    $this->getConf('chroma_port'),
-                    $this->getConf('chroma_tenant'),
-                    $this->getConf('chroma_database'),
-                    $this->getConf('chroma_collection'),
-                    $this->getConf('ollama_host'),
-                    $this->getConf('ollama_port'),
-                    $this->getConf('ollama_embeddings_model')
-                );
-            }
-            $client = new \dokuwiki\plugin\dokullm\LlmClient(
-                $this->getConf('api_url'),
-                $this->getConf('api_key'),
-                $this->getConf('model'),
-                $this->getConf('timeout'),
-                $this->getConf('temperature'),
-                $this->getConf('top_p'),
-                $this->getConf('top_k'),
-                $this->getConf('min_p'),
-                $this->getConf('think', false),
-                $this->getConf('tools', false),
-                $this->getConf('profile', 'default'),
-                $chromaClient,
-                $ID
-            );
-            // Query ChromaDB for the most relevant template
-            $template = $client->queryChromaDBTemplate($text);
-            return $template;
+            $client = $this->createLlmClient();
+            // Query ChromaDB for the most relevant templates
+            $limit = max(1, (int)$this->getConf('template_candidates'));
+            $templates = [];
+            foreach ($client->queryChromaDBTemplates($text, $limit, $namespace) as $template) {
+                if (auth_quickaclcheck($template['id']) < AUTH_READ || !page_exists($template['id'])) {
+                    continue;
+                }
+                $template['title'] = p_get_first_heading($template['id']) ?: $template['id'];
+                $templates[] = $template;
+            }
+            return $templates;
         } catch (Exception $e) {
+            if ($e instanceof PluginException) {
+                throw new PluginException($this->getLang('error_finding_template') . $e->getMessage(), $e->getType(), $e->getStatus(), $e->isTransient(), $e);
+            }
             throw new Exception($this->getLang('error_finding_template') . $e->getMessage());
         }
     }
 
 
+    /**
+     * Find the pages and snippets related to the provided text
+     *
+     * Queries ChromaDB for the most similar chunks and keeps those of the
+     * existing pages the user can read, other than the edited page.
+     *
+     * @param string $text The text to find related content for
+     * @param string $pageId The ID of the edited page
+     * @return array List of chunks, each with 'id', 'title', 'snippet' and 'score' (0-1), the best first
+     * @throws Exception If ChromaDB is disabled or the search fails
+     */
+    private function findRelated($text, $pageId)
+    {
+        if (!$this->getConf('enable_chromadb')) {
+            throw new PluginException($this->getLang('chromadb_disabled'), PluginException::CONFIG, 400);
+        }
+        if (trim($text) === '') {
+            throw new PluginException($this->getLang('no_text_provided'), PluginException::INPUT, 400);
+        }
+        $pageId = cleanID($pageId);
+        $related = [];
+        foreach ($this->createLlmClient()->queryChromaDBRelated($text, self::RELATED_RESULTS) as $chunk) {
+            if ($chunk['id'] === $pageId || auth_quickaclcheck($chunk['id']) < AUTH_READ || !page_exists($chunk['id'])) {
+                continue;
+            }
+            $chunk['title'] = p_get_first_heading($chunk['id']) ?: $chunk['id'];
+            $related[] = $chunk;
+        }
+        return $related;
+    }
+
+
     /**
      * Handle page save event and send page to ChromaDB
      *
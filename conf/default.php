@@ -46,6 +46,62 @@ $conf['model'] = 'gpt-3.5-turbo';
  */
 $conf['timeout'] = 30;
 
+/**
+ * The client-side request timeout in seconds
+ * 
+ * Maximum time the browser waits for a DokuLLM request before aborting it
+ * and showing an error message. For streamed responses, this is the maximum
+ * time without receiving any data. Set to 0 to disable the client-side deadline.
+ * 
+ * @var int
+ */
+$conf['client_timeout'] = 120;
+
+/**
+ * The maximum length of the LLM responses, in tokens
+ * 
+ * Sent to the API as max_tokens. Longer responses are cut off and the user
+ * is warned. Set to 0 to leave the limit to the API.
+ * 
+ * @var int
+ */
+$conf['max_tokens'] = 6144;
+
+/**
+ * The context size of the model, in tokens
+ * 
+ * Before sending a request, the editor estimates the size of the text and of
+ * the template, example and previous pages, and asks for confirmation when,
+ * together with max_tokens, it likely exceeds this limit. Set to 0 to disable
+ * the check.
+ * 
+ * @var int
+ */
+$conf['context_limit'] = 32768;
+
+/**
+ * The size above which texts are processed in chunks, in characters
+ * 
+ * Longer texts are split at the headings or paragraphs and the chunks are
+ * processed one after another; the results of actions shown in a dialog are
+ * then combined by running the action once more on them. Set to 0 to always
+ * send the whole text.
+ * 
+ * @var int
+ */
+$conf['chunk_size'] = 20000;
+
+/**
+ * The number of variants requested by a Shift+click on an action
+ * 
+ * The variants are generated in parallel and shown side by side, so one
+ * of them can be chosen. Actions can request variants on every click with
+ * the Variants column of the profile table.
+ * 
+ * @var int
+ */
+$conf['variants'] = 3;
+
 /**
  * The profile for prompts
  * 
@@ -56,6 +112,18 @@ $conf['timeout'] = 30;
  */
 $conf['profile'] = 'default';
 
+/**
+ * The default profiles of namespaces
+ * 
+ * Comma separated list of namespace=profile entries, for example
+ * 'radiology=radiology,admin:finance=finance'. Pages in a listed namespace
+ * use its profile unless a ~~LLM_PROFILE:name~~ directive or the user's
+ * choice selects another one. The longest matching namespace wins.
+ * 
+ * @var string
+ */
+$conf['profile_map'] = '';
+
 /**
  * The temperature setting for the LLM
  * 
@@ -99,6 +167,131 @@ $conf['top_k'] = 20;
  */
 $conf['min_p'] = 0.0;
 
+/**
+ * Size of the DokuLLM edit history
+ * 
+ * Number of edits applied by DokuLLM that are kept in the editor, so they can be
+ * undone and redone with the Undo AI and Redo AI buttons. Default is 20.
+ * 
+ * @var int
+ */
+$conf['history_size'] = 20;
+
+/**
+ * Review changes before applying them
+ * 
+ * Controls the default state of the "Review changes" switch in the DokuLLM toolbar.
+ * When enabled, the differences between the current text and the LLM result are shown
+ * and each change can be accepted or rejected before the result is applied.
+ * Users can change the switch in the editor; their choice is remembered by the browser.
+ * 
+ * @var bool
+ */
+$conf['review_changes'] = false;
+
+/**
+ * Process the current section when nothing is selected
+ * 
+ * Controls the default state of the "Current section" switch in the DokuLLM toolbar.
+ * When enabled and no text is selected, only the heading section containing the cursor
+ * is sent to the LLM and replaced, instead of the whole page.
+ * Users can change the switch in the editor; their choice is remembered by the browser.
+ * 
+ * @var bool
+ */
+$conf['section_mode'] = false;
+
+/**
+ * Suggest a continuation while typing
+ * 
+ * Controls the default state of the "Autocomplete" switch in the DokuLLM toolbar.
+ * When enabled, a short continuation is requested after a pause in typing, using the
+ * 'complete' prompt of the profile, and shown as dimmed text at the cursor; Tab accepts it.
+ * Users can change the switch in the editor; their choice is remembered by the browser.
+ * 
+ * @var bool
+ */
+$conf['autocomplete'] = false;
+
+/**
+ * The pause in typing after which a continuation is requested, in milliseconds
+ * 
+ * @var int
+ */
+$conf['autocomplete_delay'] = 1000;
+
+/**
+ * Placement of the action buttons
+ * 
+ * Controls where the buttons of the profile actions are shown in the editor:
+ * - separate: in the DokuLLM toolbar above the editor
+ * - native_group: in DokuWiki's editor toolbar, grouped in a drop-down
+ * - native_buttons: in DokuWiki's editor toolbar, as individual buttons
+ * The other DokuLLM controls (history, switches, chat) stay in the DokuLLM toolbar.
+ * 
+ * @var string
+ */
+$conf['toolbar_mode'] = 'separate';
+
+/**
+ * Storage of the custom prompt history
+ * 
+ * Controls where the history and the pinned prompts of the custom prompt input are kept:
+ * - browser: in the local storage of the browser, separately on each device
+ * - server: in the meta directory of the wiki, for each logged in user
+ * 
+ * @var string
+ */
+$conf['prompt_storage'] = 'browser';
+
+/**
+ * The output language
+ * 
+ * Fills the {language} placeholder of the prompts, for example
+ * 'Write the answer in {language}.' in a system prompt. Empty by default.
+ * 
+ * @var string
+ */
+$conf['language'] = '';
+
+/**
+ * The settings which pages can override with directives
+ * 
+ * Comma separated list of the settings a page can change with a
+ * ~~LLM_KEY:value~~ directive: model, temperature, language and profile.
+ * 
+ * @var string
+ */
+$conf['page_overrides'] = 'temperature,language,profile';
+
+/**
+ * The models which pages can choose
+ * 
+ * Comma separated list of the models accepted in ~~LLM_MODEL:name~~
+ * directives. Other models are refused.
+ * 
+ * @var string
+ */
+$conf['allowed_models'] = '';
+
+/**
+ * The lowest temperature pages can choose
+ * 
+ * Temperatures below it in ~~LLM_TEMPERATURE:value~~ directives are raised to it.
+ * 
+ * @var float
+ */
+$conf['temperature_min'] = 0.0;
+
+/**
+ * The highest temperature pages can choose
+ * 
+ * Temperatures above it in ~~LLM_TEMPERATURE:value~~ directives are lowered to it.
+ * 
+ * @var float
+ */
+$conf['temperature_max'] = 1.0;
+
 /**
  * Show copy button in the toolbar
  * 
@@ -131,6 +324,17 @@ $conf['replace_id'] = true;
  */
 $conf['think'] = false;
 
+/**
+ * Stream LLM responses
+ * 
+ * Controls whether the LLM output is sent to the browser while it is generated.
+ * When true, the text appears live in the editor preview or result modal;
+ * when false, the complete result is returned in a single response.
+ * 
+ * @var bool
+ */
+$conf['stream'] = false;
+
 /**
  * Enable tool usage in LLM responses
  * 
@@ -202,6 +406,16 @@ $conf['chroma_database'] = 'dokullm';
  */
 $conf['chroma_collection'] = 'documents';
 
+/**
+ * Number of template candidates
+ * 
+ * The number of matching templates offered by the Find Template button,
+ * the most similar first.
+ * 
+ * @var int
+ */
+$conf['template_candidates'] = 5;
+
 /**
  * Ollama Host
  * 
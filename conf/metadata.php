@@ -44,6 +44,46 @@ $meta['model'] = array('string');
  */
 $meta['timeout'] = array('numeric', '_min' => 5);
 
+/**
+ * Metadata for the client_timeout configuration option
+ * 
+ * Defines the client-side deadline as a numeric input field with a minimum value of 0,
+ * where 0 disables the deadline.
+ * 
+ * @var array
+ */
+$meta['client_timeout'] = array('numeric', '_min' => 0);
+
+/**
+ * Metadata for the max_tokens and context_limit configuration options
+ * 
+ * Define the token limits as numeric input fields with a minimum value of 0,
+ * where 0 disables the limit.
+ * 
+ * @var array
+ */
+$meta['max_tokens'] = array('numeric', '_min' => 0);
+$meta['context_limit'] = array('numeric', '_min' => 0);
+
+/**
+ * Metadata for the chunk_size configuration option
+ * 
+ * Defines the chunk size as a numeric input field, where 0 disables chunking.
+ * 
+ * @var array
+ */
+$meta['chunk_size'] = array('numeric', '_min' => 0);
+
+/**
+ * Metadata for the variants configuration option
+ * 
+ * Defines the number of variants as a numeric input field, limited to
+ * the number the backend generates at once.
+ * 
+ * @var array
+ */
+$meta['variants'] = array('numeric', '_min' => 2, '_max' => 5);
+
 /**
  * Metadata for the profile configuration option
  * 
@@ -54,6 +94,16 @@ $meta['timeout'] = array('numeric', '_min' => 5);
  */
 $meta['profile'] = array('string');
 
+/**
+ * Metadata for the profile_map configuration option
+ * 
+ * Defines the namespace to profile mapping as a string input field,
+ * with comma separated namespace=profile entries.
+ * 
+ * @var array
+ */
+$meta['profile_map'] = array('string');
+
 /**
  * Metadata for the temperature configuration option
  * 
@@ -94,6 +144,102 @@ $meta['top_k'] = array('numeric', '_min' => 1);
  */
 $meta['min_p'] = array('numeric', '_min' => 0.0, '_max' => 1.0, '_pattern' => '/^\d+(\.\d+)?$/');
 
+/**
+ * Metadata for the history_size configuration option
+ * 
+ * Defines the number of DokuLLM edits kept for undo/redo as a numeric field
+ * with a minimum value of 1.
+ * 
+ * @var array
+ */
+$meta['history_size'] = array('numeric', '_min' => 1);
+
+/**
+ * Metadata for the review_changes configuration option
+ * 
+ * Defines whether the changes are reviewed before applying them by default.
+ * 
+ * @var array
+ */
+$meta['review_changes'] = array('onoff');
+
+/**
+ * Metadata for the section_mode configuration option
+ * 
+ * Defines whether only the current section is processed by default.
+ * 
+ * @var array
+ */
+$meta['section_mode'] = array('onoff');
+
+/**
+ * Metadata for the autocomplete and autocomplete_delay configuration options
+ * 
+ * Defines whether continuations are suggested by default, and the pause in
+ * typing before requesting one as a numeric input field.
+ * 
+ * @var array
+ */
+$meta['autocomplete'] = array('onoff');
+$meta['autocomplete_delay'] = array('numeric', '_min' => 200);
+
+/**
+ * Metadata for the toolbar_mode configuration option
+ * 
+ * Defines where the action buttons are shown as a choice between the
+ * DokuLLM toolbar and DokuWiki's editor toolbar.
+ * 
+ * @var array
+ */
+$meta['toolbar_mode'] = array('multichoice', '_choices' => array('separate', 'native_group', 'native_buttons'));
+
+/**
+ * Metadata for the prompt_storage configuration option
+ * 
+ * Defines where the custom prompt history is stored as a choice between
+ * the browser and the server.
+ * 
+ * @var array
+ */
+$meta['prompt_storage'] = array('multichoice', '_choices' => array('browser', 'server'));
+
+/**
+ * Metadata for the language configuration option
+ * 
+ * Defines the output language as a string input field.
+ * 
+ * @var array
+ */
+$meta['language'] = array('string');
+
+/**
+ * Metadata for the page_overrides configuration option
+ * 
+ * Defines the settings pages can override as a list of checkboxes.
+ * 
+ * @var array
+ */
+$meta['page_overrides'] = array('multicheckbox', '_choices' => array('model', 'temperature', 'language', 'profile'));
+
+/**
+ * Metadata for the allowed_models configuration option
+ * 
+ * Defines the models pages can choose as a comma separated string.
+ * 
+ * @var array
+ */
+$meta['allowed_models'] = array('string');
+
+/**
+ * Metadata for the temperature bounds configuration options
+ * 
+ * Define the range of the temperatures pages can choose, from 0.0 to 1.0.
+ * 
+ * @var array
+ */
+$meta['temperature_min'] = array('numeric', '_min' => 0.0, '_max' => 1.0, '_pattern' => '/^\d+(\.\d+)?$/');
+$meta['temperature_max'] = array('numeric', '_min' => 0.0, '_max' => 1.0, '_pattern' => '/^\d+(\.\d+)?$/');
+
 /**
  * Metadata for the show_copy_button configuration option
  * 
@@ -123,6 +269,15 @@ $meta['replace_id'] = array('onoff');
  */
 $meta['think'] = array('onoff');
 
+/**
+ * Metadata for the stream configuration option
+ * 
+ * Defines whether the LLM output is streamed to the browser while it is generated.
+ * 
+ * @var array
+ */
+$meta['stream'] = array('onoff');
+
 /**
  * Metadata for the use_tools configuration option
  * 
@@ -189,6 +344,15 @@ $meta['chroma_database'] = array('string');
  */
 $meta['chroma_collection'] = array('string');
 
+/**
+ * Metadata for the template_candidates configuration option
+ * 
+ * Defines the number of template candidates as a numeric field from 1 to 20.
+ * 
+ * @var array
+ */
+$meta['template_candidates'] = array('numeric', '_min' => 1, '_max' => 20);
+
 /**
  * Metadata for the Ollama host configuration option
  * 
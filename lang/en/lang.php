@@ -36,7 +36,7 @@ $lang['js']['different_id_required'] = 'You must enter a different ID from curre
 $lang['js']['insert_template'] = 'Insert Template';
 $lang['js']['find_template'] = 'Find Template';
 $lang['js']['loading_actions'] = 'Loading DokuLLM actions...';
-$lang['js']['custom_prompt_placeholder'] = 'Enter your prompt...';
+$lang['js']['custom_prompt_placeholder'] = 'Enter your prompt, or /action to run an action...';
 $lang['js']['send'] = 'Send';
 $lang['js']['error_loading_dokullm'] = 'DokuLLM profiles page not found. Please check the "dokullm:" namespace.';
 $lang['js']['no_text_provided'] = 'Please select text or enter content to process';
@@ -53,9 +53,150 @@ $lang['js']['no_text_provided'] = 'Please select text or enter content to proces
 $lang['js']['template_found'] = 'Template found and inserted: ';
 $lang['js']['no_template_found'] = 'No suitable template found for this content.';
 $lang['js']['loading_template'] = 'Loading template...';
+$lang['js']['cancel'] = 'Cancel';
+$lang['js']['cancel_title'] = 'Cancel the running request';
+$lang['js']['request_timeout'] = 'The request did not finish within %s seconds and was aborted.';
+$lang['js']['undo'] = 'Undo AI';
+$lang['js']['undo_title'] = 'Undo the last DokuLLM edit (Ctrl+Alt+Z)';
+$lang['js']['redo'] = 'Redo AI';
+$lang['js']['redo_title'] = 'Redo the last undone DokuLLM edit (Ctrl+Alt+Y)';
+$lang['js']['history_title'] = 'Recent DokuLLM edits';
+$lang['js']['history_undo_to'] = 'Undo this edit and all later edits';
+$lang['js']['history_conflict'] = 'The text was changed after this DokuLLM edit. These changes will be lost. Continue?';
+$lang['js']['history_continue'] = 'Continue';
+$lang['js']['section_mode'] = 'Current section';
+$lang['js']['section_mode_title'] = 'When nothing is selected, process only the section containing the cursor';
+$lang['js']['review_changes'] = 'Review changes';
+$lang['js']['review_changes_title'] = 'Show the changes and choose which of them to apply';
+$lang['js']['review_title'] = 'Review changes';
+$lang['js']['review_summary'] = '%1 of %2 changes accepted. Click a change to accept or reject it.';
+$lang['js']['review_toggle'] = 'Click to accept or reject this change';
+$lang['js']['review_accept_all'] = 'Accept all';
+$lang['js']['review_reject_all'] = 'Reject all';
+$lang['js']['review_apply'] = 'Apply';
+$lang['js']['unknown_result_mode'] = 'Unknown result mode: ';
+$lang['js']['new_section_title'] = 'Result';
+$lang['js']['chat'] = 'Chat';
+$lang['js']['chat_title'] = 'DokuLLM Chat';
+$lang['js']['chat_placeholder'] = 'Ask about the page or request changes... (Enter to send, Shift+Enter for a new line)';
+$lang['js']['chat_clear'] = 'Clear';
+$lang['js']['chat_clear_title'] = 'Start a new conversation';
+$lang['js']['chat_dock_side'] = 'Dock to the side';
+$lang['js']['chat_dock_bottom'] = 'Dock below the editor';
+$lang['js']['chat_insert'] = 'Insert at cursor';
+$lang['js']['chat_replace'] = 'Replace selection';
+$lang['js']['chat_replace_title'] = 'Replace the selected text, or the whole page if nothing is selected';
+$lang['js']['actions_group'] = 'DokuLLM actions';
+$lang['js']['palette_placeholder'] = 'Search DokuLLM actions...';
+$lang['js']['palette_no_match'] = 'No matching action';
+$lang['js']['unknown_command'] = 'Unknown command: ';
+$lang['js']['prompt_history'] = 'Prompt history';
+$lang['js']['prompt_search'] = 'Search prompts...';
+$lang['js']['prompt_history_empty'] = 'No prompts yet';
+$lang['js']['prompt_pin'] = 'Pin';
+$lang['js']['prompt_unpin'] = 'Unpin';
+$lang['js']['prompt_delete'] = 'Remove from the history';
+$lang['js']['prompt_export'] = 'Export as a profile action';
+$lang['js']['prompt_export_id'] = 'Action ID for this prompt:';
+$lang['js']['prompt_export_row'] = 'Add this row to the action table of %s:';
+$lang['js']['prompt_export_page'] = 'Create the prompt page %s with this content:';
+$lang['js']['params_run'] = 'Run';
+$lang['js']['profile'] = 'Profile';
+$lang['js']['profile_title'] = 'DokuLLM profile, the set of actions and prompts to use';
+$lang['js']['profile_automatic'] = 'Automatic (%s)';
+$lang['js']['profile_page_title'] = 'The profile is set by the page';
+$lang['js']['metadata'] = 'Metadata';
+$lang['js']['metadata_title'] = 'Page metadata';
+$lang['js']['metadata_template'] = 'Template';
+$lang['js']['metadata_previous'] = 'Previous document';
+$lang['js']['metadata_examples'] = 'Examples';
+$lang['js']['metadata_add_example'] = 'Add example';
+$lang['js']['metadata_move_up'] = 'Move up';
+$lang['js']['metadata_move_down'] = 'Move down';
+$lang['js']['metadata_remove'] = 'Remove';
+$lang['js']['metadata_apply'] = 'Apply';
+$lang['js']['metadata_section_edit'] = 'Edit the whole page to change the metadata.';
+$lang['js']['metadata_page_placeholder'] = 'Page ID';
+$lang['js']['metadata_page_missing'] = 'Page not found';
+$lang['js']['metadata_page_unreadable'] = 'Page not readable';
+$lang['js']['loading'] = 'Loading...';
+$lang['js']['template_candidates'] = 'Choose a template';
+$lang['js']['template_namespace'] = 'Namespace (optional)';
+$lang['js']['template_filter'] = 'Filter';
+$lang['js']['template_use'] = 'Use template';
+$lang['js']['template_preview_inline'] = 'Preview next to the editor';
+$lang['js']['template_preview'] = 'Template preview: ';
+$lang['js']['related'] = 'Related';
+$lang['js']['related_title'] = 'Related pages';
+$lang['js']['related_search'] = 'Search';
+$lang['js']['related_search_title'] = 'Search for the selection or the current section';
+$lang['js']['related_none'] = 'No related pages found.';
+$lang['js']['related_link'] = 'Link';
+$lang['js']['related_link_title'] = 'Insert a link to the page at the cursor';
+$lang['js']['related_snippet'] = 'Snippet';
+$lang['js']['related_snippet_title'] = 'Insert the snippet at the cursor';
+$lang['js']['related_example'] = 'Example';
+$lang['js']['related_example_title'] = 'Add the page to the examples of this page';
+$lang['js']['related_previous'] = 'Previous';
+$lang['js']['related_previous_title'] = 'Set the page as the previous document of this page';
+$lang['js']['trace_title'] = 'How this was produced';
+$lang['js']['trace_characters'] = '%d characters';
+$lang['js']['trace_cached'] = 'from cache';
+$lang['js']['trace_cutoff_tool'] = 'Tools disabled: %s was called %d times (limit %l)';
+$lang['js']['trace_cutoff_total'] = 'Tools disabled: %d tool calls (limit %l)';
+$lang['js']['context_warning'] = 'This request is estimated at about %t tokens, which together with the %r tokens reserved for the response likely exceeds the context size of %l tokens. The request may fail or the model may ignore part of the text. Send it anyway?';
+$lang['js']['context_send'] = 'Send anyway';
+$lang['js']['response_truncated'] = 'The response reached the limit of %d tokens and was cut off.';
+$lang['js']['usage_total'] = '%d tokens';
+$lang['js']['usage_session'] = 'This session: %n requests, %p prompt and %c completion tokens';
+$lang['js']['usage_last'] = 'Last request: %m, %p prompt and %c completion tokens in %s seconds';
+$lang['js']['chunk_progress'] = 'Part %n of %t';
+$lang['js']['chunk_combining'] = 'Combining the parts';
+$lang['js']['chunk_retry'] = 'Part %n of %t failed: %s. Retry it?';
+$lang['js']['chunk_retry_button'] = 'Retry';
+$lang['js']['chunk_stop'] = 'Stop';
+$lang['js']['error'] = 'Error';
+$lang['js']['error_config'] = 'DokuLLM configuration problem';
+$lang['js']['error_config_hint'] = 'Check the plugin settings and the profile pages in the dokullm namespace, or ask the wiki administrator.';
+$lang['js']['error_llm'] = 'The language model failed';
+$lang['js']['error_llm_hint'] = 'The LLM service did not process the request. Try again later or with a shorter text.';
+$lang['js']['error_chromadb'] = 'ChromaDB search failed';
+$lang['js']['error_chromadb_hint'] = 'Check that ChromaDB and the embeddings service are running and correctly configured.';
+$lang['js']['error_permission'] = 'Permission denied';
+$lang['js']['error_permission_hint'] = 'You are not allowed to do this. Log in, or ask for access to the pages involved.';
+$lang['js']['error_input'] = 'Invalid request';
+$lang['js']['error_network'] = 'Connection problem';
+$lang['js']['error_network_hint'] = 'The wiki could not be reached. Check your connection and try again.';
+$lang['js']['range_busy'] = 'This text is already being processed by another action. Wait for its result or select another part of the page.';
+$lang['js']['range_conflict'] = 'The text processed by "%s" was changed in the meantime. Replace it with the result? Your changes to it will be lost.';
+$lang['js']['range_replace'] = 'Replace';
+$lang['js']['range_keep'] = 'Keep my changes';
+$lang['js']['variants_title'] = 'Variants';
+$lang['js']['variant'] = 'Variant %s';
+$lang['js']['variant_use'] = 'Use this one';
+$lang['js']['variants_regenerate'] = 'Regenerate';
+$lang['js']['variants_regenerate_title'] = 'Request new variants with the same text and instructions';
+$lang['js']['autocomplete'] = 'Autocomplete';
+$lang['js']['autocomplete_title'] = 'After a pause in typing, suggest a continuation; press Tab to accept it';
+$lang['js']['placeholders_fill'] = 'Fill placeholders';
+$lang['js']['placeholders_fill_title'] = 'Suggest the values of the template placeholders from notes';
+$lang['js']['placeholders_notes'] = 'Notes with the values of the placeholders';
+$lang['js']['placeholders_suggest'] = 'Suggest values';
+$lang['js']['placeholders_apply'] = 'Apply';
+$lang['js']['placeholders_none'] = 'The page has no placeholders to fill.';
+$lang['js']['stream_interrupted'] = 'The response stream ended unexpectedly.';
 
 
 $lang['template_not_found'] = 'Template not found: ';
 $lang['no_text_provided'] = 'No text provided';
 $lang['unauthorized'] = 'You are not allowed to read this file: ';
-$lang['error_finding_template'] = 'Error finding template: ';
\ No newline at end of file
+$lang['unauthorized_edit'] = 'You are not allowed to edit this page: ';
+$lang['error_finding_template'] = 'Error finding template: ';
+$lang['prompt_storage_unavailable'] = 'The prompt history can not be stored on the server';
+$lang['invalid_parameter_definition'] = 'Invalid parameter definition: %s';
+$lang['invalid_parameter_value'] = 'Invalid value for the parameter "%s"';
+$lang['profile_unavailable'] = 'Profile not found or not readable: ';
+$lang['model_not_allowed'] = 'The model "%s" can not be chosen by pages';
+$lang['invalid_directive_value'] = 'Invalid value for the %s directive';
+$lang['chromadb_disabled'] = 'ChromaDB integration is disabled';
+$lang['unknown_result_mode'] = 'Unknown result mode "%s" for action "%s"';
\ No newline at end of file
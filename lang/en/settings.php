@@ -8,14 +8,42 @@ $lang['api_url'] = 'LLM API Endpoint URL';
 $lang['api_key'] = 'API Key for authentication with the LLM service';
 $lang['model'] = 'Model name to use for text processing';
 $lang['timeout'] = 'Request Timeout (seconds)';
+$lang['client_timeout'] = 'Client-side Request Timeout (seconds, 0 to disable) - The browser aborts requests taking longer';
+$lang['max_tokens'] = 'Max Tokens (0 to leave it to the API) - Maximum length of the responses, longer ones are cut off';
+$lang['context_limit'] = 'Model Context Size (tokens, 0 to disable) - Warn before sending requests likely to exceed it';
+$lang['chunk_size'] = 'Chunk Size (characters, 0 to disable) - Longer texts are processed in parts, one after another';
+$lang['variants'] = 'Variants - Number of alternative results requested by Shift+clicking an action';
 $lang['profile'] = 'Prompt Profile';
+$lang['profile_map'] = 'Namespace Profiles - Comma separated namespace=profile entries, giving the default profile of the pages in a namespace';
 $lang['temperature'] = 'Temperature (0.0-1.0) - Lower values make output more focused';
 $lang['top_p'] = 'Top-P (Nucleus Sampling) - Controls diversity of responses';
 $lang['top_k'] = 'Top-K - Limits token selection to top K options';
 $lang['min_p'] = 'Min-P - Minimum probability threshold for token selection';
+$lang['history_size'] = 'Edit History Size - Number of DokuLLM edits that can be undone';
+$lang['section_mode'] = 'Current section by default - When nothing is selected, process only the heading section containing the cursor instead of the whole page';
+$lang['review_changes'] = 'Review Changes by default - Show the differences and accept or reject each change before applying a result';
+$lang['autocomplete'] = 'Autocomplete by default - After a pause in typing, suggest a continuation at the cursor, accepted with Tab';
+$lang['autocomplete_delay'] = 'Autocomplete Delay (milliseconds) - The pause in typing after which a continuation is requested';
+$lang['toolbar_mode'] = 'Action Buttons Placement - Where the buttons of the profile actions are shown in the editor';
+$lang['toolbar_mode_o_separate'] = 'DokuLLM toolbar';
+$lang['toolbar_mode_o_native_group'] = 'Editor toolbar, as a drop-down';
+$lang['toolbar_mode_o_native_buttons'] = 'Editor toolbar, as buttons';
+$lang['prompt_storage'] = 'Prompt History Storage - Where the history and the pinned prompts of the custom prompt input are kept';
+$lang['prompt_storage_o_browser'] = 'Browser';
+$lang['prompt_storage_o_server'] = 'Server, for each user';
+$lang['language'] = 'Output Language - Value of the {language} placeholder of the prompts';
+$lang['page_overrides'] = 'Page Overrides - Settings which pages can change with ~~LLM_KEY:value~~ directives';
+$lang['page_overrides_model'] = 'Model (~~LLM_MODEL~~)';
+$lang['page_overrides_temperature'] = 'Temperature (~~LLM_TEMPERATURE~~)';
+$lang['page_overrides_language'] = 'Output language (~~LLM_LANGUAGE~~)';
+$lang['page_overrides_profile'] = 'Profile (~~LLM_PROFILE~~)';
+$lang['allowed_models'] = 'Allowed Models - Comma separated models which pages can choose';
+$lang['temperature_min'] = 'Minimum Page Temperature - Lowest temperature pages can choose';
+$lang['temperature_max'] = 'Maximum Page Temperature - Highest temperature pages can choose';
 $lang['show_copy_button'] = 'Show Copy Page Button in the toolbar';
 $lang['replace_id'] = 'Replace Template ID When Copying';
 $lang['think'] = 'Enable Thinking in LLM Responses for deeper processing';
+$lang['stream'] = 'Stream LLM Responses live into the editor and result dialog';
 $lang['use_tools'] = 'Enable Tool Usage in LLM Responses for enhanced capabilities';
 $lang['enable_chromadb'] = 'Enable ChromaDB Integration - When enabled, ChromaDB features will be available for document storage and retrieval';
 $lang['chroma_host'] = 'ChromaDB Host - The hostname or IP address of your ChromaDB server';
@@ -23,6 +51,7 @@ $lang['chroma_port'] = 'ChromaDB Port - The port number on which ChromaDB is run
 $lang['chroma_tenant'] = 'ChromaDB Tenant - The tenant name for ChromaDB organization';
 $lang['chroma_database'] = 'ChromaDB Database - The database name within the ChromaDB tenant';
 $lang['chroma_collection'] = 'ChromaDB Collection - The default collection name for document storage';
+$lang['template_candidates'] = 'Template Candidates - Number of matching templates offered by Find Template';
 $lang['ollama_host'] = 'Ollama Host - The hostname or IP address of your Ollama server';
 $lang['ollama_port'] = 'Ollama Port - The port number on which Ollama is running';
 $lang['ollama_embeddings_model'] = 'Ollama Embeddings Model - The model name used for generating text embeddings';
@@ -36,7 +36,7 @@ $lang['js']['different_id_required'] = "Trebuie să introduceţi un ID diferit d
 $lang['js']['insert_template']          = 'Inserează șablon';
 $lang['js']['find_template']            = 'Caută șablon';
 $lang['js']['loading_actions']          = 'Se încarcă acţiunile DokuLLM...';
-$lang['js']['custom_prompt_placeholder']= 'Introduceţi promptul...';
+$lang['js']['custom_prompt_placeholder']= 'Introduceţi promptul sau /acţiune pentru a rula o acţiune...';
 $lang['js']['send']                     = 'Trimite';
 $lang['js']['error_loading_dokullm']    = 'Pagina de profil DokuLLM nu a fost găsită. Verificaţi spaţiul de nume „dokullm:”.';
 $lang['js']['no_text_provided']         = 'Vă rugăm să selectaţi text sau să introduceţi conţinut pentru procesare';
@@ -53,8 +53,149 @@ $lang['js']['no_text_provided']         = 'Vă rugăm să selectaţi text sau s
 $lang['js']['template_found']           = 'Șablon găsit şi inserat: ';
 $lang['js']['no_template_found']        = 'Nu a fost găsit niciun şablon potrivit pentru acest conţinut.';
 $lang['js']['loading_template']         = 'Se încarcă şablonul...';
+$lang['js']['cancel']                   = 'Anulează';
+$lang['js']['cancel_title']             = 'Anulează cererea în curs';
+$lang['js']['request_timeout']          = 'Cererea nu s-a încheiat în %s secunde şi a fost anulată.';
+$lang['js']['undo']                     = 'Anulează AI';
+$lang['js']['undo_title']               = 'Anulează ultima modificare DokuLLM (Ctrl+Alt+Z)';
+$lang['js']['redo']                     = 'Refă AI';
+$lang['js']['redo_title']               = 'Refă ultima modificare DokuLLM anulată (Ctrl+Alt+Y)';
+$lang['js']['history_title']            = 'Modificări DokuLLM recente';
+$lang['js']['history_undo_to']          = 'Anulează această modificare şi toate cele ulterioare';
+$lang['js']['history_conflict']         = 'Textul a fost modificat după această modificare DokuLLM. Aceste schimbări se vor pierde. Continuaţi?';
+$lang['js']['history_continue']         = 'Continuă';
+$lang['js']['section_mode']             = 'Secţiunea curentă';
+$lang['js']['section_mode_title']       = 'Când nu este selectat nimic, procesează doar secţiunea care conţine cursorul';
+$lang['js']['review_changes']           = 'Revizuieşte modificările';
+$lang['js']['review_changes_title']     = 'Afişează modificările şi alege care dintre ele se aplică';
+$lang['js']['review_title']             = 'Revizuire modificări';
+$lang['js']['review_summary']           = '%1 din %2 modificări acceptate. Apăsaţi pe o modificare pentru a o accepta sau respinge.';
+$lang['js']['review_toggle']            = 'Apăsaţi pentru a accepta sau respinge această modificare';
+$lang['js']['review_accept_all']        = 'Acceptă tot';
+$lang['js']['review_reject_all']        = 'Respinge tot';
+$lang['js']['review_apply']             = 'Aplică';
+$lang['js']['unknown_result_mode']      = 'Mod de rezultat necunoscut: ';
+$lang['js']['new_section_title']        = 'Rezultat';
+$lang['js']['chat']                     = 'Chat';
+$lang['js']['chat_title']               = 'Chat DokuLLM';
+$lang['js']['chat_placeholder']         = 'Întrebaţi despre pagină sau cereţi modificări... (Enter pentru trimitere, Shift+Enter pentru rând nou)';
+$lang['js']['chat_clear']               = 'Şterge';
+$lang['js']['chat_clear_title']         = 'Începe o conversaţie nouă';
+$lang['js']['chat_dock_side']           = 'Ancorează lateral';
+$lang['js']['chat_dock_bottom']         = 'Ancorează sub editor';
+$lang['js']['chat_insert']              = 'Inserează la cursor';
+$lang['js']['chat_replace']             = 'Înlocuieşte selecţia';
+$lang['js']['chat_replace_title']       = 'Înlocuieşte textul selectat sau întreaga pagină dacă nu este selectat nimic';
+$lang['js']['actions_group']            = 'Acţiuni DokuLLM';
+$lang['js']['palette_placeholder']      = 'Căutaţi acţiuni DokuLLM...';
+$lang['js']['palette_no_match']         = 'Nicio acţiune potrivită';
+$lang['js']['unknown_command']          = 'Comandă necunoscută: ';
+$lang['js']['prompt_history']           = 'Istoricul prompturilor';
+$lang['js']['prompt_search']            = 'Căutaţi prompturi...';
+$lang['js']['prompt_history_empty']     = 'Niciun prompt încă';
+$lang['js']['prompt_pin']               = 'Fixează';
+$lang['js']['prompt_unpin']             = 'Anulează fixarea';
+$lang['js']['prompt_delete']            = 'Elimină din istoric';
+$lang['js']['prompt_export']            = 'Exportă ca acţiune de profil';
+$lang['js']['prompt_export_id']         = 'ID-ul acţiunii pentru acest prompt:';
+$lang['js']['prompt_export_row']        = 'Adăugaţi acest rând în tabelul de acţiuni din %s:';
+$lang['js']['prompt_export_page']       = 'Creaţi pagina de prompt %s cu acest conţinut:';
+$lang['js']['params_run']               = 'Rulează';
+$lang['js']['profile']                  = 'Profil';
+$lang['js']['profile_title']            = 'Profilul DokuLLM, setul de acţiuni şi prompturi folosit';
+$lang['js']['profile_automatic']        = 'Automat (%s)';
+$lang['js']['profile_page_title']       = 'Profilul este stabilit de pagină';
+$lang['js']['metadata']                 = 'Metadate';
+$lang['js']['metadata_title']           = 'Metadatele paginii';
+$lang['js']['metadata_template']        = 'Şablon';
+$lang['js']['metadata_previous']        = 'Document anterior';
+$lang['js']['metadata_examples']        = 'Exemple';
+$lang['js']['metadata_add_example']     = 'Adaugă exemplu';
+$lang['js']['metadata_move_up']         = 'Mută în sus';
+$lang['js']['metadata_move_down']       = 'Mută în jos';
+$lang['js']['metadata_remove']          = 'Elimină';
+$lang['js']['metadata_apply']           = 'Aplică';
+$lang['js']['metadata_section_edit']    = 'Editaţi întreaga pagină pentru a modifica metadatele.';
+$lang['js']['metadata_page_placeholder'] = 'ID pagină';
+$lang['js']['metadata_page_missing']    = 'Pagina nu există';
+$lang['js']['metadata_page_unreadable'] = 'Pagina nu poate fi citită';
+$lang['js']['loading']                  = 'Se încarcă...';
+$lang['js']['template_candidates']      = 'Alegeţi un şablon';
+$lang['js']['template_namespace']       = 'Spaţiu de nume (opţional)';
+$lang['js']['template_filter']          = 'Filtrează';
+$lang['js']['template_use']             = 'Foloseşte şablonul';
+$lang['js']['template_preview_inline']  = 'Previzualizare lângă editor';
+$lang['js']['template_preview']         = 'Previzualizare şablon: ';
+$lang['js']['related']                  = 'Înrudite';
+$lang['js']['related_title']            = 'Pagini înrudite';
+$lang['js']['related_search']           = 'Caută';
+$lang['js']['related_search_title']     = 'Caută pentru selecţie sau secţiunea curentă';
+$lang['js']['related_none']             = 'Nu s-au găsit pagini înrudite.';
+$lang['js']['related_link']             = 'Legătură';
+$lang['js']['related_link_title']       = 'Inserează o legătură către pagină la cursor';
+$lang['js']['related_snippet']          = 'Fragment';
+$lang['js']['related_snippet_title']    = 'Inserează fragmentul la cursor';
+$lang['js']['related_example']          = 'Exemplu';
+$lang['js']['related_example_title']    = 'Adaugă pagina la exemplele acestei pagini';
+$lang['js']['related_previous']         = 'Anterior';
+$lang['js']['related_previous_title']   = 'Stabileşte pagina ca document anterior al acestei pagini';
+$lang['js']['trace_title']              = 'Cum a fost obţinut';
+$lang['js']['trace_characters']         = '%d caractere';
+$lang['js']['trace_cached']             = 'din cache';
+$lang['js']['trace_cutoff_tool']        = 'Unelte dezactivate: %s a fost apelat de %d ori (limita %l)';
+$lang['js']['trace_cutoff_total']       = 'Unelte dezactivate: %d apeluri de unelte (limita %l)';
+$lang['js']['context_warning']          = 'Cererea are aproximativ %t tokeni, care împreună cu cei %r tokeni rezervaţi pentru răspuns depăşesc probabil contextul de %l tokeni. Cererea poate eşua sau modelul poate ignora o parte din text. Trimiteţi oricum?';
+$lang['js']['context_send']             = 'Trimite oricum';
+$lang['js']['response_truncated']       = 'Răspunsul a atins limita de %d tokeni şi a fost trunchiat.';
+$lang['js']['usage_total']              = '%d tokeni';
+$lang['js']['usage_session']            = 'În această sesiune: %n cereri, %p tokeni în prompt şi %c în răspuns';
+$lang['js']['usage_last']               = 'Ultima cerere: %m, %p tokeni în prompt şi %c în răspuns în %s secunde';
+$lang['js']['chunk_progress']           = 'Partea %n din %t';
+$lang['js']['chunk_combining']          = 'Combinarea părţilor';
+$lang['js']['chunk_retry']              = 'Partea %n din %t a eşuat: %s. Reîncercaţi?';
+$lang['js']['chunk_retry_button']       = 'Reîncearcă';
+$lang['js']['chunk_stop']               = 'Opreşte';
+$lang['js']['error']                    = 'Eroare';
+$lang['js']['error_config']             = 'Problemă de configurare DokuLLM';
+$lang['js']['error_config_hint']        = 'Verificaţi setările modulului şi paginile de profil din spaţiul dokullm sau contactaţi administratorul wiki.';
+$lang['js']['error_llm']                = 'Modelul de limbaj a eşuat';
+$lang['js']['error_llm_hint']           = 'Serviciul LLM nu a procesat cererea. Încercaţi mai târziu sau cu un text mai scurt.';
+$lang['js']['error_chromadb']           = 'Căutarea ChromaDB a eşuat';
+$lang['js']['error_chromadb_hint']      = 'Verificaţi că ChromaDB şi serviciul de embeddings funcţionează şi sunt configurate corect.';
+$lang['js']['error_permission']         = 'Acces interzis';
+$lang['js']['error_permission_hint']    = 'Nu aveţi dreptul să faceţi aceasta. Autentificaţi-vă sau cereţi acces la paginile implicate.';
+$lang['js']['error_input']              = 'Cerere invalidă';
+$lang['js']['error_network']            = 'Problemă de conexiune';
+$lang['js']['error_network_hint']       = 'Wiki-ul nu a putut fi contactat. Verificaţi conexiunea şi încercaţi din nou.';
+$lang['js']['range_busy']               = 'Acest text este deja procesat de altă acţiune. Aşteptaţi rezultatul ei sau selectaţi altă parte a paginii.';
+$lang['js']['range_conflict']           = 'Textul procesat de „%s” a fost modificat între timp. Îl înlocuiţi cu rezultatul? Modificările făcute în el se vor pierde.';
+$lang['js']['range_replace']            = 'Înlocuieşte';
+$lang['js']['range_keep']               = 'Păstrează modificările mele';
+$lang['js']['variants_title']           = 'Variante';
+$lang['js']['variant']                  = 'Varianta %s';
+$lang['js']['variant_use']              = 'Foloseşte-o pe aceasta';
+$lang['js']['variants_regenerate']      = 'Regenerează';
+$lang['js']['variants_regenerate_title'] = 'Cere variante noi cu acelaşi text şi aceleaşi instrucţiuni';
+$lang['js']['autocomplete']             = 'Completare automată';
+$lang['js']['autocomplete_title']       = 'După o pauză în scriere, sugerează o continuare; apăsaţi Tab pentru a o accepta';
+$lang['js']['placeholders_fill']        = 'Completează substituenţii';
+$lang['js']['placeholders_fill_title']  = 'Sugerează valorile substituenţilor din şablon pe baza notiţelor';
+$lang['js']['placeholders_notes']       = 'Notiţe cu valorile substituenţilor';
+$lang['js']['placeholders_suggest']     = 'Sugerează valori';
+$lang['js']['placeholders_apply']       = 'Aplică';
+$lang['js']['placeholders_none']        = 'Pagina nu are substituenţi de completat.';
+$lang['js']['stream_interrupted']       = 'Fluxul de răspuns s-a întrerupt neaşteptat.';
 
 $lang['template_not_found']     = 'Şablonul nu a fost găsit: ';
 $lang['no_text_provided']       = 'Niciun text furnizat';
 $lang['unauthorized']           = 'Nu aveţi permisiunea de a citi acest fişier: ';
-$lang['error_finding_template'] = 'Eroare la găsirea şablonului: ';
\ No newline at end of file
+$lang['unauthorized_edit']      = 'Nu aveţi permisiunea de a modifica această pagină: ';
+$lang['error_finding_template'] = 'Eroare la găsirea şablonului: ';
+$lang['prompt_storage_unavailable'] = 'Istoricul prompturilor nu poate fi stocat pe server';
+$lang['invalid_parameter_definition'] = 'Definiţie de parametru nevalidă: %s';
+$lang['invalid_parameter_value'] = 'Valoare nevalidă pentru parametrul „%s”';
+$lang['profile_unavailable']    = 'Profilul nu există sau nu poate fi citit: ';
+$lang['model_not_allowed']      = 'Modelul „%s” nu poate fi ales de pagini';
+$lang['invalid_directive_value'] = 'Valoare nevalidă pentru directiva %s';
+$lang['chromadb_disabled']      = 'Integrarea ChromaDB este dezactivată';
+$lang['unknown_result_mode']    = 'Mod de rezultat necunoscut „%s” pentru acţiunea „%s”';
\ No newline at end of file
@@ -8,14 +8,42 @@ $lang['api_url']                = 'URL endpoint API LLM';
 $lang['api_key']                = 'Cheie API pentru autentificarea cu serviciul LLM';
 $lang['model']                  = 'Nume model utilizat pentru procesarea textului';
 $lang['timeout']                = 'Timeout cerere (secunde)';
+$lang['client_timeout']         = 'Timeout cerere în browser (secunde, 0 pentru dezactivare) – browserul anulează cererile care durează mai mult';
+$lang['max_tokens']             = 'Număr maxim de tokeni în răspuns (0 pentru limita API-ului) – răspunsurile mai lungi sunt trunchiate';
+$lang['context_limit']          = 'Dimensiunea contextului modelului (tokeni, 0 pentru dezactivare) – avertizează înainte de cererile care îl depășesc probabil';
+$lang['chunk_size']             = 'Dimensiunea fragmentelor (caractere, 0 pentru dezactivare) – textele mai lungi sunt procesate pe bucăți, una după alta';
+$lang['variants']               = 'Variante – numărul de rezultate alternative cerute prin Shift+clic pe o acțiune';
 $lang['profile']                = 'Profil prompt';
+$lang['profile_map']            = 'Profiluri pe spații de nume – intrări spațiu=profil separate prin virgulă, stabilind profilul implicit al paginilor dintr-un spațiu de nume';
 $lang['temperature']            = 'Temperatură (0.0‑1.0) – valori mai mici produc un output mai concentrat';
 $lang['top_p']                  = 'Top‑P (Nucleus Sampling) – controlează diversitatea răspunsurilor';
 $lang['top_k']                  = 'Top‑K – limitează selecția token‑urilor la primele K opțiuni';
 $lang['min_p']                  = 'Min‑P – pragul minim de probabilitate pentru selecția token‑urilor';
+$lang['history_size']           = 'Dimensiune istoric – numărul de modificări DokuLLM care pot fi anulate';
+$lang['section_mode']           = 'Secţiunea curentă implicit – când nu este selectat nimic, procesează doar secţiunea care conţine cursorul în locul întregii pagini';
+$lang['review_changes']         = 'Revizuire modificări implicit – afişează diferenţele şi permite acceptarea sau respingerea fiecărei modificări înainte de aplicare';
+$lang['autocomplete']           = 'Completare automată implicit – după o pauză în scriere, sugerează o continuare la cursor, acceptată cu Tab';
+$lang['autocomplete_delay']     = 'Întârziere completare automată (milisecunde) – pauza în scriere după care se cere o continuare';
+$lang['toolbar_mode']           = 'Amplasarea butoanelor de acţiuni – unde sunt afişate butoanele acţiunilor din profil în editor';
+$lang['toolbar_mode_o_separate'] = 'Bara de instrumente DokuLLM';
+$lang['toolbar_mode_o_native_group'] = 'Bara de instrumente a editorului, ca listă derulantă';
+$lang['toolbar_mode_o_native_buttons'] = 'Bara de instrumente a editorului, ca butoane';
+$lang['prompt_storage']         = 'Stocarea istoricului de prompturi – unde sunt păstrate istoricul şi prompturile fixate ale câmpului de prompt personalizat';
+$lang['prompt_storage_o_browser'] = 'Browser';
+$lang['prompt_storage_o_server'] = 'Server, pentru fiecare utilizator';
+$lang['language']               = 'Limba rezultatului – valoarea substituentului {language} din prompturi';
+$lang['page_overrides']         = 'Suprascrieri în pagini – setările pe care paginile le pot schimba cu directive ~~LLM_CHEIE:valoare~~';
+$lang['page_overrides_model']   = 'Model (~~LLM_MODEL~~)';
+$lang['page_overrides_temperature'] = 'Temperatură (~~LLM_TEMPERATURE~~)';
+$lang['page_overrides_language'] = 'Limba rezultatului (~~LLM_LANGUAGE~~)';
+$lang['page_overrides_profile'] = 'Profil (~~LLM_PROFILE~~)';
+$lang['allowed_models']         = 'Modele permise – modelele, separate prin virgulă, pe care le pot alege paginile';
+$lang['temperature_min']        = 'Temperatura minimă în pagini – cea mai mică temperatură pe care o pot alege paginile';
+$lang['temperature_max']        = 'Temperatura maximă în pagini – cea mai mare temperatură pe care o pot alege paginile';
 $lang['show_copy_button']       = 'Afișează butonul „Copy Page” în bara de instrumente';
 $lang['replace_id']             = 'Înlocuiește ID‑ul șablonului la copiere';
 $lang['think']                  = 'Activează „Thinking” în răspunsurile LLM pentru procesare mai profundă';
+$lang['stream']                 = 'Transmite răspunsurile LLM în timp real în editor și în fereastra de rezultat';
 $lang['use_tools']              = 'Activează utilizarea instrumentelor în răspunsurile LLM pentru capabilități extinse';
 $lang['enable_chromadb']        = 'Activează integrarea ChromaDB – când este activată, funcționalitățile ChromaDB vor fi disponibile pentru stocarea și recuperarea documentelor';
 $lang['chroma_host']            = 'Host ChromaDB – numele de gazdă sau adresa IP a serverului ChromaDB';
@@ -23,6 +51,7 @@ $lang['chroma_port']            = 'Port ChromaDB – numărul portului pe care r
 $lang['chroma_tenant']          = 'Tenant ChromaDB – numele tenantului pentru organizarea în ChromaDB';
 $lang['chroma_database']        = 'Bază de date ChromaDB – numele bazei de date în cadrul tenantului ChromaDB';
 $lang['chroma_collection']      = 'Colecție ChromaDB – numele colecției implicite pentru stocarea documentelor';
+$lang['template_candidates']    = 'Șabloane propuse – numărul de șabloane potrivite oferite de „Find Template”';
 $lang['ollama_host']            = 'Host Ollama – numele de gazdă sau adresa IP a serverului Ollama';
 $lang['ollama_port']            = 'Port Ollama – numărul portului pe care rulează Ollama';
 $lang['ollama_embeddings_model']= 'Model embeddings Ollama – numele modelului utilizat pentru generarea de embeddings text';
\ No newline at end of file
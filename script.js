@@ -9,9 +9,13 @@
  * - Context-aware text processing with metadata support
  * - Template content insertion
  * - Custom prompt input
- * - Selected text processing
+ * - Selected text or current section processing
  * - Full page content processing
  * - Text analysis in modal dialog
+ * - Streaming of the LLM output while it is generated
+ * - Undo/redo history of the edits applied by DokuLLM
+ * - Optional review of the changes, accepting or rejecting each of them
+ * - Chat panel for refining the results over several turns
  */
 
 (function() {
@@ -20,6 +24,9 @@
     // Load language strings from JSINFO
     const lang = typeof JSINFO !== 'undefined' && JSINFO.plugins && JSINFO.plugins.dokullm ? JSINFO.plugins.dokullm.lang : {};
 
+    // Load plugin settings from JSINFO
+    const settings = typeof JSINFO !== 'undefined' && JSINFO.plugins && JSINFO.plugins.dokullm ? JSINFO.plugins.dokullm : {};
+
     /**
      * Initialize the plugin when the DOM is ready
      * 
@@ -40,6 +47,18 @@
             // Add DokuLLM tools to the editor
             console.log('DokuLLM: Adding DokuLLM tools to editor');
             addDokuLLMTools();
+            
+            // Follow the edits made while actions are running
+            watchTrackedRanges(document.getElementById('wiki__text'));
+            
+            // Suggest continuations while typing, if enabled
+            watchCompletions(document.getElementById('wiki__text'));
+            
+            // Highlight the template placeholders, F8 and Shift+F8 jump between them
+            watchPlaceholders(document.getElementById('wiki__text'));
+            
+            // Keyboard shortcuts for undoing and redoing DokuLLM edits
+            document.addEventListener('keydown', handleHistoryShortcuts);
         }
         
         // Add event listener for copy button
@@ -111,7 +130,7 @@
             templateBtn.type = 'button';
             templateBtn.className = 'toolbutton';
             templateBtn.textContent = lang.insert_template || 'Insert Template';
-            templateBtn.addEventListener('click', () => insertTemplateContent(metadata.template));
+            templateBtn.addEventListener('click', (event) => insertTemplateContent(metadata.template, event));
             toolbar.appendChild(templateBtn);
         } else {
             // Add "Find Template" button if no template is defined and ChromaDB is enabled
@@ -128,11 +147,18 @@
             }
         }
         
+        // Add the profile selector and the container of the action buttons
+        const profileSelect = createProfileSelect();
+        toolbar.appendChild(profileSelect);
+        const actionsContainer = document.createElement('span');
+        actionsContainer.id = 'dokullm-actions';
+        toolbar.appendChild(actionsContainer);
+        
         // Add loading indicator while fetching actions
         const loadingIndicator = document.createElement('span');
         loadingIndicator.textContent = lang.loading_actions || 'Loading DokuLLM actions...';
         loadingIndicator.id = 'dokullm-loading';
-        toolbar.appendChild(loadingIndicator);
+        actionsContainer.appendChild(loadingIndicator);
         
         // Insert toolbar before the editor
         editor.parentNode.insertBefore(toolbar, editor);
@@ -162,13 +188,16 @@
         sendButton.addEventListener('click', () => processCustomPrompt(promptInput.value));
         
         customPromptContainer.appendChild(promptInput);
+        customPromptContainer.appendChild(addPromptHistory(promptInput));
         customPromptContainer.appendChild(sendButton);
+        loadPromptStore();
         
         // Insert custom prompt container after the editor
         editor.parentNode.insertBefore(customPromptContainer, editor.nextSibling);
         
-        // Fetch action definitions from the API
-        getActions()
+        // Fetch the profiles, then the action definitions of the selected one
+        loadProfiles(profileSelect)
+            .then(() => getActions())
             .then(actions => {
                 // Remove loading indicator
                 const loadingElement = document.getElementById('dokullm-loading');
@@ -176,20 +205,66 @@
                     loadingElement.remove();
                 }
                 
-                // Add buttons based on fetched actions
-                actions.forEach(action => {
-                    const btn = document.createElement('button');
-                    btn.type = 'button';
-                    btn.className = 'toolbutton';
-                    btn.textContent = action.label;
-                    btn.title = action.description || '';
-                    btn.dataset.action = action.id;
-                    btn.dataset.result = action.result;
-                    btn.addEventListener('click', function(event) {
-                        processDokuLLMAction(action.id, event);
-                    });
-                    toolbar.appendChild(btn);
-                });
+                // The command palette, the slash commands and the shortcuts use the loaded actions
+                addSlashCommands(promptInput);
+                document.addEventListener('keydown', handleActionShortcuts);
+                showActions(actions);
+                
+                // Add the button opening the chat panel
+                const chatButton = document.createElement('button');
+                chatButton.type = 'button';
+                chatButton.className = 'toolbutton dokullm-chat-toggle';
+                chatButton.textContent = lang.chat || 'Chat';
+                chatButton.title = lang.chat_title || 'DokuLLM Chat';
+                chatButton.addEventListener('click', toggleChatPanel);
+                toolbar.appendChild(chatButton);
+                
+                // Add the button opening the panel of the related pages, which needs ChromaDB
+                if (settings.enable_chromadb) {
+                    const relatedButton = document.createElement('button');
+                    relatedButton.type = 'button';
+                    relatedButton.className = 'toolbutton dokullm-related-toggle';
+                    relatedButton.textContent = lang.related || 'Related';
+                    relatedButton.title = lang.related_title || 'Related pages';
+                    relatedButton.addEventListener('click', toggleRelatedPanel);
+                    toolbar.appendChild(relatedButton);
+                }
+                
+                // Add the button opening the metadata panel
+                const metadataButton = document.createElement('button');
+                metadataButton.type = 'button';
+                metadataButton.className = 'toolbutton dokullm-metadata-toggle';
+                metadataButton.textContent = lang.metadata || 'Metadata';
+                metadataButton.title = lang.metadata_title || 'Page metadata';
+                metadataButton.addEventListener('click', toggleMetadataPanel);
+                toolbar.appendChild(metadataButton);
+                
+                // Add the button suggesting the values of the template placeholders
+                const placeholdersButton = document.createElement('button');
+                placeholdersButton.type = 'button';
+                placeholdersButton.className = 'toolbutton dokullm-placeholders-fill';
+                placeholdersButton.textContent = lang.placeholders_fill || 'Fill placeholders';
+                placeholdersButton.title = lang.placeholders_fill_title || 'Suggest the values of the template placeholders from notes';
+                placeholdersButton.addEventListener('click', fillPlaceholders);
+                toolbar.appendChild(placeholdersButton);
+                
+                // Add the undo/redo controls for DokuLLM edits
+                toolbar.appendChild(createHistoryControls());
+                
+                // Add the switch for processing only the current section
+                toolbar.appendChild(createToggle('section', lang.section_mode || 'Current section',
+                    lang.section_mode_title || 'When nothing is selected, process only the section containing the cursor', settings.section_mode));
+                
+                // Add the switch for reviewing the changes before applying them
+                toolbar.appendChild(createToggle('review', lang.review_changes || 'Review changes',
+                    lang.review_changes_title || 'Show the changes and choose which of them to apply', settings.review_changes));
+                
+                // Add the switch for suggesting continuations while typing
+                toolbar.appendChild(createToggle('autocomplete', lang.autocomplete || 'Autocomplete',
+                    lang.autocomplete_title || 'After a pause in typing, suggest a continuation; press Tab to accept it', settings.autocomplete));
+                
+                // Add the token usage of the session
+                toolbar.appendChild(createUsageDisplay());
                 
                 console.log('DokuLLM: DokuLLM toolbars added successfully');
             })
@@ -212,6 +287,520 @@
             });
     }
 
+    /**
+     * Create a DokuLLM toolbar button for an action
+     * 
+     * The button shows the icon of the action, or its label if the icon
+     * name from the profile does not match any bundled icon.
+     * 
+     * @param {Object} action - The action definition (id, label, description, iconUrl, result)
+     * @returns {HTMLButtonElement} The button
+     */
+    function createActionButton(action) {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'toolbutton';
+        btn.title = action.description || '';
+        btn.dataset.action = action.id;
+        btn.dataset.result = action.result;
+        if (action.iconUrl) {
+            const icon = document.createElement('img');
+            icon.src = action.iconUrl;
+            icon.alt = action.label;
+            btn.appendChild(icon);
+            btn.classList.add('dokullm-icon');
+            btn.title = action.label + (action.description ? ': ' + action.description : '');
+        } else {
+            btn.textContent = action.label;
+        }
+        if (action.shortcut) {
+            btn.title += ' (' + action.shortcut + ')';
+        }
+        btn.addEventListener('click', function(event) {
+            processDokuLLMAction(action, btn, '', null, getVariantCount(action, event.shiftKey));
+        });
+        // Actions with an invalid definition are shown, but cannot be used
+        if (action.error) {
+            console.warn('DokuLLM: ' + action.error);
+            btn.disabled = true;
+            btn.classList.add('dokullm-invalid');
+            btn.title = action.error;
+        }
+        return btn;
+    }
+    
+    /**
+     * Add the actions to DokuWiki's editor toolbar
+     * 
+     * The actions are added to the global toolbar definition used by
+     * initToolbar, as buttons of the 'dokullm' type handled by tb_dokullm,
+     * either individually or grouped in a picker. If the editor toolbar is
+     * already initialized, the new entries are added to it directly.
+     * Actions with an invalid definition are left out.
+     * 
+     * @param {Array<Object>} actions - The action definitions
+     * @param {boolean} grouped - Whether to group the actions in a picker
+     * @returns {boolean} False if there is no editor toolbar to add the actions to
+     */
+    function addNativeToolbarActions(actions, grouped) {
+        const toolbarElement = document.getElementById('tool__bar');
+        if (!toolbarElement || typeof window.toolbar === 'undefined' || typeof initToolbar !== 'function') {
+            console.log('DokuLLM: Editor toolbar not found, using the DokuLLM toolbar');
+            return false;
+        }
+        
+        const buttons = [];
+        actions.forEach(action => {
+            if (action.error) {
+                console.warn('DokuLLM: ' + action.error);
+                return;
+            }
+            buttons.push({
+                type: 'dokullm',
+                title: action.label + (action.description ? ': ' + action.description : '') + (action.shortcut ? ' (' + action.shortcut + ')' : ''),
+                icon: action.iconUrl || settings.default_icon,
+                'class': 'dokullm-native',
+                dokullm: action
+            });
+        });
+        const entries = grouped ? [{
+            type: 'picker',
+            title: lang.actions_group || 'DokuLLM actions',
+            icon: settings.default_icon,
+            'class': 'dokullm-picker',
+            list: buttons
+        }] : buttons;
+        
+        // The editor toolbar is initialized when the page is loaded, usually before the actions
+        const initialized = toolbarElement.children.length > 0;
+        window.toolbar.push(...entries);
+        if (initialized) {
+            initToolbar('tool__bar', 'wiki__text', entries);
+        }
+        return true;
+    }
+    
+    /**
+     * Remove the DokuLLM buttons from the editor toolbar
+     * 
+     * Used before adding the actions of another profile. The picker of
+     * the grouped actions has the same class as its button.
+     */
+    function removeNativeToolbarActions() {
+        if (Array.isArray(window.toolbar)) {
+            for (let i = window.toolbar.length - 1; i >= 0; i--) {
+                if (window.toolbar[i].type === 'dokullm' || window.toolbar[i]['class'] === 'dokullm-picker') {
+                    window.toolbar.splice(i, 1);
+                }
+            }
+        }
+        document.querySelectorAll('.dokullm-native, .dokullm-picker').forEach(element => element.remove());
+    }
+    
+    /**
+     * Show the buttons of the loaded actions
+     * 
+     * Replaces the buttons of the previously loaded profile, in the DokuLLM
+     * toolbar or in the editor toolbar, depending on the toolbar_mode setting.
+     * 
+     * @param {Array} actions - The action definitions
+     */
+    function showActions(actions) {
+        loadedActions = actions;
+        updateSlashCommands();
+        
+        const container = document.getElementById('dokullm-actions');
+        container.replaceChildren();
+        removeNativeToolbarActions();
+        
+        // Add buttons based on fetched actions, to the editor toolbar if configured
+        const native = settings.toolbar_mode === 'native_group' || settings.toolbar_mode === 'native_buttons';
+        if (!native || !addNativeToolbarActions(actions, settings.toolbar_mode === 'native_group')) {
+            actions.forEach(action => container.appendChild(createActionButton(action)));
+        }
+    }
+    
+    /**
+     * Handle a click on a DokuLLM button of the editor toolbar
+     * 
+     * DokuWiki calls tb_<type> functions for the toolbar buttons of that
+     * type, including the buttons in pickers.
+     * 
+     * @param {jQuery|HTMLElement} btn - The clicked button
+     * @param {Object} props - The button definition, with the action in props.dokullm
+     * @param {string} edid - The ID of the editor textarea
+     * @returns {boolean} False, to prevent the default action
+     */
+    window.tb_dokullm = function(btn, props, edid) {
+        if (typeof pickerClose === 'function') {
+            pickerClose();
+        }
+        // DokuWiki does not pass the click event, the modifier keys are read from the current one
+        const shiftKey = !!(window.event && window.event.shiftKey);
+        processDokuLLMAction(props.dokullm, btn.jquery ? btn[0] : btn, '', null, getVariantCount(props.dokullm, shiftKey));
+        return false;
+    };
+    
+    /**
+     * Get the number of variants to request for an action
+     * 
+     * Shift+click requests the number of variants set in the configuration,
+     * a plain click the number in the Variants column of the profile table.
+     * 
+     * @param {Object} action - The action definition
+     * @param {boolean} shiftKey - Whether the Shift key was held down
+     * @returns {number} The number of variants, 0 or 1 for a single result
+     */
+    function getVariantCount(action, shiftKey) {
+        return parseInt(shiftKey ? settings.variants : action.variants, 10) || 0;
+    }
+    
+    /**
+     * The actions loaded from the profile, used by the palette and the slash commands
+     */
+    let loadedActions = [];
+    
+    /**
+     * Find the DokuLLM button of an action, to show the processing state on it
+     * 
+     * @param {Object} action - The action definition
+     * @returns {HTMLElement|null} The button, or null if the action has no visible button
+     */
+    function findActionButton(action) {
+        return document.querySelector('#dokullm-toolbar button[data-action="' + CSS.escape(action.id) + '"]');
+    }
+    
+    /**
+     * Run an action from the keyboard
+     * 
+     * Actions can run at the same time on different parts of the page,
+     * see isRangeBusy.
+     * 
+     * @param {Object} action - The action definition
+     * @param {string} prompt - Optional instructions for the action prompt
+     */
+    function runAction(action, prompt = '') {
+        const editor = document.getElementById('wiki__text');
+        if (!editor || action.error) {
+            return;
+        }
+        // Return to the editor, keeping its selection
+        editor.focus();
+        processDokuLLMAction(action, findActionButton(action), prompt);
+    }
+    
+    /**
+     * Score how well a query matches a text
+     * 
+     * The characters of the query must appear in the text in the same order.
+     * Consecutive characters and characters at the start of words score more,
+     * so "fg" matches "Fix Grammar" better than "Configure".
+     * 
+     * @param {string} query - The search query
+     * @param {string} text - The text to search in
+     * @returns {number} The score, or -1 if the text does not match
+     */
+    function fuzzyScore(query, text) {
+        query = query.toLowerCase();
+        text = (text || '').toLowerCase();
+        if (!query) {
+            return 0;
+        }
+        let score = 0;
+        let position = 0;
+        let previous = -2;
+        for (const char of query) {
+            const index = text.indexOf(char, position);
+            if (index === -1) {
+                return -1;
+            }
+            score += 1;
+            if (index === previous + 1) {
+                score += 2;
+            }
+            if (index === 0 || /[\s_:\-]/.test(text.charAt(index - 1))) {
+                score += 3;
+            }
+            previous = index;
+            position = index + 1;
+        }
+        // Prefer shorter texts for the same matches
+        return score - text.length / 100;
+    }
+    
+    /**
+     * Find the actions matching a query, the best matches first
+     * 
+     * The label and the ID are searched, the description counts less.
+     * 
+     * @param {string} query - The search query
+     * @returns {Array<Object>} The matching action definitions
+     */
+    function searchActions(query) {
+        return loadedActions
+            .filter(action => !action.error)
+            .map(action => ({
+                action: action,
+                score: Math.max(fuzzyScore(query, action.label), fuzzyScore(query, action.id), fuzzyScore(query, action.description) / 2)
+            }))
+            .filter(match => match.score >= 0)
+            .sort((a, b) => b.score - a.score)
+            .map(match => match.action);
+    }
+    
+    /**
+     * Open the command palette
+     * 
+     * Shows a search box over the editor listing the actions that match
+     * the typed text. The arrow keys select an action, Enter runs it and
+     * Escape closes the palette.
+     */
+    function openCommandPalette() {
+        if (document.getElementById('dokullm-palette') || !loadedActions.length) {
+            return;
+        }
+        const overlay = document.createElement('div');
+        overlay.id = 'dokullm-palette';
+        overlay.className = 'dokullm-palette-overlay';
+        const palette = document.createElement('div');
+        palette.className = 'dokullm-palette';
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'dokullm-palette-input';
+        input.placeholder = lang.palette_placeholder || 'Search DokuLLM actions...';
+        const list = document.createElement('ul');
+        list.className = 'dokullm-palette-list';
+        palette.appendChild(input);
+        palette.appendChild(list);
+        overlay.appendChild(palette);
+        
+        let matches = [];
+        let selected = 0;
+        const close = () => {
+            overlay.remove();
+            const editor = document.getElementById('wiki__text');
+            if (editor) {
+                editor.focus();
+            }
+        };
+        const run = action => {
+            overlay.remove();
+            runAction(action);
+        };
+        const render = () => {
+            matches = searchActions(input.value.trim());
+            selected = Math.min(selected, Math.max(matches.length - 1, 0));
+            list.innerHTML = '';
+            matches.forEach((action, index) => {
+                const item = document.createElement('li');
+                item.className = index === selected ? 'dokullm-palette-selected' : '';
+                const label = document.createElement('strong');
+                label.textContent = action.label;
+                item.appendChild(label);
+                if (action.shortcut) {
+                    const shortcut = document.createElement('kbd');
+                    shortcut.textContent = action.shortcut;
+                    item.appendChild(shortcut);
+                }
+                if (action.description) {
+                    const description = document.createElement('span');
+                    description.textContent = action.description;
+                    item.appendChild(description);
+                }
+                item.addEventListener('mousedown', event => {
+                    event.preventDefault();
+                    run(action);
+                });
+                list.appendChild(item);
+            });
+            if (!matches.length) {
+                const item = document.createElement('li');
+                item.className = 'dokullm-palette-empty';
+                item.textContent = lang.palette_no_match || 'No matching action';
+                list.appendChild(item);
+            }
+        };
+        
+        input.addEventListener('input', () => {
+            selected = 0;
+            render();
+        });
+        input.addEventListener('keydown', event => {
+            if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+                event.preventDefault();
+                if (matches.length) {
+                    selected = (selected + (event.key === 'ArrowDown' ? 1 : matches.length - 1)) % matches.length;
+                    render();
+                }
+            } else if (event.key === 'Enter') {
+                event.preventDefault();
+                if (matches[selected]) {
+                    run(matches[selected]);
+                }
+            } else if (event.key === 'Escape') {
+                event.preventDefault();
+                close();
+            }
+        });
+        overlay.addEventListener('mousedown', event => {
+            if (event.target === overlay) {
+                event.preventDefault();
+                close();
+            }
+        });
+        
+        document.body.appendChild(overlay);
+        render();
+        input.focus();
+    }
+    
+    /**
+     * Parse a key combination like "Ctrl+Alt+S"
+     * 
+     * The modifiers are Ctrl, Alt, Shift and Meta (or Cmd), the last part
+     * is the key, as reported by KeyboardEvent.key (e.g. "S", "F2", "Enter").
+     * 
+     * @param {string} text - The key combination
+     * @returns {Object|null} The combination, or null if the text is not valid
+     */
+    function parseShortcut(text) {
+        const parts = (text || '').split('+').map(part => part.trim().toLowerCase());
+        const key = parts.pop();
+        if (!key) {
+            return null;
+        }
+        const shortcut = {ctrl: false, alt: false, shift: false, meta: false, key: key};
+        for (const part of parts) {
+            if (part === 'ctrl' || part === 'control') {
+                shortcut.ctrl = true;
+            } else if (part === 'alt' || part === 'option') {
+                shortcut.alt = true;
+            } else if (part === 'shift') {
+                shortcut.shift = true;
+            } else if (part === 'meta' || part === 'cmd') {
+                shortcut.meta = true;
+            } else {
+                return null;
+            }
+        }
+        return shortcut;
+    }
+    
+    /**
+     * Check whether a keyboard event matches a key combination
+     * 
+     * @param {KeyboardEvent} event - The keydown event
+     * @param {Object} shortcut - The combination returned by parseShortcut
+     * @returns {boolean} True if the event matches
+     */
+    function matchesShortcut(event, shortcut) {
+        return event.ctrlKey === shortcut.ctrl && event.altKey === shortcut.alt &&
+            event.shiftKey === shortcut.shift && event.metaKey === shortcut.meta &&
+            ((event.key || '').toLowerCase() === shortcut.key || (event.code || '').toLowerCase() === 'key' + shortcut.key);
+    }
+    
+    /**
+     * Handle the keyboard shortcuts of the palette and of the actions
+     * 
+     * Ctrl+Shift+K opens the command palette; the actions with a Shortcut
+     * column in the profile table run with their key combination.
+     * 
+     * @param {KeyboardEvent} event - The keydown event
+     */
+    function handleActionShortcuts(event) {
+        if (matchesShortcut(event, parseShortcut('Ctrl+Shift+K'))) {
+            event.preventDefault();
+            openCommandPalette();
+            return;
+        }
+        if (document.getElementById('dokullm-palette')) {
+            return;
+        }
+        for (const action of loadedActions) {
+            const shortcut = action.shortcut ? parseShortcut(action.shortcut) : null;
+            if (shortcut && matchesShortcut(event, shortcut)) {
+                event.preventDefault();
+                runAction(action);
+                return;
+            }
+        }
+    }
+    
+    /**
+     * Run a slash command from the custom prompt input
+     * 
+     * The command "/summarize focus on costs" runs the summarize action
+     * with "focus on costs" as {prompt} placeholder value.
+     * 
+     * @param {string} command - The command text, starting with '/'
+     * @returns {boolean} True if the command was found and started
+     */
+    function runSlashCommand(command) {
+        const match = command.trim().match(/^\/(\S+)\s*([\s\S]*)$/);
+        const id = match ? match[1].toLowerCase() : '';
+        const action = loadedActions.find(action => action.id.toLowerCase() === id);
+        if (!action || action.error) {
+            showNotification((lang.unknown_command || 'Unknown command: ') + command.trim().split(/\s/)[0], 'warning');
+            return false;
+        }
+        runAction(action, match[2].trim());
+        return true;
+    }
+    
+    /**
+     * Add the slash command autocompletion to the custom prompt input
+     * 
+     * The actions are offered as suggestions of the input and Tab
+     * completes a partially typed command with the best match.
+     * 
+     * @param {HTMLInputElement} input - The custom prompt input
+     */
+    function addSlashCommands(input) {
+        const datalist = document.createElement('datalist');
+        datalist.id = 'dokullm-commands';
+        input.parentNode.appendChild(datalist);
+        
+        // Offer the suggestions only for commands, the arrow keys recall the prompt history otherwise
+        const updateList = () => {
+            if (input.value.startsWith('/')) {
+                input.setAttribute('list', datalist.id);
+            } else {
+                input.removeAttribute('list');
+            }
+        };
+        input.addEventListener('input', updateList);
+        updateList();
+        
+        input.addEventListener('keydown', event => {
+            const partial = input.value.match(/^\/(\S*)$/);
+            if (event.key !== 'Tab' || !partial) {
+                return;
+            }
+            const best = searchActions(partial[1])[0];
+            if (best) {
+                event.preventDefault();
+                input.value = '/' + best.id + ' ';
+            }
+        });
+    }
+    
+    /**
+     * Fill the suggestions of the slash commands with the loaded actions
+     */
+    function updateSlashCommands() {
+        const datalist = document.getElementById('dokullm-commands');
+        if (!datalist) {
+            return;
+        }
+        datalist.replaceChildren();
+        loadedActions.filter(action => !action.error).forEach(action => {
+            const option = document.createElement('option');
+            option.value = '/' + action.id + ' ';
+            option.label = action.label;
+            datalist.appendChild(option);
+        });
+    }
+    
     /**
      * Copy the current page to a new page ID
      * 
@@ -256,568 +845,4586 @@
      * Process text using the specified DokuLLM action
      * 
      * Gets the selected text (or full editor content), sends it to the
-     * backend for processing, and handles the result based on the button's
-     * dataset.result property ('replace', 'append', 'insert', 'show').
+     * backend for processing, and handles the result based on the result
+     * mode of the action (see placeResult() for the placement modes).
      * 
      * Preserves page metadata when doing full page updates.
-     * Shows loading indicators during processing.
+     * Shows loading indicators during processing. The editor stays editable,
+     * the processed range is tracked until the result is applied to it.
      * 
      * Complex logic includes:
      * 1. Determining text to process (selected vs full content)
-     * 2. Managing UI state during processing (loading indicators, readonly)
+     * 2. Managing UI state during processing (loading indicators, tracked range)
      * 3. Constructing and sending AJAX requests with proper metadata
      * 4. Handling response processing and error conditions
      * 5. Updating editor content while preserving metadata based on result handling mode
      * 6. Restoring UI state after processing
      * 
-     * @param {string} action - The action to perform (create, rewrite, etc.)
+     * @param {Object} action - The action definition (id, label, description, result)
+     * @param {HTMLElement|null} button - The button that triggered the action
+     * @param {string} prompt - Optional instructions, the value of the {prompt} placeholder
+     * @param {Object|null} params - The parameter values, asked for with a form if the action has parameters
+     * @param {number|null} variants - The number of variants to choose from, the Variants column of the action if null
      */
-    // Store selection range for processing
-    let currentSelectionRange = null;
-    
-    function processDokuLLMAction(action, event) {
-        console.log('DokuLLM: Processing text with action:', action);
+    function processDokuLLMAction(action, button, prompt = '', params = null, variants = null) {
+        console.log('DokuLLM: Processing text with action:', action.id);
+        // Ask for the parameter values first
+        if (action.parameters && action.parameters.length && params === null) {
+            showParametersForm(action).then(values => {
+                if (values) {
+                    processDokuLLMAction(action, button, prompt, values, variants);
+                }
+            });
+            return;
+        }
         const editor = document.getElementById('wiki__text');
         if (!editor) {
             console.log('DokuLLM: Editor not found');
             return;
         }
         
-        // Store the current selection range
-        currentSelectionRange = {
-            start: editor.selectionStart,
-            end: editor.selectionEnd
-        };
+        // The range to process, the selection or the current section
+        const range = getProcessingRange(editor);
+        
+        // Determine how to handle the result based on the action result mode
+        const resultHandling = action.result || 'replace';
+        const replacing = resultHandling === 'replace' || resultHandling === 'replace_section';
+        if (replacing && isRangeBusy(range)) {
+            console.log('DokuLLM: The range is already being processed');
+            showNotification(lang.range_busy || 'This text is already being processed by another action. Wait for its result or select another part of the page.', 'warning');
+            return;
+        }
         
         // Get metadata from the page
         const metadata = getMetadata();
         console.log('DokuLLM: Retrieved metadata:', metadata);
         
-        const selectedText = getSelectedText(editor);
+        const selectedText = editor.value.substring(range.start, range.end);
         const fullText = editor.value;
         const textToProcess = selectedText || fullText;
         console.log('DokuLLM: Text to process length:', textToProcess.length);
         
         if (!textToProcess.trim()) {
             console.log('DokuLLM: No text to process');
-            alert(lang.no_text_provided || 'Please select text or enter content to process');
+            showNotification(lang.no_text_provided || 'Please select text or enter content to process', 'warning');
             return;
         }
         
-        // Disable the entire toolbar and prompt input
-        const toolbar = document.getElementById('dokullm-toolbar');
-        const promptContainer = document.getElementById('dokullm-custom-prompt');
-        const promptInput = promptContainer ? promptContainer.querySelector('.dokullm-prompt-input') : null;
-        const buttons = toolbar.querySelectorAll('button:not(.dokullm-modal-close)');
+        // The label of the edit in the history
+        const actionLabel = action.label || action.id;
         
-        // Store original states for restoration
-        const originalStates = {
-            promptInput: promptInput ? promptInput.disabled : false,
-            buttons: []
-        };
+        // Show the processing state on the button, the editor and the other actions stay available
+        const restoreButton = setButtonBusy(button, lang.processing || 'Processing...');
         
-        // Disable prompt input if it exists
-        if (promptInput) {
-            originalStates.promptInput = promptInput.disabled;
-            promptInput.disabled = true;
-        }
+        // Track the processed range while the page is edited, unless the result is only shown
+        const tracked = resultHandling === 'show' ? null : trackRange(editor, range, replacing);
         
-        // Disable all buttons and store their original states
-        buttons.forEach(button => {
-            originalStates.buttons.push({
-                element: button,
-                text: button.textContent,
-                disabled: button.disabled
-            });
-            // Only change text of the button that triggered the action
-            if (event && event.target === button) {
-                button.textContent = lang.processing || 'Processing...';
-            }
-            button.disabled = true;
-        });
-        console.log('DokuLLM: Toolbar disabled, showing processing state');
+        // Allow cancelling the request from the toolbar
+        const request = startRequest(document.getElementById('dokullm-toolbar'), actionLabel);
         
-        // Make textarea readonly during processing
-        editor.readOnly = true;
+        const buttonTitle = action.description || actionLabel;
+        
+        // Build the request data for the whole text or for a chunk of it
+        const createFormData = (text) => {
+            const formData = new FormData();
+            formData.append('call', 'plugin_dokullm');
+            formData.append('action', action.id);
+            formData.append('text', text);
+            formData.append('prompt', prompt);
+            formData.append('params', JSON.stringify(params || {}));
+            appendProfile(formData);
+            appendMetadata(formData, metadata);
+            return formData;
+        };
+        
+        // Split long texts into chunks, leaving out the metadata directives of the page
+        const body = selectedText ? textToProcess : textToProcess.substring(extractMetadata(textToProcess).length);
+        const chunks = getChunkSize() && body.length > getChunkSize() ? splitIntoChunks(body, getChunkSize()) : [];
+        
+        // Request several variants to choose from, unless the text is processed in chunks
+        const variantCount = chunks.length ? 0 : (variants === null ? getVariantCount(action, false) : variants);
+        const createVariantsFormData = () => {
+            const formData = createFormData(textToProcess);
+            formData.append('variants', variantCount);
+            return formData;
+        };
         
         // Send AJAX request
         console.log('DokuLLM: Sending AJAX request to backend');
-        const formData = new FormData();
-        formData.append('call', 'plugin_dokullm');
-        formData.append('action', action);
-        formData.append('text', textToProcess);
-        formData.append('prompt', '');
-        // Append metadata fields generically
-        for (const [key, value] of Object.entries(metadata)) {
-            if (Array.isArray(value)) {
-                formData.append(key, value.join('\n'));
-            } else if (value) {
-                formData.append(key, value);
+        let streamView = null;
+        checkContextSize(chunks.length ? chunks.reduce((longest, chunk) => chunk.length > longest.length ? chunk : longest) : textToProcess, metadata, request)
+        .then(() => {
+            // Restart the deadline, the user may have been asked to confirm
+            request.touch();
+            if (chunks.length) {
+                console.log('DokuLLM: Processing the text in', chunks.length, 'chunks');
+                return processChunks(chunks, createFormData, request, resultHandling === 'show');
             }
-        }
-        
-        fetch(DOKU_BASE + 'lib/exe/ajax.php', {
-            method: 'POST',
-            body: formData
-        })
-        .then(response => {
-            if (!response.ok) {
-                return response.text().then(text => {
-                    throw new Error((lang.backend_error || 'Network response was not ok: ') + response.status + ' ' + response.statusText + ' - ' + text);
-                });
+            if (variantCount > 1) {
+                console.log('DokuLLM: Requesting', variantCount, 'variants');
+                return fetchResult(createVariantsFormData(), request);
             }
-            console.log('DokuLLM: Received response from backend');
-            return response.json();
+            const formData = createFormData(textToProcess);
+            // Show the streamed text live in the modal or in a preview above the editor
+            if (isStreamingEnabled()) {
+                streamView = resultHandling === 'show' ? showModal('', action.id, buttonTitle) : createStreamPreview(editor, buttonTitle);
+            }
+            return streamView ? streamRequest(formData, streamView, request) : fetchResult(formData, request);
         })
-        .then(data => {
-            if (data.error) {
-                console.log('DokuLLM: Error from backend:', data.error);
-                throw new Error(data.error);
+        .then(({result: cleanedResult, thinking: thinkingContent, trace, variants: resultVariants}) => {
+            console.log('DokuLLM: Processing successful, result length:', cleanedResult.length);
+            
+            // Show thinking content in modal if it exists and was not streamed live
+            if (resultHandling !== 'show' && thinkingContent && !streamView) {
+                showModal(thinkingContent, 'thinking', lang.thinking_process || 'AI Thinking Process');
+            }
+            // Show the tool calls above the editor when the result goes into the page
+            if (resultHandling !== 'show') {
+                showTrace(editor, buttonTitle, trace, streamView);
             }
             
-            console.log('DokuLLM: Processing successful, result length:', data.result.length);
-            
-            // Remove some part
-            const [thinkingContent, cleanedResult] = removeBetweenXmlTags(data.result, 'think');
-
-            // Determine how to handle the result based on button's dataset.result property
-            const resultHandling = event.target.dataset.result || 'replace';
+            // Let the user choose a variant, then handle it like a single result
+            if (resultVariants) {
+                // The request is done, stop its deadline while the user chooses
+                request.finish();
+                return showVariantsModal(resultVariants, buttonTitle, resultHandling !== 'show', regenerateRequest => {
+                    return fetchResult(createVariantsFormData(), regenerateRequest).then(data => data.variants);
+                }).then(chosen => {
+                    if (chosen === null) {
+                        return false;
+                    }
+                    console.log('DokuLLM: Applying the chosen variant using mode:', resultHandling);
+                    return applyTrackedResult(editor, tracked, chosen, resultHandling, actionLabel);
+                });
+            }
             
             // Replace selected text or handle result based on resultHandling
             if (resultHandling === 'show') {
                 console.log('DokuLLM: Showing result in modal');
-                const buttonTitle = event.target.title || action;
-                showModal(cleanedResult, action, buttonTitle);
-            } else if (resultHandling === 'append') {
-                console.log('DokuLLM: Appending result to existing text');
-                // Append to the end of existing content (preserving metadata)
-                const metadata = extractMetadata(editor.value);
-                const contentWithoutMetadata = editor.value.substring(metadata.length);
-                editor.value = metadata + contentWithoutMetadata + '\n\n' + cleanedResult;
-                // Show thinking content in modal if it exists and thinking is enabled
-                if (thinkingContent) {
-                    showModal(thinkingContent, 'thinking', lang.thinking_process || 'AI Thinking Process');
-                }
-            } else if (resultHandling === 'insert') {
-                console.log('DokuLLM: Inserting result before existing text');
-                // Insert before existing content (preserving metadata)
-                const metadata = extractMetadata(editor.value);
-                const contentWithoutMetadata = editor.value.substring(metadata.length);
-                editor.value = metadata + cleanedResult + '\n\n' + contentWithoutMetadata;
-                // Show thinking content in modal if it exists and thinking is enabled
-                if (thinkingContent) {
-                    showModal(thinkingContent, 'thinking', lang.thinking_process || 'AI Thinking Process');
-                }
-            } else if (selectedText) {
-                console.log('DokuLLM: Replacing selected text');
-                replaceSelectedText(editor, cleanedResult);
-                // Show thinking content in modal if it exists and thinking is enabled
-                if (thinkingContent) {
-                    showModal(thinkingContent, 'thinking', lang.thinking_process || 'AI Thinking Process');
+                if (streamView) {
+                    streamView.update(cleanedResult, thinkingContent, true);
+                } else {
+                    streamView = showModal(cleanedResult, action.id, buttonTitle);
                 }
+                streamView.showTrace(trace);
             } else {
-                console.log('DokuLLM: Replacing full text content');
-                // Preserve metadata when doing full page update
-                const metadata = extractMetadata(editor.value);
-                editor.value = metadata + cleanedResult;
-                // Show thinking content in modal if it exists and thinking is enabled
-                if (thinkingContent) {
-                    showModal(thinkingContent, 'thinking', lang.thinking_process || 'AI Thinking Process');
-                }
+                console.log('DokuLLM: Applying result using mode:', resultHandling);
+                // Replace the processed range, or the full text preserving the metadata, or place the result
+                return applyTrackedResult(editor, tracked, cleanedResult, resultHandling, actionLabel);
             }
         })
         .catch(error => {
             console.log('DokuLLM: Error during processing:', error.message);
-            alert('Error: ' + error.message);
+            reportRequestError(error, request);
         })
         .finally(() => {
-            console.log('DokuLLM: Resetting toolbar and enabling editor');
-            // Re-enable the toolbar and prompt input
-            if (promptInput) {
-                promptInput.disabled = originalStates.promptInput;
+            console.log('DokuLLM: Resetting the button and releasing the range');
+            request.finish();
+            // Remove the streamed preview, keeping only the thinking panel
+            if (streamView && streamView.finish) {
+                streamView.finish();
             }
-            originalStates.buttons.forEach(buttonState => {
-                buttonState.element.textContent = buttonState.text;
-                buttonState.element.disabled = buttonState.disabled;
-            });
-            editor.readOnly = false;
+            if (tracked) {
+                releaseRange(editor, tracked);
+            }
+            restoreButton();
         });
     }
     
     /**
-     * Convert markdown/DokuWiki text to HTML
-     * 
-     * Performs basic conversion of markdown/DokuWiki syntax to HTML.
-     * Supports headings, lists, inline formatting, and code blocks.
+     * Get the size above which texts are processed in chunks
      * 
-     * @param {string} text - The markdown/DokuWiki text to convert
-     * @returns {string} The converted HTML
+     * @returns {number} The chunk size in characters, 0 if chunking is disabled
      */
-    function convertToHtml(text) {
-        // Process code blocks first (```code```)
-        let html = text.replace(/```([\s\S]*?)```/g, '<pre><code>$1</code></pre>');
-        
-        // Process DokuWiki file blocks ({{file>page#section}})
-        html = html.replace(/\{\{file>([^}]+)\}\}/g, '<div class="include">$1</div>');
-        
-        // Process DokuWiki includes ({{page}})
-        html = html.replace(/\{\{([^}]+)\}\}/g, '<div class="include">$1</div>');
-        
-        // Process inline code (`code`)
-        html = html.replace(/`([^`]+)`/g, '<code>$1</code>');
-        
-        // Process DokuWiki headings (====== Heading ======)
-        html = html.replace(/^====== (.*?) ======$/gm, '<h1>$1</h1>');
-        html = html.replace(/^===== (.*?) =====$/gm, '<h2>$1</h2>');
-        html = html.replace(/^==== (.*?) ====$/gm, '<h3>$1</h3>');
-        html = html.replace(/^=== (.*?) ===$/gm, '<h4>$1</h4>');
-        html = html.replace(/^== (.*?) ==$/gm, '<h5>$1</h5>');
-        html = html.replace(/^= (.*?) =$/gm, '<h6>$1</h6>');
-        
-        // Process markdown headings (# Heading, ## Heading, etc.)
-        html = html.replace(/^###### (.*$)/gm, '<h6>$1</h6>');
-        html = html.replace(/^##### (.*$)/gm, '<h5>$1</h5>');
-        html = html.replace(/^#### (.*$)/gm, '<h4>$1</h4>');
-        html = html.replace(/^### (.*$)/gm, '<h3>$1</h3>');
-        html = html.replace(/^## (.*$)/gm, '<h2>$1</h2>');
-        html = html.replace(/^# (.*$)/gm, '<h1>$1</h1>');
-        
-        // Process DokuWiki bold (**text**)
-        html = html.replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>');
-        
-        // Process DokuWiki italic (//text//)
-        html = html.replace(/\/\/(.*?)\/\//g, '<em>$1</em>');
-        
-        // Process markdown bold (__text__)
-        html = html.replace(/__(.*?)__/g, '<strong>$1</strong>');
-        
-        // Process markdown italic (*text* or _text_)
-        html = html.replace(/\*(.*?)\*/g, '<em>$1</em>');
-        html = html.replace(/_(.*?)_/g, '<em>$1</em>');
-        
-        // Process DokuWiki external links ([[http://example.com|text]])
-        html = html.replace(/\[\[(https?:\/\/[^\]|]+)\|([^\]]+)\]\]/g, '<a href="$1" target="_blank">$2</a>');
-        
-        // Process DokuWiki external links ([[http://example.com]])
-        html = html.replace(/\[\[(https?:\/\/[^\]]+)\]\]/g, '<a href="$1" target="_blank">$1</a>');
-        
-        // Process DokuWiki internal links ([[page|text]])
-        html = html.replace(/\[\[([^\]|]+)\|([^\]]+)\]\]/g, '<a href="?id=$1">$2</a>');
-        
-        // Process DokuWiki internal links ([[page]])
-        html = html.replace(/\[\[([^\]]+)\]\]/g, '<a href="?id=$1">$1</a>');
-        
-        // Process unordered lists (* item or - item) with role attribute
-        html = html.replace(/^\* (.*$)/gm, '<li role="ul">$1</li>');
-        html = html.replace(/^- (.*$)/gm, '<li role="ul">$1</li>');
-        
-        // Process ordered lists (1. item) with role attribute
-        html = html.replace(/^\d+\. (.*$)/gm, '<li role="ol">$1</li>');
-        
-        // Wrap consecutive <li role="ul"> elements in <ul>
-        html = html.replace(/(<li role="ul">.*<\/li>(\s*<li role="ul">.*<\/li>)*)/g, '<ul>$1</ul>');
-        
-        // Wrap consecutive <li role="ol"> elements in <ol>
-        html = html.replace(/(<li role="ol">.*<\/li>(\s*<li role="ol">.*<\/li>)*)/g, '<ol>$1</ol>');
-        
-        // Remove role attributes from li elements (they were only used for identification)
-        html = html.replace(/<li role="(ul|ol)">/g, '<li>');
-        
-        return html;
+    function getChunkSize() {
+        return parseInt(settings.chunk_size, 10) || 0;
     }
     
     /**
-     * Show analysis or summarize results in a modal dialog
+     * Split a long text into chunks
      * 
-     * Creates and displays a modal dialog with the analysis or summarize results.
-     * Includes a close button and proper styling.
+     * The text is split before the DokuWiki headings, sections longer than
+     * the chunk size at the paragraph boundaries, and paragraphs still too
+     * long at the chunk size. Consecutive parts are then joined into chunks
+     * as long as they fit, so joining the chunks gives back the text.
      * 
-     * @param {string} contentText - The content text to display
-     * @param {string} action - The action type ('analyze' or 'summarize')
-     * @param {string} titleText - The title to display in the modal
+     * @param {string} text - The text to split
+     * @param {number} size - The maximum chunk size in characters
+     * @returns {string[]} The chunks
      */
-    function showModal(contentText, action = 'analyze', titleText = '') {
-        // Create modal container
-        const modal = document.createElement('div');
-        modal.id = 'dokullm-' + action + '-modal';
-        modal.className = 'dokullm-modal';
-        
-        // Create modal content
-        const modalContent = document.createElement('div');
-        modalContent.className = 'dokullm-modal-content';
-        
-        // Create close button
-        const closeButton = document.createElement('button');
-        closeButton.textContent = lang.close || 'Close';
-        closeButton.title = lang.close_title || 'Close Modal';
-        closeButton.className = 'dokullm-modal-close';
-        closeButton.addEventListener('click', () => {
-            document.body.removeChild(modal);
+    function splitIntoChunks(text, size) {
+        const parts = [];
+        text.split(/(?=^[ \t]*={2,}.*={2,}[ \t]*$)/m).forEach(section => {
+            if (section.length <= size) {
+                parts.push(section);
+                return;
+            }
+            section.split(/(?<=\n[ \t]*\n)/).forEach(paragraph => {
+                for (let i = 0; i < paragraph.length; i += size) {
+                    parts.push(paragraph.substring(i, i + size));
+                }
+            });
         });
         
-        // Create append button
-        const appendButton = document.createElement('button');
-        appendButton.textContent = lang.append || 'Append';
-        appendButton.title = lang.append_title || 'Append to report';
-        appendButton.className = 'dokullm-modal-append';
-        appendButton.addEventListener('click', () => {
-            appendToReport(contentText);
-            document.body.removeChild(modal);
+        const chunks = [];
+        let chunk = '';
+        parts.forEach(part => {
+            if (chunk && chunk.length + part.length > size) {
+                chunks.push(chunk);
+                chunk = '';
+            }
+            chunk += part;
         });
-        
-        // Create title based on action or use provided title
-        const title = document.createElement('h3');
-        if (titleText) {
-            title.textContent = titleText;
-        } else {
-            title.textContent = action.charAt(0).toUpperCase() + action.slice(1);
+        if (chunk) {
+            chunks.push(chunk);
         }
-        title.style.marginTop = '0';
-        
-        // Create content area
-        const content = document.createElement('div');
-        content.innerHTML = convertToHtml(contentText);
-        content.style.cssText = `
-            margin-top: 20px;
-            white-space: pre-wrap;
-        `;
+        return chunks.filter(chunk => chunk.trim());
+    }
+    
+    /**
+     * Process the chunks of a long text one after another
+     * 
+     * A progress bar is shown in the DokuLLM toolbar. When a chunk fails,
+     * a notification lets the user retry it or stop the processing;
+     * cancelled and timed out requests stop it. The results are joined in the order of the chunks.
+     * 
+     * With reduce, the joined results are processed once more by the same
+     * action, to get one result from the partial ones, as needed for
+     * summaries. Partial results still too long are processed in chunks again.
+     * 
+     * @param {string[]} chunks - The chunks, see splitIntoChunks
+     * @param {Function} createFormData - Builds the request data for a text
+     * @param {Object} request - The request created by startRequest
+     * @param {boolean} reduce - Whether to combine the partial results
+     * @param {Object|null} progress - The progress bar to reuse, see createChunkProgress
+     * @returns {Promise<Object>} Promise resolving to {result, thinking, trace}
+     */
+    function processChunks(chunks, createFormData, request, reduce, progress = null) {
+        const ownProgress = !progress;
+        progress = progress || createChunkProgress(document.getElementById('dokullm-toolbar'));
+        const results = [];
+        let trace = [];
         
-        // Assemble modal
-        modalContent.appendChild(closeButton);
-        modalContent.appendChild(appendButton);
-        modalContent.appendChild(title);
-        modalContent.appendChild(content);
-        modal.appendChild(modalContent);
+        const processChunk = (index) => {
+            if (index >= chunks.length) {
+                return Promise.resolve();
+            }
+            progress.update(index, chunks.length);
+            return fetchResult(createFormData(chunks[index]), request)
+            .then(output => {
+                results.push(output.result.trim());
+                trace = trace.concat(output.trace);
+                // Each chunk gets the full deadline
+                request.touch();
+                return processChunk(index + 1);
+            }, error => {
+                if (error.name === 'AbortError') {
+                    throw error;
+                }
+                const message = (lang.chunk_retry || 'Part %n of %t failed: %s. Retry it?')
+                    .replace('%n', index + 1).replace('%t', chunks.length).replace('%s', getRequestErrorMessage(error, request));
+                // The deadline does not run while the user decides
+                request.pause();
+                return askNotification(message, 'error', lang.chunk_retry_button || 'Retry', lang.chunk_stop || 'Stop', request.signal)
+                .then(retry => {
+                    if (!retry || request.signal.aborted) {
+                        throw error;
+                    }
+                    console.log('DokuLLM: Retrying chunk', index + 1);
+                    request.touch();
+                    return processChunk(index);
+                });
+            });
+        };
         
-        // Add to document and set up close event
-        document.body.appendChild(modal);
-        modal.addEventListener('click', (e) => {
-            if (e.target === modal) {
-                document.body.removeChild(modal);
+        return processChunk(0)
+        .then(() => {
+            const combined = results.join('\n\n');
+            if (!reduce || chunks.length === 1) {
+                return {result: combined, thinking: '', trace: trace};
+            }
+            progress.update(chunks.length, chunks.length);
+            console.log('DokuLLM: Combining', chunks.length, 'partial results');
+            // Process in chunks again only if the partial results got shorter
+            const size = getChunkSize();
+            const total = chunks.reduce((length, chunk) => length + chunk.length, 0);
+            const reduced = combined.length > size && combined.length < total ?
+                processChunks(splitIntoChunks(combined, size), createFormData, request, true, progress) :
+                fetchResult(createFormData(combined), request);
+            return reduced.then(output => ({result: output.result, thinking: output.thinking, trace: trace.concat(output.trace)}));
+        })
+        .finally(() => {
+            if (ownProgress) {
+                progress.remove();
             }
         });
     }
     
     /**
-     * Append content to the end of the report
-     * 
-     * Adds the provided content to the end of the editor content,
-     * preserving metadata at the beginning.
+     * Create the progress bar of chunked processing
      * 
-     * @param {string} content - The content to append
+     * @param {HTMLElement|null} container - The element to add the progress bar to
+     * @returns {Object} Progress with update(done, total) and remove() methods
      */
-    function appendToReport(content) {
-        const editor = document.getElementById('wiki__text');
-        if (!editor) {
-            console.log('DokuLLM: Editor not found for appending content');
-            return;
+    function createChunkProgress(container) {
+        const wrapper = document.createElement('span');
+        wrapper.className = 'dokullm-chunk-progress';
+        const bar = document.createElement('progress');
+        const label = document.createElement('span');
+        wrapper.appendChild(bar);
+        wrapper.appendChild(label);
+        if (container) {
+            container.appendChild(wrapper);
         }
         
-        // Preserve metadata when appending content
-        const metadata = extractMetadata(editor.value);
-        const contentWithoutMetadata = editor.value.substring(metadata.length);
-        
-        // Append new content with proper spacing
-        editor.value = metadata + contentWithoutMetadata + '\n\n' + content;
-        
-        // Focus the editor at the end
-        editor.focus();
-        editor.setSelectionRange(editor.value.length, editor.value.length);
+        return {
+            update: function(done, total) {
+                bar.max = total;
+                bar.value = done;
+                label.textContent = done < total ?
+                    (lang.chunk_progress || 'Part %n of %t').replace('%n', done + 1).replace('%t', total) :
+                    (lang.chunk_combining || 'Combining the parts');
+            },
+            remove: function() {
+                wrapper.remove();
+            }
+        };
     }
     
     /**
-     * Process text with a custom user prompt
-     * 
-     * Sends selected or full text content to the backend with a user-provided
-     * custom prompt for processing.
+     * Ask for the parameter values of an action
      * 
-     * Clears the prompt input after successful processing.
-     * Shows loading indicators during processing.
-     * 
-     * Complex logic includes:
-     * 1. Validating custom prompt input
-     * 2. Determining text to process (selected vs full content)
-     * 3. Managing UI state for the custom prompt interface
-     * 4. Constructing and sending AJAX requests with custom prompts
-     * 5. Handling response processing and error conditions
-     * 6. Updating editor content and clearing input fields
-     * 7. Restoring UI state after processing
+     * Shows a small form with a field for each parameter declared in the
+     * profile, filled with the values used last time for this action, or
+     * with the defaults. The submitted values are remembered by the browser.
      * 
-     * @param {string} customPrompt - The user's custom prompt
+     * @param {Object} action - The action definition, with its parameters
+     * @returns {Promise<Object|null>} Promise resolving to the values by name, or null if cancelled
      */
-    function processCustomPrompt(customPrompt) {
-        console.log('DokuLLM: Processing custom prompt:', customPrompt);
-        if (!customPrompt.trim()) {
-            console.log('DokuLLM: No custom prompt provided');
-            alert(lang.no_prompt_provided || 'Please enter a prompt');
-            return;
+    function showParametersForm(action) {
+        const storageKey = 'dokullm_params_' + action.id;
+        let saved = {};
+        try {
+            saved = JSON.parse(localStorage.getItem(storageKey) || '{}') || {};
+        } catch (e) {
+            // Use the default values
         }
         
-        const editor = document.getElementById('wiki__text');
-        if (!editor) {
-            console.log('DokuLLM: Editor not found for custom prompt');
-            return;
-        }
+        return new Promise(resolve => {
+            const modal = document.createElement('div');
+            modal.className = 'dokullm-modal';
+            const form = document.createElement('form');
+            form.className = 'dokullm-modal-content dokullm-params';
+            const title = document.createElement('h3');
+            title.textContent = action.label;
+            title.style.marginTop = '0';
+            form.appendChild(title);
+            
+            const fields = {};
+            action.parameters.forEach(parameter => {
+                const label = document.createElement('label');
+                const name = document.createElement('span');
+                name.textContent = parameter.name.charAt(0).toUpperCase() + parameter.name.slice(1).replace(/_/g, ' ');
+                let field;
+                if (parameter.type === 'choice') {
+                    field = document.createElement('select');
+                    parameter.choices.forEach(choice => {
+                        const option = document.createElement('option');
+                        option.value = choice;
+                        option.textContent = choice;
+                        field.appendChild(option);
+                    });
+                } else {
+                    field = document.createElement('input');
+                    field.type = parameter.type === 'number' ? 'number' : 'text';
+                }
+                // The remembered value, if still valid, or the default
+                const value = saved[parameter.name];
+                field.value = typeof value === 'string' && (parameter.type !== 'choice' || parameter.choices.includes(value)) ? value : parameter.default;
+                fields[parameter.name] = field;
+                label.appendChild(name);
+                label.appendChild(field);
+                form.appendChild(label);
+            });
+            
+            const buttons = document.createElement('div');
+            buttons.className = 'dokullm-params-buttons';
+            const runButton = document.createElement('button');
+            runButton.type = 'submit';
+            runButton.textContent = lang.params_run || 'Run';
+            const cancelButton = document.createElement('button');
+            cancelButton.type = 'button';
+            cancelButton.textContent = lang.cancel || 'Cancel';
+            buttons.appendChild(runButton);
+            buttons.appendChild(cancelButton);
+            form.appendChild(buttons);
+            modal.appendChild(form);
+            
+            const close = values => {
+                modal.remove();
+                resolve(values);
+            };
+            form.addEventListener('submit', event => {
+                event.preventDefault();
+                const values = {};
+                Object.keys(fields).forEach(name => {
+                    values[name] = fields[name].value;
+                });
+                try {
+                    localStorage.setItem(storageKey, JSON.stringify(values));
+                } catch (e) {
+                    // The values are used, only not remembered
+                }
+                close(values);
+            });
+            cancelButton.addEventListener('click', () => close(null));
+            form.addEventListener('keydown', event => {
+                if (event.key === 'Escape') {
+                    close(null);
+                }
+            });
+            modal.addEventListener('click', event => {
+                if (event.target === modal) {
+                    close(null);
+                }
+            });
+            
+            document.body.appendChild(modal);
+            const first = form.querySelector('input, select');
+            if (first) {
+                first.focus();
+            }
+        });
+    }
+    
+    /**
+     * Disable the DokuLLM toolbar and the prompt input
+     * 
+     * Stores the original state of every toolbar button and changes the
+     * label of the button that triggered the operation (or of all buttons
+     * of the DokuLLM toolbar, if none is given) to show the processing state.
+     * The action buttons added to the editor toolbar are disabled as well,
+     * except those of running actions, see setButtonBusy.
+     * 
+     * @param {string} label - The label to show while processing
+     * @param {HTMLElement|null} activeButton - The button that triggered the operation
+     * @returns {Function} Function restoring the original state
+     */
+    function lockToolbar(label, activeButton = null) {
+        const toolbar = document.getElementById('dokullm-toolbar');
+        const promptContainer = document.getElementById('dokullm-custom-prompt');
+        const promptInput = promptContainer ? promptContainer.querySelector('.dokullm-prompt-input') : null;
+        // Include the action buttons added to the editor toolbar
+        const buttons = Array.from(toolbar ? toolbar.querySelectorAll('button:not(.dokullm-modal-close)') : [])
+            .concat(Array.from(document.querySelectorAll('button.dokullm-native, button.dokullm-picker')))
+            .filter(button => !button.dokullmBusy);
         
-        // Store the current selection range
-        currentSelectionRange = {
-            start: editor.selectionStart,
-            end: editor.selectionEnd
+        // Store original states for restoration
+        const originalStates = {
+            promptInput: promptInput ? promptInput.disabled : false,
+            buttons: []
         };
         
-        const selectedText = getSelectedText(editor);
-        const fullText = editor.value;
-        const textToProcess = selectedText || fullText;
-        console.log('DokuLLM: Text to process length:', textToProcess.length);
-        
-        if (!textToProcess.trim()) {
-            console.log('DokuLLM: No text to process for custom prompt');
-            alert(lang.no_text_provided || 'Please select text or enter content to process');
-            return;
+        // Disable prompt input if it exists
+        if (promptInput) {
+            promptInput.disabled = true;
         }
         
-        // Get metadata from the page
-        const metadata = getMetadata();
-        console.log('DokuLLM: Retrieved metadata for custom prompt:', metadata);
-        
-        // Find the Send button and show loading state
-        const toolbar = document.getElementById('dokullm-custom-prompt');
-        const sendButton = toolbar.querySelector('.toolbutton');
-        const originalText = sendButton.textContent;
-        sendButton.textContent = lang.processing || 'Processing...';
-        sendButton.disabled = true;
-        console.log('DokuLLM: Send button disabled, showing processing state');
-        
-        // Make textarea readonly during processing
-        editor.readOnly = true;
+        // Disable all buttons and store their original states
+        buttons.forEach(button => {
+            // Keep the content nodes, the buttons may show icons
+            originalStates.buttons.push({
+                element: button,
+                content: Array.from(button.childNodes),
+                disabled: button.disabled
+            });
+            // Only change text of the button that triggered the action (or of the DokuLLM toolbar buttons)
+            if (activeButton ? activeButton === button : toolbar && toolbar.contains(button)) {
+                button.textContent = label;
+            }
+            button.disabled = true;
+        });
         
-        // Send AJAX request
-        console.log('DokuLLM: Sending custom prompt AJAX request to backend');
-        const formData = new FormData();
-        formData.append('call', 'plugin_dokullm');
-        formData.append('action', 'custom');
-        formData.append('text', textToProcess);
-        formData.append('prompt', customPrompt);
-        // Append metadata fields generically
-        for (const [key, value] of Object.entries(metadata)) {
-            if (Array.isArray(value)) {
-                formData.append(key, value.join('\n'));
-            } else if (value) {
-                formData.append(key, value);
+        return function() {
+            if (promptInput) {
+                promptInput.disabled = originalStates.promptInput;
+            }
+            originalStates.buttons.forEach(buttonState => {
+                buttonState.element.replaceChildren(...buttonState.content);
+                buttonState.element.disabled = buttonState.disabled;
+            });
+        };
+    }
+    
+    /**
+     * Show the processing state on the button of a running action
+     * 
+     * Only this button is disabled, so other actions can be started on other
+     * parts of the page meanwhile. The same action may still be run from the
+     * command palette, so the button is restored when the last of its runs
+     * finishes.
+     * 
+     * @param {HTMLButtonElement|null} button - The button of the action, if any
+     * @param {string} label - The label to show while processing
+     * @returns {Function} Function restoring the original state
+     */
+    function setButtonBusy(button, label) {
+        if (!button) {
+            return function() {};
+        }
+        if (!button.dokullmBusy) {
+            button.dokullmBusy = 0;
+            button.dokullmState = {content: Array.from(button.childNodes), disabled: button.disabled};
+            button.textContent = label;
+            button.disabled = true;
+        }
+        button.dokullmBusy++;
+        return function() {
+            button.dokullmBusy--;
+            if (!button.dokullmBusy) {
+                button.replaceChildren(...button.dokullmState.content);
+                button.disabled = button.dokullmState.disabled;
+            }
+        };
+    }
+    
+    /**
+     * Start a cancellable request
+     * 
+     * Creates an abort controller for the fetch, adds a Cancel button to
+     * the given container and starts the client-side deadline configured
+     * by the client_timeout setting. When the deadline passes, the request
+     * is aborted and marked as timed out.
+     * 
+     * For streamed responses the deadline is restarted whenever data is
+     * received, so it only limits the time without any progress.
+     * 
+     * @param {HTMLElement|null} container - The element to add the Cancel button to
+     * @param {string} label - The name of the operation, shown on the Cancel button when several are running
+     * @returns {Object} Request with signal, timedOut, touch(), pause() and finish()
+     */
+    function startRequest(container, label = '') {
+        const controller = new AbortController();
+        const timeout = parseInt(settings.client_timeout, 10) || 0;
+        let timer = null;
+        
+        const request = {
+            signal: controller.signal,
+            timeout: timeout,
+            timedOut: false,
+            // Restart the deadline
+            touch: function() {
+                if (timer) {
+                    clearTimeout(timer);
+                }
+                if (timeout > 0) {
+                    timer = setTimeout(() => {
+                        console.log('DokuLLM: Request timed out after', timeout, 'seconds');
+                        request.timedOut = true;
+                        controller.abort();
+                    }, timeout * 1000);
+                }
+            },
+            // Stop the deadline while waiting for the user, touch() restarts it
+            pause: function() {
+                if (timer) {
+                    clearTimeout(timer);
+                    timer = null;
+                }
+            },
+            // Stop the deadline and remove the Cancel button
+            finish: function() {
+                if (timer) {
+                    clearTimeout(timer);
+                }
+                cancelButton.remove();
             }
+        };
+        
+        const cancelButton = document.createElement('button');
+        cancelButton.type = 'button';
+        cancelButton.className = 'toolbutton dokullm-cancel';
+        cancelButton.textContent = lang.cancel || 'Cancel';
+        cancelButton.title = (lang.cancel_title || 'Cancel the running request') + (label ? ': ' + label : '');
+        cancelButton.addEventListener('click', () => {
+            console.log('DokuLLM: Request cancelled by user');
+            controller.abort();
+        });
+        if (container) {
+            container.appendChild(cancelButton);
         }
         
-        fetch(DOKU_BASE + 'lib/exe/ajax.php', {
+        request.touch();
+        return request;
+    }
+    
+    /**
+     * Get the message to show for a failed request
+     * 
+     * Aborted requests are either timed out, which is reported with the
+     * configured deadline, or cancelled by the user, which is not reported.
+     * 
+     * @param {Error} error - The error thrown by the request
+     * @param {Object} request - The request created by startRequest
+     * @returns {string|null} The message to show, or null if nothing should be shown
+     */
+    function getRequestErrorMessage(error, request) {
+        if (error.name === 'AbortError') {
+            if (request && request.timedOut) {
+                return (lang.request_timeout || 'The request did not finish within %s seconds and was aborted.').replace('%s', request.timeout);
+            }
+            return null;
+        }
+        return error.message;
+    }
+    
+    /**
+     * Show the error of a failed request as a notification
+     * 
+     * Cancelled requests are not reported, see getRequestErrorMessage.
+     * 
+     * @param {Error} error - The error thrown by the request
+     * @param {Object|null} request - The request created by startRequest, if any
+     */
+    function reportRequestError(error, request = null) {
+        const message = getRequestErrorMessage(error, request);
+        if (message) {
+            showError(error, message);
+        }
+    }
+    
+    /**
+     * The number of times a transient failure is retried
+     */
+    const RETRY_ATTEMPTS = 3;
+    
+    /**
+     * The delay before the first retry in milliseconds, doubled for each next one
+     */
+    const RETRY_DELAY = 1000;
+    
+    /**
+     * Create the error of a failed request
+     * 
+     * The type tells what went wrong: 'config', 'llm', 'chromadb',
+     * 'permission' and 'input' are reported by the backend, 'network' when
+     * the wiki could not be reached. Transient errors may be retried.
+     * 
+     * @param {string} message - The error message
+     * @param {string} type - The error type
+     * @param {boolean} transient - Whether the request may succeed if sent again
+     * @returns {Error} The error, with type and transient properties
+     */
+    function createRequestError(message, type, transient) {
+        const error = new Error(message);
+        error.type = type || '';
+        error.transient = !!transient;
+        return error;
+    }
+    
+    /**
+     * Wait before retrying a request
+     * 
+     * @param {number} delay - The delay in milliseconds
+     * @param {AbortSignal|null} signal - The signal of the request, ending the wait when aborted
+     * @returns {Promise} Promise resolved after the delay, rejected with an AbortError if aborted
+     */
+    function waitBeforeRetry(delay, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(new DOMException('Request aborted', 'AbortError'));
+                return;
+            }
+            const timer = setTimeout(resolve, delay);
+            if (signal) {
+                signal.addEventListener('abort', () => {
+                    clearTimeout(timer);
+                    reject(new DOMException('Request aborted', 'AbortError'));
+                }, {once: true});
+            }
+        });
+    }
+    
+    /**
+     * Run a request again while it fails with a transient error
+     * 
+     * Transient failures are network errors and the errors the backend
+     * marks as transient, like rate limits and server errors of the LLM
+     * API. They are retried RETRY_ATTEMPTS times with exponential backoff.
+     * Each request has only one such loop, so it is sent at most
+     * RETRY_ATTEMPTS + 1 times.
+     * 
+     * @param {Function} run - Function sending the request once and returning a promise
+     * @param {AbortSignal|null} signal - The signal of the request, ending the wait when aborted
+     * @param {number} attempt - The number of the attempt, 0 for the first one
+     * @returns {Promise} Promise of the first successful run
+     */
+    function retryTransient(run, signal = null, attempt = 0) {
+        return run().catch(error => {
+            if (!error.transient || attempt >= RETRY_ATTEMPTS) {
+                throw error;
+            }
+            const delay = RETRY_DELAY * Math.pow(2, attempt);
+            console.log('DokuLLM: Request failed, retrying in', delay, 'ms:', error.message);
+            return waitBeforeRetry(delay, signal).then(() => retryTransient(run, signal, attempt + 1));
+        });
+    }
+    
+    /**
+     * Send a request to the DokuLLM backend
+     * 
+     * All the plugin_dokullm calls go through this function. Transient
+     * failures are retried, see retryTransient. Other failed responses are
+     * rejected with the classified error of the backend.
+     * 
+     * @param {FormData} formData - The request data
+     * @param {AbortSignal|null} signal - The signal to abort the request
+     * @returns {Promise<Response>} Promise resolving to the successful response
+     */
+    function sendRequest(formData, signal = null) {
+        return retryTransient(() => sendRequestOnce(formData, signal), signal);
+    }
+    
+    /**
+     * Send a request to the DokuLLM backend once, without retrying it
+     * 
+     * Errors of the web server or of DokuWiki, which are not JSON, are not
+     * transient: a gateway timeout, for example, may come from a slow model
+     * still generating the response, which should not be requested again.
+     * 
+     * @param {FormData} formData - The request data
+     * @param {AbortSignal|null} signal - The signal to abort the request
+     * @returns {Promise<Response>} Promise resolving to the successful response
+     */
+    function sendRequestOnce(formData, signal = null) {
+        return fetch(DOKU_BASE + 'lib/exe/ajax.php', {
             method: 'POST',
-            body: formData
+            body: formData,
+            signal: signal
         })
         .then(response => {
-            if (!response.ok) {
-                return response.text().then(text => {
-                    throw new Error((lang.backend_error || 'Network response was not ok: ') + response.status + ' ' + response.statusText + ' - ' + text);
-                });
+            if (response.ok) {
+                return response;
             }
-            console.log('DokuLLM: Received response for custom prompt');
-            return response.json();
-        })
+            return response.text().then(text => {
+                let data = null;
+                try {
+                    data = JSON.parse(text);
+                } catch (e) {
+                    // Not a DokuLLM error, but one of the web server or of DokuWiki
+                }
+                if (data && data.error) {
+                    throw createRequestError(data.error, data.type, data.transient);
+                }
+                throw createRequestError((lang.backend_error || 'Network response was not ok: ') + response.status + ' ' + response.statusText,
+                    response.status === 403 ? 'permission' : '', false);
+            });
+        }, error => {
+            if (error.name === 'AbortError') {
+                throw error;
+            }
+            throw createRequestError(error.message, 'network', true);
+        });
+    }
+    
+    /**
+     * Send a request to the DokuLLM backend and read its JSON response
+     * 
+     * @param {FormData} formData - The request data
+     * @param {AbortSignal|null} signal - The signal to abort the request
+     * @returns {Promise<Object>} Promise resolving to the response data, see sendRequest for the failures
+     */
+    function requestJSON(formData, signal = null) {
+        return sendRequest(formData, signal)
+        .then(response => response.json())
         .then(data => {
             if (data.error) {
-                console.log('DokuLLM: Error from backend for custom prompt:', data.error);
-                throw new Error(data.error);
+                throw createRequestError(data.error, data.type, false);
             }
-            
-            console.log('DokuLLM: Custom prompt processing successful, result length:', data.result.length);
-            // Remove some part
-            const [thinkingContent, cleanedResult] = removeBetweenXmlTags(data.result, 'think');
-            // Replace selected text or append to editor
-            if (selectedText) {
-                console.log('DokuLLM: Replacing selected text for custom prompt');
-                replaceSelectedText(editor, cleanedResult);
-            } else {
-                console.log('DokuLLM: Replacing full text content for custom prompt');
-                // Preserve metadata when doing full page update
-                const metadata = extractMetadata(editor.value);
-                editor.value = metadata + cleanedResult;
+            return data;
+        });
+    }
+    
+    /**
+     * The time in milliseconds after which notifications other than errors are hidden
+     */
+    const NOTIFICATION_TIMEOUT = 8000;
+    
+    /**
+     * Show a notification above the page
+     * 
+     * Notifications do not block the editor and can be dismissed. Errors and
+     * notifications with actions stay until dismissed, other warnings and
+     * information are hidden after a while.
+     * 
+     * @param {string} message - The message
+     * @param {string} level - The level: 'error', 'warning' or 'info'
+     * @param {string} title - Optional title, shown before the message
+     * @param {string} hint - Optional advice, shown after the message
+     * @param {Array<{label: string, handler: Function}>} actions - Optional buttons, each closing the notification
+     * @returns {HTMLElement} The notification
+     */
+    function showNotification(message, level = 'error', title = '', hint = '', actions = []) {
+        let container = document.getElementById('dokullm-notifications');
+        if (!container) {
+            container = document.createElement('div');
+            container.id = 'dokullm-notifications';
+            container.setAttribute('aria-live', 'polite');
+            document.body.appendChild(container);
+        }
+        
+        const notification = document.createElement('div');
+        notification.className = 'dokullm-notification dokullm-notification-' + level;
+        notification.setAttribute('role', level === 'error' ? 'alert' : 'status');
+        
+        const closeButton = document.createElement('button');
+        closeButton.type = 'button';
+        closeButton.className = 'dokullm-notification-close';
+        closeButton.textContent = '×';
+        closeButton.title = lang.close || 'Close';
+        closeButton.addEventListener('click', () => notification.remove());
+        notification.appendChild(closeButton);
+        
+        if (title) {
+            const titleElement = document.createElement('strong');
+            titleElement.textContent = title;
+            notification.appendChild(titleElement);
+        }
+        const messageElement = document.createElement('div');
+        messageElement.textContent = message;
+        notification.appendChild(messageElement);
+        if (hint) {
+            const hintElement = document.createElement('div');
+            hintElement.className = 'dokullm-notification-hint';
+            hintElement.textContent = hint;
+            notification.appendChild(hintElement);
+        }
+        if (actions.length) {
+            const buttons = document.createElement('div');
+            buttons.className = 'dokullm-notification-actions';
+            actions.forEach(action => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.textContent = action.label;
+                button.addEventListener('click', () => {
+                    notification.remove();
+                    action.handler();
+                });
+                buttons.appendChild(button);
+            });
+            notification.appendChild(buttons);
+        }
+        
+        container.appendChild(notification);
+        if (level !== 'error' && !actions.length) {
+            setTimeout(() => notification.remove(), NOTIFICATION_TIMEOUT);
+        }
+        return notification;
+    }
+    
+    /**
+     * Ask a question in a notification, without blocking the editor
+     * 
+     * Closing the notification, or aborting the request it belongs to,
+     * answers no.
+     * 
+     * @param {string} message - The question
+     * @param {string} level - The level: 'error', 'warning' or 'info'
+     * @param {string} yesLabel - The label of the button answering yes
+     * @param {string} noLabel - The label of the button answering no
+     * @param {AbortSignal|null} signal - Optional signal of the request the question belongs to
+     * @returns {Promise<boolean>} Promise resolving to the answer
+     */
+    function askNotification(message, level, yesLabel, noLabel, signal = null) {
+        return new Promise(resolve => {
+            const notification = showNotification(message, level, '', '', [
+                {label: yesLabel, handler: () => resolve(true)},
+                {label: noLabel, handler: () => resolve(false)}
+            ]);
+            notification.querySelector('.dokullm-notification-close').addEventListener('click', () => resolve(false));
+            if (signal) {
+                signal.addEventListener('abort', () => {
+                    notification.remove();
+                    resolve(false);
+                });
             }
-            
-            // Clear the input field
-            const promptInput = toolbar.querySelector('.dokullm-prompt-input');
-            if (promptInput) {
-                promptInput.value = '';
+        });
+    }
+    
+    /**
+     * Show an error as a notification, with advice depending on its type
+     * 
+     * @param {Error} error - The error, with the type set by createRequestError
+     * @param {string} message - The message to show, the error message by default
+     */
+    function showError(error, message = '') {
+        const titles = {
+            config: lang.error_config || 'DokuLLM configuration problem',
+            llm: lang.error_llm || 'The language model failed',
+            chromadb: lang.error_chromadb || 'ChromaDB search failed',
+            permission: lang.error_permission || 'Permission denied',
+            input: lang.error_input || 'Invalid request',
+            network: lang.error_network || 'Connection problem'
+        };
+        const hints = {
+            config: lang.error_config_hint || 'Check the plugin settings and the profile pages in the dokullm namespace, or ask the wiki administrator.',
+            llm: lang.error_llm_hint || 'The LLM service did not process the request. Try again later or with a shorter text.',
+            chromadb: lang.error_chromadb_hint || 'Check that ChromaDB and the embeddings service are running and correctly configured.',
+            permission: lang.error_permission_hint || 'You are not allowed to do this. Log in, or ask for access to the pages involved.',
+            network: lang.error_network_hint || 'The wiki could not be reached. Check your connection and try again.'
+        };
+        const type = error.type || '';
+        showNotification(message || error.message, 'error', titles[type] || lang.error || 'Error', hints[type] || '');
+    }
+    
+    /**
+     * The average number of characters of a token, to estimate the size of a request
+     */
+    const CHARS_PER_TOKEN = 4;
+    
+    /**
+     * Lengths of the pages referenced by the metadata, by page ID
+     */
+    const pageLengths = {};
+    
+    /**
+     * Check whether a request likely fits in the context of the model
+     * 
+     * Estimates the tokens of the text and of the template, example and
+     * previous pages, fetching the lengths of the pages not seen yet. When,
+     * together with the tokens reserved for the response, the estimate
+     * exceeds the context_limit setting, the user is asked to confirm in a
+     * notification.
+     * 
+     * @param {string} text - The text sent with the request
+     * @param {Object} metadata - The page metadata, see getMetadata
+     * @param {Object|null} request - The request created by startRequest, its deadline is paused while the user decides
+     * @returns {Promise} Promise resolved if the request should be sent, rejected with an AbortError otherwise
+     */
+    function checkContextSize(text, metadata, request = null) {
+        const limit = parseInt(settings.context_limit, 10) || 0;
+        if (limit <= 0) {
+            return Promise.resolve();
+        }
+        const pageIds = [metadata.template, metadata.previous].concat(metadata.examples).filter(id => id);
+        const missing = pageIds.filter(id => !(id in pageLengths));
+        let lengths = Promise.resolve();
+        if (missing.length) {
+            const formData = new FormData();
+            formData.append('call', 'plugin_dokullm');
+            formData.append('action', 'check_pages');
+            formData.append('pages', JSON.stringify(missing));
+            lengths = requestJSON(formData)
+            .then(data => {
+                data.result.forEach(page => {
+                    pageLengths[page.id] = page.length || 0;
+                });
+            })
+            .catch(error => {
+                // Estimate without the pages rather than blocking the request
+                console.log('DokuLLM: Page length check failed:', error.message);
+            });
+        }
+        return lengths.then(() => {
+            const characters = pageIds.reduce((total, id) => total + (pageLengths[id] || 0), text.length);
+            const tokens = Math.ceil(characters / CHARS_PER_TOKEN);
+            const reserved = parseInt(settings.max_tokens, 10) || 0;
+            console.log('DokuLLM: Estimated request size:', tokens, 'tokens, context limit:', limit);
+            if (tokens + reserved <= limit) {
+                return;
             }
-            // Show thinking content in modal if it exists and thinking is enabled
-            if (thinkingContent) {
-                showModal(thinkingContent, 'thinking', lang.thinking_process || 'AI Thinking Process');
+            const message = (lang.context_warning || 'This request is estimated at about %t tokens, which together with the %r tokens reserved for the response likely exceeds the context size of %l tokens. The request may fail or the model may ignore part of the text. Send it anyway?')
+                .replace('%t', tokens).replace('%r', reserved).replace('%l', limit);
+            if (request) {
+                request.pause();
             }
-        })
-        .catch(error => {
-            console.log('DokuLLM: Error during custom prompt processing:', error.message);
-            alert((lang.backend_error || 'Network response was not ok: ') + error.message);
-        })
-        .finally(() => {
-            console.log('DokuLLM: Resetting send button and enabling editor');
-            if (sendButton) {
-                resetButton(sendButton, originalText);
+            return askNotification(message, 'warning', lang.context_send || 'Send anyway', lang.cancel || 'Cancel', request ? request.signal : null)
+            .then(send => {
+                if (!send) {
+                    throw new DOMException('Request too large', 'AbortError');
+                }
+            });
+        });
+    }
+    
+    /**
+     * Get the session storage key of the token usage totals
+     * 
+     * @returns {string} The storage key
+     */
+    function getUsageStorageKey() {
+        return 'dokullm_usage';
+    }
+    
+    /**
+     * Load the token usage totals of the session
+     * 
+     * @returns {Object} The totals, with requests, prompt, completion and the last usage
+     */
+    function loadUsageTotals() {
+        const totals = {requests: 0, prompt: 0, completion: 0, last: null};
+        try {
+            return Object.assign(totals, JSON.parse(sessionStorage.getItem(getUsageStorageKey()) || '{}'));
+        } catch (e) {
+            console.log('DokuLLM: Could not read the token usage:', e.message);
+            return totals;
+        }
+    }
+    
+    /**
+     * Add the token usage of a request to the totals of the session
+     * 
+     * The totals are kept until the browser tab is closed and shown in the
+     * toolbar, with the model and latency of the last request in the tooltip.
+     * Responses cut off at the max_tokens limit are reported to the user,
+     * unless they are meant to be short.
+     * 
+     * @param {Object|undefined} usage - The usage returned by the backend
+     * @param {boolean} warnTruncated - Whether to report a response cut off at the limit
+     */
+    function recordUsage(usage, warnTruncated = true) {
+        if (!usage) {
+            return;
+        }
+        const totals = loadUsageTotals();
+        totals.requests++;
+        totals.prompt += usage.prompt_tokens || 0;
+        totals.completion += usage.completion_tokens || 0;
+        totals.last = usage;
+        try {
+            sessionStorage.setItem(getUsageStorageKey(), JSON.stringify(totals));
+        } catch (e) {
+            console.log('DokuLLM: Could not save the token usage:', e.message);
+        }
+        console.log('DokuLLM: Token usage:', usage);
+        const display = document.getElementById('dokullm-usage');
+        if (display) {
+            updateUsageDisplay(display, totals);
+        }
+        
+        if (usage.truncated && warnTruncated) {
+            showNotification((lang.response_truncated || 'The response reached the limit of %d tokens and was cut off.').replace('%d', settings.max_tokens), 'warning');
+        }
+    }
+    
+    /**
+     * Create the toolbar element showing the token usage of the session
+     * 
+     * @returns {HTMLElement} The usage element
+     */
+    function createUsageDisplay() {
+        const display = document.createElement('span');
+        display.id = 'dokullm-usage';
+        display.className = 'dokullm-usage';
+        updateUsageDisplay(display, loadUsageTotals());
+        return display;
+    }
+    
+    /**
+     * Show the token usage totals in the toolbar
+     * 
+     * @param {HTMLElement} display - The usage element
+     * @param {Object} totals - The totals of the session, see loadUsageTotals
+     */
+    function updateUsageDisplay(display, totals) {
+        if (!totals.requests) {
+            display.hidden = true;
+            return;
+        }
+        display.hidden = false;
+        display.textContent = (lang.usage_total || '%d tokens').replace('%d', (totals.prompt + totals.completion).toLocaleString());
+        let title = (lang.usage_session || 'This session: %n requests, %p prompt and %c completion tokens')
+            .replace('%n', totals.requests)
+            .replace('%p', totals.prompt.toLocaleString())
+            .replace('%c', totals.completion.toLocaleString());
+        if (totals.last) {
+            title += '\n' + (lang.usage_last || 'Last request: %m, %p prompt and %c completion tokens in %s seconds')
+                .replace('%m', totals.last.model || '?')
+                .replace('%p', (totals.last.prompt_tokens || 0).toLocaleString())
+                .replace('%c', (totals.last.completion_tokens || 0).toLocaleString())
+                .replace('%s', ((totals.last.time || 0) / 1000).toFixed(1));
+        }
+        display.title = title;
+    }
+    
+    /**
+     * Check whether LLM responses should be streamed
+     * 
+     * Streaming requires the setting to be enabled on the server and
+     * a browser able to read the response body as a stream.
+     * 
+     * @returns {boolean} True if streaming should be used
+     */
+    function isStreamingEnabled() {
+        return !!settings.stream && typeof ReadableStream !== 'undefined' && typeof TextDecoder !== 'undefined';
+    }
+    
+    /**
+     * Send a processing request and wait for the complete result
+     * 
+     * Posts the form data to the backend and extracts the thinking
+     * content from the result. If several variants were requested, their
+     * thinking content is left out.
+     * 
+     * @param {FormData} formData - The request data
+     * @param {Object} request - The request created by startRequest
+     * @returns {Promise<Object>} Promise resolving to {result, thinking, trace, variants}, variants being null for a single result
+     */
+    function fetchResult(formData, request) {
+        return requestJSON(formData, request.signal)
+        .then(data => {
+            console.log('DokuLLM: Received response from backend');
+            recordUsage(data.usage);
+            // Remove some part
+            const [thinkingContent, cleanedResult] = removeBetweenXmlTags(data.result, 'think');
+            if (data.variants) {
+                const variants = data.variants.map(variant => removeBetweenXmlTags(variant, 'think')[1]);
+                return {result: cleanedResult, thinking: '', trace: data.trace || [], variants: variants};
             }
-            editor.readOnly = false;
+            return {result: cleanedResult, thinking: thinkingContent, trace: data.trace || [], variants: null};
         });
     }
     
     /**
-     * Get the currently selected text in the textarea
+     * Send a processing request and stream the result
      * 
-     * Uses the textarea's selectionStart and selectionEnd properties
-     * to extract the selected portion of text.
+     * Posts the form data with streaming enabled and reads the server-sent
+     * events as they arrive. The text is split live into the answer and the
+     * content of <think> tags, and both are passed to the view.
      * 
-     * @param {HTMLTextAreaElement} textarea - The textarea element
-     * @returns {string} The selected text
+     * Falls back to a regular JSON response if the server does not stream.
+     * 
+     * Transient failures, including a transient error reported in the stream
+     * before any text was received, are retried, see retryTransient.
+     * 
+     * @param {FormData} formData - The request data
+     * @param {Object} view - The view to update, with an update(text, thinking) method
+     * @param {Object} request - The request created by startRequest
+     * @returns {Promise<Object>} Promise resolving to {result, thinking, trace}
      */
-    function getSelectedText(textarea) {
-        const start = textarea.selectionStart;
-        const end = textarea.selectionEnd;
-        return textarea.value.substring(start, end);
+    function streamRequest(formData, view, request) {
+        formData.set('stream', '1');
+        return retryTransient(() => streamRequestOnce(formData, view, request), request.signal);
     }
     
     /**
-     * Replace the selected text in the textarea with new text
+     * Send a processing request once and stream the result, see streamRequest
      * 
-     * When replacing the entire content, preserves metadata directives
-     * at the beginning of the page.
+     * @param {FormData} formData - The request data, with streaming enabled
+     * @param {Object} view - The view to update, with an update(text, thinking) method
+     * @param {Object} request - The request created by startRequest
+     * @returns {Promise<Object>} Promise resolving to {result, thinking, trace}
+     */
+    function streamRequestOnce(formData, view, request) {
+        return sendRequestOnce(formData, request.signal)
+        .then(response => {
+            // The server may answer with plain JSON if streaming is disabled there
+            if ((response.headers.get('Content-Type') || '').indexOf('text/event-stream') === -1) {
+                return response.json().then(data => {
+                    if (data.error) {
+                        throw createRequestError(data.error, data.type, false);
+                    }
+                    recordUsage(data.usage);
+                    const [thinkingContent, cleanedResult] = removeBetweenXmlTags(data.result, 'think');
+                    return {result: cleanedResult, thinking: thinkingContent, trace: data.trace || []};
+                });
+            }
+            console.log('DokuLLM: Receiving streamed response from backend');
+            let streamed = '';
+            let reasoning = '';
+            let result = null;
+            let trace = [];
+            let error = null;
+            return readEventStream(response, (event, data) => {
+                // Any received data restarts the deadline
+                request.touch();
+                if (event === 'content') {
+                    streamed += data.content;
+                } else if (event === 'thinking') {
+                    reasoning += data.content;
+                } else if (event === 'done') {
+                    result = data.result;
+                    trace = data.trace || [];
+                    recordUsage(data.usage);
+                    return;
+                } else if (event === 'error') {
+                    error = createRequestError(data.error, data.type, data.transient);
+                    return;
+                }
+                const [thinkingContent, content] = splitStreamedTags(streamed, 'think');
+                view.update(content, reasoning + thinkingContent, false);
+            })
+            .then(() => {
+                if (error) {
+                    // Do not request again a response already partly shown
+                    error.transient = error.transient && !streamed && !reasoning;
+                    throw error;
+                }
+                if (result === null) {
+                    throw createRequestError(lang.stream_interrupted || 'The response stream ended unexpectedly', 'network', false);
+                }
+                const [thinkingContent, cleanedResult] = splitStreamedTags(result, 'think', true);
+                return {result: cleanedResult.trim(), thinking: reasoning + thinkingContent, trace: trace};
+            });
+        });
+    }
+    
+    /**
+     * Read a server-sent event stream
+     * 
+     * Decodes the response body chunk by chunk, splits it into events
+     * and calls the handler with the event name and the parsed JSON data.
+     * 
+     * @param {Response} response - The fetch response with an event stream body
+     * @param {Function} onEvent - Handler called with (event, data)
+     * @returns {Promise} Promise resolved when the stream ends
+     */
+    function readEventStream(response, onEvent) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        
+        // Dispatch one event block (lines up to an empty line)
+        const dispatch = block => {
+            let event = 'message';
+            const data = [];
+            block.split('\n').forEach(line => {
+                if (line.startsWith('event:')) {
+                    event = line.substring(6).trim();
+                } else if (line.startsWith('data:')) {
+                    data.push(line.substring(5).trim());
+                }
+            });
+            if (data.length) {
+                onEvent(event, JSON.parse(data.join('\n')));
+            }
+        };
+        
+        const read = () => reader.read().then(({done, value}) => {
+            buffer += decoder.decode(value || new Uint8Array(), {stream: !done});
+            buffer = buffer.replace(/\r\n/g, '\n');
+            let pos;
+            while ((pos = buffer.indexOf('\n\n')) !== -1) {
+                dispatch(buffer.substring(0, pos));
+                buffer = buffer.substring(pos + 2);
+            }
+            if (done) {
+                if (buffer.trim()) {
+                    dispatch(buffer);
+                }
+                return;
+            }
+            return read();
+        });
+        return read();
+    }
+    
+    /**
+     * Create a live preview of the streamed result above the editor
+     * 
+     * Shows the text while it is generated for actions that write into
+     * the editor, with a separate panel for the thinking content.
+     * When finished, the streamed text is removed and only the thinking
+     * panel stays until it is closed.
+     * 
+     * @param {HTMLTextAreaElement} editor - The editor textarea
+     * @param {string} titleText - The title of the preview
+     * @returns {Object} View with update(text, thinking), showTrace(trace) and finish() methods
+     */
+    function createStreamPreview(editor, titleText) {
+        const preview = document.createElement('div');
+        preview.className = 'dokullm-stream-preview';
+        
+        const header = document.createElement('div');
+        header.className = 'dokullm-stream-header';
+        const title = document.createElement('strong');
+        title.textContent = titleText;
+        const closeButton = document.createElement('button');
+        closeButton.type = 'button';
+        closeButton.className = 'dokullm-stream-close';
+        closeButton.textContent = '×';
+        closeButton.title = lang.close || 'Close';
+        closeButton.addEventListener('click', () => preview.remove());
+        header.appendChild(title);
+        header.appendChild(closeButton);
+        
+        const thinkingPanel = createThinkingPanel();
+        const tracePanel = createTracePanel();
+        const content = document.createElement('div');
+        content.className = 'dokullm-stream-content';
+        
+        preview.appendChild(header);
+        preview.appendChild(thinkingPanel.element);
+        preview.appendChild(tracePanel.element);
+        preview.appendChild(content);
+        editor.parentNode.insertBefore(preview, editor);
+        
+        return {
+            update: function(text, thinking) {
+                content.textContent = text;
+                content.scrollTop = content.scrollHeight;
+                thinkingPanel.update(thinking);
+            },
+            showTrace: function(trace) {
+                tracePanel.update(trace);
+            },
+            finish: function() {
+                content.remove();
+                if (!thinkingPanel.hasContent() && !tracePanel.hasContent()) {
+                    preview.remove();
+                }
+            }
+        };
+    }
+    
+    /**
+     * Show the tool-call trace of a result placed into the page
+     * 
+     * The trace is added to the streamed preview, if any. Otherwise a
+     * preview is created above the editor only to hold the trace.
+     * 
+     * @param {HTMLTextAreaElement} editor - The editor textarea
+     * @param {string} titleText - The title of the preview
+     * @param {Array} trace - The trace returned by the backend
+     * @param {Object|null} streamView - The streamed preview, if any
+     */
+    function showTrace(editor, titleText, trace, streamView) {
+        if (streamView) {
+            streamView.showTrace(trace);
+        } else if (trace && trace.length) {
+            const view = createStreamPreview(editor, titleText);
+            view.showTrace(trace);
+            view.finish();
+        }
+    }
+    
+    /**
+     * Create a collapsible panel for the thinking content
+     * 
+     * The panel stays hidden until some thinking content is received.
+     * 
+     * @returns {Object} Object with the panel element, update(text) and hasContent() methods
+     */
+    function createThinkingPanel() {
+        const details = document.createElement('details');
+        details.className = 'dokullm-thinking';
+        details.open = true;
+        details.hidden = true;
+        const summary = document.createElement('summary');
+        summary.textContent = lang.thinking_process || 'AI Thinking Process';
+        const body = document.createElement('div');
+        body.className = 'dokullm-thinking-content';
+        details.appendChild(summary);
+        details.appendChild(body);
+        
+        return {
+            element: details,
+            update: function(text) {
+                if (!text) {
+                    return;
+                }
+                details.hidden = false;
+                body.textContent = text;
+                body.scrollTop = body.scrollHeight;
+            },
+            hasContent: function() {
+                return !details.hidden;
+            }
+        };
+    }
+    
+    /**
+     * Create a collapsible panel showing how a result was produced
+     * 
+     * Lists the tool calls made by the LLM, with their arguments and the
+     * beginning of their results, and the loop protection cutoffs. The
+     * panel stays hidden if no tool was called.
+     * 
+     * @returns {Object} Object with the panel element and update(trace) and hasContent() methods
+     */
+    function createTracePanel() {
+        const details = document.createElement('details');
+        details.className = 'dokullm-trace';
+        details.hidden = true;
+        const summary = document.createElement('summary');
+        summary.textContent = lang.trace_title || 'How this was produced';
+        const list = document.createElement('ol');
+        details.appendChild(summary);
+        details.appendChild(list);
+        
+        return {
+            element: details,
+            update: function(trace) {
+                list.replaceChildren();
+                (trace || []).forEach(entry => {
+                    const item = document.createElement('li');
+                    if (entry.type === 'cutoff') {
+                        item.className = 'dokullm-trace-cutoff';
+                        item.textContent = (entry.tool ?
+                            (lang.trace_cutoff_tool || 'Tools disabled: %s was called %d times (limit %l)').replace('%s', entry.tool) :
+                            (lang.trace_cutoff_total || 'Tools disabled: %d tool calls (limit %l)'))
+                            .replace('%d', entry.count).replace('%l', entry.limit);
+                    } else {
+                        const name = document.createElement('code');
+                        name.textContent = entry.tool + '(' + JSON.stringify(entry.arguments) + ')';
+                        item.appendChild(name);
+                        const info = document.createElement('span');
+                        info.className = 'dokullm-trace-info';
+                        info.textContent = ' ' + (lang.trace_characters || '%d characters').replace('%d', entry.length) +
+                            (entry.cached ? ', ' + (lang.trace_cached || 'from cache') : '');
+                        item.appendChild(info);
+                        const result = document.createElement('pre');
+                        result.textContent = entry.result + (entry.length > entry.result.length ? '…' : '');
+                        item.appendChild(result);
+                    }
+                    list.appendChild(item);
+                });
+                details.hidden = list.children.length === 0;
+            },
+            hasContent: function() {
+                return !details.hidden;
+            }
+        };
+    }
+    
+    /**
+     * Render DokuWiki text into an element
+     * 
+     * Asks the backend to render the text with DokuWiki's own parser, so
+     * the result looks like the saved page. If that fails, the text is
+     * converted locally with convertToHtml, which escapes all HTML.
+     * 
+     * @param {HTMLElement} element - The element to render into
+     * @param {string} text - The DokuWiki text to render
+     * @returns {Promise} Promise resolved when the text is rendered
+     */
+    function renderWikiText(element, text) {
+        const formData = new FormData();
+        formData.append('call', 'plugin_dokullm');
+        formData.append('action', 'render');
+        formData.append('text', text);
+        formData.append('id', JSINFO.id);
+        
+        return requestJSON(formData)
+        .then(data => {
+            // The HTML is produced by DokuWiki's renderer, which escapes the text
+            element.classList.remove('dokullm-plain');
+            element.innerHTML = data.result.html;
+        })
+        .catch(error => {
+            console.log('DokuLLM: Rendering failed, using local conversion:', error.message);
+            element.classList.add('dokullm-plain');
+            element.innerHTML = convertToHtml(text);
+        });
+    }
+    
+    /**
+     * Escape HTML special characters
+     * 
+     * @param {string} text - The text to escape
+     * @returns {string} The escaped text
+     */
+    function escapeHtml(text) {
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+    
+    /**
+     * Convert markdown/DokuWiki text to HTML
+     * 
+     * Performs basic conversion of markdown/DokuWiki syntax to HTML.
+     * Supports headings, lists, inline formatting, and code blocks.
+     * Used as fallback when the backend can not render the text.
+     * 
+     * The text is escaped first, so any HTML in it is shown as text and
+     * never executed. Only http(s) links are turned into external links.
+     * 
+     * @param {string} text - The markdown/DokuWiki text to convert
+     * @returns {string} The converted HTML
+     */
+    function convertToHtml(text) {
+        // Escape everything, the conversions below only add known tags
+        let html = escapeHtml(text);
+        
+        // Process code blocks first (```code```)
+        html = html.replace(/```([\s\S]*?)```/g, '<pre><code>$1</code></pre>');
+        
+        // Process DokuWiki file blocks ({{file>page#section}}), the '>' is escaped by now
+        html = html.replace(/\{\{file&gt;([^}]+)\}\}/g, '<div class="include">$1</div>');
+        
+        // Process DokuWiki includes ({{page}})
+        html = html.replace(/\{\{([^}]+)\}\}/g, '<div class="include">$1</div>');
+        
+        // Process inline code (`code`)
+        html = html.replace(/`([^`]+)`/g, '<code>$1</code>');
+        
+        // Process DokuWiki headings (====== Heading ======)
+        html = html.replace(/^====== (.*?) ======$/gm, '<h1>$1</h1>');
+        html = html.replace(/^===== (.*?) =====$/gm, '<h2>$1</h2>');
+        html = html.replace(/^==== (.*?) ====$/gm, '<h3>$1</h3>');
+        html = html.replace(/^=== (.*?) ===$/gm, '<h4>$1</h4>');
+        html = html.replace(/^== (.*?) ==$/gm, '<h5>$1</h5>');
+        html = html.replace(/^= (.*?) =$/gm, '<h6>$1</h6>');
+        
+        // Process markdown headings (# Heading, ## Heading, etc.)
+        html = html.replace(/^###### (.*$)/gm, '<h6>$1</h6>');
+        html = html.replace(/^##### (.*$)/gm, '<h5>$1</h5>');
+        html = html.replace(/^#### (.*$)/gm, '<h4>$1</h4>');
+        html = html.replace(/^### (.*$)/gm, '<h3>$1</h3>');
+        html = html.replace(/^## (.*$)/gm, '<h2>$1</h2>');
+        html = html.replace(/^# (.*$)/gm, '<h1>$1</h1>');
+        
+        // Process DokuWiki bold (**text**)
+        html = html.replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>');
+        
+        // Process DokuWiki italic (//text//), but not the slashes of URLs (http://)
+        html = html.replace(/(^|[^:])\/\/(.+?[^:])\/\//g, '$1<em>$2</em>');
+        
+        // Process DokuWiki underline (__text__)
+        html = html.replace(/__(.+?)__/g, '<u>$1</u>');
+        
+        // Process DokuWiki external links ([[http://example.com|text]])
+        html = html.replace(/\[\[(https?:\/\/[^\]|]+)\|([^\]]+)\]\]/g, '<a href="$1" target="_blank" rel="noopener">$2</a>');
+        
+        // Process DokuWiki external links ([[http://example.com]])
+        html = html.replace(/\[\[(https?:\/\/[^\]]+)\]\]/g, '<a href="$1" target="_blank" rel="noopener">$1</a>');
+        
+        // Process DokuWiki internal links ([[page|text]])
+        html = html.replace(/\[\[([^\]|]+)\|([^\]]+)\]\]/g, (match, id, title) => '<a href="?id=' + encodeURIComponent(id) + '">' + title + '</a>');
+        
+        // Process DokuWiki internal links ([[page]])
+        html = html.replace(/\[\[([^\]]+)\]\]/g, (match, id) => '<a href="?id=' + encodeURIComponent(id) + '">' + id + '</a>');
+        
+        // Process unordered lists (* item or - item) with role attribute
+        html = html.replace(/^[ \t]*\* (.*$)/gm, '<li role="ul">$1</li>');
+        html = html.replace(/^[ \t]*- (.*$)/gm, '<li role="ul">$1</li>');
+        
+        // Process ordered lists (1. item) with role attribute
+        html = html.replace(/^\d+\. (.*$)/gm, '<li role="ol">$1</li>');
+        
+        // Wrap consecutive <li role="ul"> elements in <ul>
+        html = html.replace(/(<li role="ul">.*<\/li>(\s*<li role="ul">.*<\/li>)*)/g, '<ul>$1</ul>');
+        
+        // Wrap consecutive <li role="ol"> elements in <ol>
+        html = html.replace(/(<li role="ol">.*<\/li>(\s*<li role="ol">.*<\/li>)*)/g, '<ol>$1</ol>');
+        
+        // Remove role attributes from li elements (they were only used for identification)
+        html = html.replace(/<li role="(ul|ol)">/g, '<li>');
+        
+        return html;
+    }
+    
+    /**
+     * Show analysis or summarize results in a modal dialog
+     * 
+     * Creates and displays a modal dialog with the analysis or summarize results.
+     * Includes a close button and proper styling.
+     * 
+     * The content is rendered by DokuWiki, see renderWikiText.
+     * 
+     * The returned view can be used to update the content while the
+     * result is streamed: partial text is shown as plain text, and the final
+     * text is rendered.
+     * 
+     * @param {string} contentText - The content text to display
+     * @param {string} action - The action type ('analyze' or 'summarize')
+     * @param {string} titleText - The title to display in the modal
+     * @returns {Object} View with update(text, thinking, final) and showTrace(trace) methods
+     */
+    function showModal(contentText, action = 'analyze', titleText = '') {
+        // Create modal container
+        const modal = document.createElement('div');
+        modal.id = 'dokullm-' + action + '-modal';
+        modal.className = 'dokullm-modal';
+        
+        // Create modal content
+        const modalContent = document.createElement('div');
+        modalContent.className = 'dokullm-modal-content';
+        
+        // Create close button
+        const closeButton = document.createElement('button');
+        closeButton.textContent = lang.close || 'Close';
+        closeButton.title = lang.close_title || 'Close Modal';
+        closeButton.className = 'dokullm-modal-close';
+        closeButton.addEventListener('click', () => {
+            document.body.removeChild(modal);
+        });
+        
+        // Create append button
+        const appendButton = document.createElement('button');
+        appendButton.textContent = lang.append || 'Append';
+        appendButton.title = lang.append_title || 'Append to report';
+        appendButton.className = 'dokullm-modal-append';
+        appendButton.addEventListener('click', () => {
+            appendToReport(contentText, title.textContent);
+            document.body.removeChild(modal);
+        });
+        
+        // Create the thinking panel, shown only when thinking content is streamed
+        const thinkingPanel = createThinkingPanel();
+        // Create the trace panel, shown only when tools were called
+        const tracePanel = createTracePanel();
+        
+        // Create title based on action or use provided title
+        const title = document.createElement('h3');
+        if (titleText) {
+            title.textContent = titleText;
+        } else {
+            title.textContent = action.charAt(0).toUpperCase() + action.slice(1);
+        }
+        title.style.marginTop = '0';
+        
+        // Create content area, rendered like a wiki page
+        const content = document.createElement('div');
+        content.className = 'dokullm-modal-body dokuwiki';
+        if (contentText) {
+            renderWikiText(content, contentText);
+        }
+        
+        // Assemble modal
+        modalContent.appendChild(closeButton);
+        modalContent.appendChild(appendButton);
+        modalContent.appendChild(title);
+        modalContent.appendChild(thinkingPanel.element);
+        modalContent.appendChild(content);
+        modalContent.appendChild(tracePanel.element);
+        modal.appendChild(modalContent);
+        
+        // Add to document and set up close event
+        document.body.appendChild(modal);
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                document.body.removeChild(modal);
+            }
+        });
+        
+        return {
+            update: function(text, thinking, final) {
+                contentText = text;
+                if (final) {
+                    renderWikiText(content, text);
+                } else {
+                    // Show the partial text as plain text while it is streamed
+                    content.classList.add('dokullm-plain');
+                    content.textContent = text;
+                }
+                thinkingPanel.update(thinking);
+            },
+            showTrace: function(trace) {
+                tracePanel.update(trace);
+            }
+        };
+    }
+    
+    /**
+     * Append content to the end of the report
+     * 
+     * Adds the provided content to the end of the editor content,
+     * preserving metadata at the beginning.
+     * 
+     * @param {string} content - The content to append
+     * @param {string} label - The label of the edit in the history
+     */
+    function appendToReport(content, label = '') {
+        const editor = document.getElementById('wiki__text');
+        if (!editor) {
+            console.log('DokuLLM: Editor not found for appending content');
+            return;
+        }
+        
+        // Preserve metadata when appending content
+        const metadata = extractMetadata(editor.value);
+        const contentWithoutMetadata = editor.value.substring(metadata.length);
+        
+        // Append new content with proper spacing
+        setEditorValue(editor, metadata + contentWithoutMetadata + '\n\n' + content, label || lang.append || 'Append');
+        
+        // Focus the editor at the end
+        editor.focus();
+        editor.setSelectionRange(editor.value.length, editor.value.length);
+    }
+    
+    /**
+     * Process text with a custom user prompt
+     * 
+     * Sends selected or full text content to the backend with a user-provided
+     * custom prompt for processing.
+     * 
+     * Clears the prompt input after successful processing.
+     * Shows loading indicators during processing. As for the actions, the
+     * editor stays editable and the processed range is tracked.
+     * 
+     * Complex logic includes:
+     * 1. Validating custom prompt input
+     * 2. Determining text to process (selected vs full content)
+     * 3. Managing UI state for the custom prompt interface
+     * 4. Constructing and sending AJAX requests with custom prompts
+     * 5. Handling response processing and error conditions
+     * 6. Updating editor content and clearing input fields
+     * 7. Restoring UI state after processing
+     * 
+     * Prompts starting with '/' are slash commands, run by runSlashCommand.
+     * 
+     * @param {string} customPrompt - The user's custom prompt
+     */
+    function processCustomPrompt(customPrompt) {
+        console.log('DokuLLM: Processing custom prompt:', customPrompt);
+        if (!customPrompt.trim()) {
+            console.log('DokuLLM: No custom prompt provided');
+            showNotification(lang.no_prompt_provided || 'Please enter a prompt', 'warning');
+            return;
+        }
+        
+        // Remember the prompt, even if the request fails
+        rememberPrompt(customPrompt);
+        
+        // Run the slash commands ("/action instructions") as actions
+        if (customPrompt.trim().startsWith('/')) {
+            if (runSlashCommand(customPrompt)) {
+                const promptInput = document.querySelector('#dokullm-custom-prompt .dokullm-prompt-input');
+                if (promptInput) {
+                    promptInput.value = '';
+                }
+            }
+            return;
+        }
+        
+        const editor = document.getElementById('wiki__text');
+        if (!editor) {
+            console.log('DokuLLM: Editor not found for custom prompt');
+            return;
+        }
+        
+        // The range to process, the selection or the current section
+        const range = getProcessingRange(editor);
+        if (isRangeBusy(range)) {
+            console.log('DokuLLM: The range is already being processed');
+            showNotification(lang.range_busy || 'This text is already being processed by another action. Wait for its result or select another part of the page.', 'warning');
+            return;
+        }
+        
+        const selectedText = editor.value.substring(range.start, range.end);
+        const fullText = editor.value;
+        const textToProcess = selectedText || fullText;
+        console.log('DokuLLM: Text to process length:', textToProcess.length);
+        
+        if (!textToProcess.trim()) {
+            console.log('DokuLLM: No text to process for custom prompt');
+            showNotification(lang.no_text_provided || 'Please select text or enter content to process', 'warning');
+            return;
+        }
+        
+        // Get metadata from the page
+        const metadata = getMetadata();
+        console.log('DokuLLM: Retrieved metadata for custom prompt:', metadata);
+        
+        // Find the Send button and show loading state
+        const toolbar = document.getElementById('dokullm-custom-prompt');
+        const sendButton = toolbar.querySelector('.toolbutton');
+        const restoreButton = setButtonBusy(sendButton, lang.processing || 'Processing...');
+        console.log('DokuLLM: Send button disabled, showing processing state');
+        
+        // Track the processed range while the page is edited
+        const tracked = trackRange(editor, range, true);
+        
+        // Send AJAX request
+        console.log('DokuLLM: Sending custom prompt AJAX request to backend');
+        const formData = new FormData();
+        formData.append('call', 'plugin_dokullm');
+        formData.append('action', 'custom');
+        formData.append('text', textToProcess);
+        formData.append('prompt', customPrompt);
+        appendProfile(formData);
+        appendMetadata(formData, metadata);
+        
+        // Allow cancelling the request next to the Send button
+        const request = startRequest(toolbar, customPrompt);
+        
+        let streamView = null;
+        checkContextSize(textToProcess, metadata, request)
+        .then(() => {
+            // Restart the deadline, the user may have been asked to confirm
+            request.touch();
+            // Show the streamed text live in a preview above the editor
+            streamView = isStreamingEnabled() ? createStreamPreview(editor, customPrompt) : null;
+            return streamView ? streamRequest(formData, streamView, request) : fetchResult(formData, request);
+        })
+        .then(({result: cleanedResult, thinking: thinkingContent, trace}) => {
+            console.log('DokuLLM: Custom prompt processing successful, result length:', cleanedResult.length);
+            // Show thinking content in modal if it exists and was not streamed live
+            if (thinkingContent && !streamView) {
+                showModal(thinkingContent, 'thinking', lang.thinking_process || 'AI Thinking Process');
+            }
+            showTrace(editor, customPrompt, trace, streamView);
+            
+            // Replace the processed range, or the full text preserving the metadata
+            console.log('DokuLLM: Replacing ' + (selectedText ? 'selected text' : 'full text content') + ' for custom prompt');
+            return applyTrackedResult(editor, tracked, cleanedResult, 'replace', customPrompt).then(() => {
+                // Clear the input field, unless another prompt was entered meanwhile
+                const promptInput = toolbar.querySelector('.dokullm-prompt-input');
+                if (promptInput && promptInput.value === customPrompt) {
+                    promptInput.value = '';
+                }
+            });
+        })
+        .catch(error => {
+            console.log('DokuLLM: Error during custom prompt processing:', error.message);
+            reportRequestError(error, request);
+        })
+        .finally(() => {
+            console.log('DokuLLM: Resetting send button and releasing the range');
+            request.finish();
+            // Remove the streamed preview, keeping only the thinking panel
+            if (streamView) {
+                streamView.finish();
+            }
+            restoreButton();
+            releaseRange(editor, tracked);
+        });
+    }
+    
+    /**
+     * The custom prompt history and the pinned prompts
+     */
+    const promptStore = {history: [], pinned: []};
+    
+    /**
+     * Maximum number of prompts kept in each list of the prompt history
+     */
+    const PROMPT_HISTORY_SIZE = 50;
+    
+    /**
+     * Check whether the prompt history is stored on the server
+     * 
+     * @returns {boolean} True if stored on the server, false if in the browser
+     */
+    function isPromptStorageOnServer() {
+        return settings.prompt_storage === 'server' && !!settings.user;
+    }
+    
+    /**
+     * Load the custom prompt history
+     * 
+     * The history is read from the server, if configured so, otherwise
+     * (or if that fails) from the local storage of the browser.
+     * 
+     * @returns {Promise} Promise resolved when the history is loaded
+     */
+    function loadPromptStore() {
+        const fromBrowser = () => {
+            try {
+                const data = JSON.parse(localStorage.getItem('dokullm_prompts_' + (settings.user || '')) || '{}');
+                promptStore.history = Array.isArray(data.history) ? data.history : [];
+                promptStore.pinned = Array.isArray(data.pinned) ? data.pinned : [];
+            } catch (e) {
+                console.log('DokuLLM: Could not load the prompt history:', e.message);
+            }
+        };
+        if (!isPromptStorageOnServer()) {
+            fromBrowser();
+            return Promise.resolve();
+        }
+        const formData = new FormData();
+        formData.append('call', 'plugin_dokullm');
+        formData.append('action', 'get_prompts');
+        return requestJSON(formData)
+        .then(data => {
+            promptStore.history = data.result.history;
+            promptStore.pinned = data.result.pinned;
+        })
+        .catch(error => {
+            console.log('DokuLLM: Could not load the prompt history from the server:', error.message);
+            fromBrowser();
+        });
+    }
+    
+    /**
+     * Save the custom prompt history
+     * 
+     * The history is always kept in the browser and, if configured so,
+     * sent to the server too.
+     */
+    function savePromptStore() {
+        try {
+            localStorage.setItem('dokullm_prompts_' + (settings.user || ''), JSON.stringify(promptStore));
+        } catch (e) {
+            console.log('DokuLLM: Could not store the prompt history:', e.message);
+        }
+        if (!isPromptStorageOnServer()) {
+            return;
+        }
+        const sectok = document.querySelector('#dw__editform input[name="sectok"]');
+        const formData = new FormData();
+        formData.append('call', 'plugin_dokullm');
+        formData.append('action', 'save_prompts');
+        formData.append('prompts', JSON.stringify(promptStore));
+        formData.append('sectok', sectok ? sectok.value : '');
+        requestJSON(formData)
+        .catch(error => {
+            console.log('DokuLLM: Could not store the prompt history on the server:', error.message);
+        });
+    }
+    
+    /**
+     * Add a prompt to the top of the history
+     * 
+     * @param {string} prompt - The prompt
+     */
+    function rememberPrompt(prompt) {
+        prompt = prompt.trim();
+        promptStore.history = [prompt].concat(promptStore.history.filter(item => item !== prompt)).slice(0, PROMPT_HISTORY_SIZE);
+        savePromptStore();
+    }
+    
+    /**
+     * Pin a prompt, or unpin it if already pinned
+     * 
+     * @param {string} prompt - The prompt
+     */
+    function togglePinnedPrompt(prompt) {
+        if (promptStore.pinned.includes(prompt)) {
+            promptStore.pinned = promptStore.pinned.filter(item => item !== prompt);
+        } else {
+            promptStore.pinned = [prompt].concat(promptStore.pinned).slice(0, PROMPT_HISTORY_SIZE);
+        }
+        savePromptStore();
+    }
+    
+    /**
+     * Add the history to the custom prompt input
+     * 
+     * Up and Down recall the previous prompts when the input is empty or
+     * shows a recalled prompt. The button next to the input opens a
+     * searchable list of the pinned and the recent prompts.
+     * 
+     * @param {HTMLInputElement} input - The custom prompt input
+     * @returns {HTMLElement} The button opening the list of prompts
+     */
+    function addPromptHistory(input) {
+        // The position in the history, -1 for the text typed by the user
+        let position = -1;
+        let draft = '';
+        input.addEventListener('input', () => {
+            position = -1;
+        });
+        input.addEventListener('keydown', event => {
+            if (event.key !== 'ArrowUp' && event.key !== 'ArrowDown') {
+                return;
+            }
+            if (position === -1 && input.value !== '') {
+                return;
+            }
+            const next = position + (event.key === 'ArrowUp' ? 1 : -1);
+            if (next < -1 || next >= promptStore.history.length) {
+                return;
+            }
+            event.preventDefault();
+            if (position === -1) {
+                draft = input.value;
+            }
+            position = next;
+            input.value = position === -1 ? draft : promptStore.history[position];
+        });
+        
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'toolbutton dokullm-prompt-history-toggle';
+        button.textContent = '▾';
+        button.title = lang.prompt_history || 'Prompt history';
+        button.addEventListener('click', () => togglePromptMenu(input, button));
+        return button;
+    }
+    
+    /**
+     * Show or hide the list of pinned and recent prompts
+     * 
+     * @param {HTMLInputElement} input - The custom prompt input
+     * @param {HTMLElement} button - The button opening the list
+     */
+    function togglePromptMenu(input, button) {
+        const existing = document.getElementById('dokullm-prompt-menu');
+        if (existing) {
+            existing.remove();
+            return;
+        }
+        const menu = document.createElement('div');
+        menu.id = 'dokullm-prompt-menu';
+        menu.className = 'dokullm-prompt-menu';
+        const search = document.createElement('input');
+        search.type = 'text';
+        search.placeholder = lang.prompt_search || 'Search prompts...';
+        const list = document.createElement('ul');
+        menu.appendChild(search);
+        menu.appendChild(list);
+        
+        const createItemButton = (text, title, onClick) => {
+            const itemButton = document.createElement('button');
+            itemButton.type = 'button';
+            itemButton.textContent = text;
+            itemButton.title = title;
+            itemButton.addEventListener('click', event => {
+                event.stopPropagation();
+                onClick();
+            });
+            return itemButton;
+        };
+        const render = () => {
+            const query = search.value.trim().toLowerCase();
+            const prompts = promptStore.pinned.concat(promptStore.history.filter(prompt => !promptStore.pinned.includes(prompt)))
+                .filter(prompt => prompt.toLowerCase().includes(query));
+            list.innerHTML = '';
+            prompts.forEach(prompt => {
+                const pinned = promptStore.pinned.includes(prompt);
+                const item = document.createElement('li');
+                item.className = pinned ? 'dokullm-prompt-pinned' : '';
+                const text = document.createElement('span');
+                text.textContent = prompt;
+                text.title = prompt;
+                item.appendChild(text);
+                item.addEventListener('click', () => {
+                    input.value = prompt;
+                    menu.remove();
+                    input.focus();
+                });
+                item.appendChild(createItemButton(pinned ? '★' : '☆', pinned ? (lang.prompt_unpin || 'Unpin') : (lang.prompt_pin || 'Pin'), () => {
+                    togglePinnedPrompt(prompt);
+                    render();
+                }));
+                if (pinned) {
+                    item.appendChild(createItemButton('⇪', lang.prompt_export || 'Export as a profile action', () => {
+                        menu.remove();
+                        exportPrompt(prompt);
+                    }));
+                }
+                item.appendChild(createItemButton('×', lang.prompt_delete || 'Remove from the history', () => {
+                    promptStore.history = promptStore.history.filter(item => item !== prompt);
+                    promptStore.pinned = promptStore.pinned.filter(item => item !== prompt);
+                    savePromptStore();
+                    render();
+                }));
+                list.appendChild(item);
+            });
+            if (!prompts.length) {
+                const item = document.createElement('li');
+                item.className = 'dokullm-prompt-empty';
+                item.textContent = lang.prompt_history_empty || 'No prompts yet';
+                list.appendChild(item);
+            }
+        };
+        search.addEventListener('input', render);
+        search.addEventListener('keydown', event => {
+            if (event.key === 'Escape') {
+                menu.remove();
+                input.focus();
+            }
+        });
+        
+        button.parentNode.insertBefore(menu, button.nextSibling);
+        render();
+        search.focus();
+    }
+    
+    /**
+     * Show a pinned prompt as an action of the active profile
+     * 
+     * Asks for the action ID and shows the row to add to the action table
+     * of the profile and the content of the prompt page, with links to
+     * edit both pages.
+     * 
+     * @param {string} prompt - The pinned prompt
+     */
+    function exportPrompt(prompt) {
+        const suggested = prompt.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '').substring(0, 20) || 'prompt';
+        const id = (window.prompt(lang.prompt_export_id || 'Action ID for this prompt:', suggested) || '').trim();
+        if (!id) {
+            return;
+        }
+        const profile = getRequestedProfile() || settings.profile || 'default';
+        const profilePage = 'dokullm:profiles:' + profile;
+        const promptPage = profilePage + ':' + id;
+        const label = prompt.length > 20 ? prompt.substring(0, 20).trim() + '…' : prompt;
+        const row = '| ' + id + ' | ' + label.replace(/\|/g, '/') + ' | ' + prompt.replace(/[|\n]/g, ' ') + ' | | replace |';
+        const page = prompt + '\n\n{text}\n';
+        
+        const modal = document.createElement('div');
+        modal.className = 'dokullm-modal';
+        const modalContent = document.createElement('div');
+        modalContent.className = 'dokullm-modal-content dokullm-export';
+        const closeButton = document.createElement('button');
+        closeButton.textContent = lang.close || 'Close';
+        closeButton.className = 'dokullm-modal-close';
+        closeButton.addEventListener('click', () => modal.remove());
+        const title = document.createElement('h3');
+        title.textContent = lang.prompt_export || 'Export as a profile action';
+        title.style.marginTop = '0';
+        modalContent.appendChild(closeButton);
+        modalContent.appendChild(title);
+        
+        // One step for each page to edit
+        [[lang.prompt_export_row || 'Add this row to the action table of %s:', profilePage, row],
+         [lang.prompt_export_page || 'Create the prompt page %s with this content:', promptPage, page]].forEach(([text, pageId, content]) => {
+            const step = document.createElement('p');
+            const parts = text.split('%s');
+            const link = document.createElement('a');
+            link.href = DOKU_BASE + 'doku.php?id=' + encodeURIComponent(pageId) + '&do=edit';
+            link.target = '_blank';
+            link.textContent = pageId;
+            step.append(parts[0], link, parts[1] || '');
+            const textarea = document.createElement('textarea');
+            textarea.readOnly = true;
+            textarea.rows = content.split('\n').length + 1;
+            textarea.value = content;
+            textarea.addEventListener('focus', () => textarea.select());
+            modalContent.appendChild(step);
+            modalContent.appendChild(textarea);
+        });
+        
+        modal.appendChild(modalContent);
+        modal.addEventListener('click', event => {
+            if (event.target === modal) {
+                modal.remove();
+            }
+        });
+        document.body.appendChild(modal);
+    }
+    
+    /**
+     * Key of the chat conversation in the session storage
+     * 
+     * Each page has its own conversation, kept until the browser tab is closed.
+     * 
+     * @returns {string} The storage key
+     */
+    function getChatStorageKey() {
+        return 'dokullm_chat_' + (JSINFO.id || '');
+    }
+    
+    /**
+     * Load the chat conversation of the current page
+     * 
+     * @returns {Array<Object>} The messages, each with role and content
+     */
+    function loadChatMessages() {
+        try {
+            const messages = JSON.parse(sessionStorage.getItem(getChatStorageKey()) || '[]');
+            return Array.isArray(messages) ? messages : [];
+        } catch (e) {
+            return [];
+        }
+    }
+    
+    /**
+     * Save the chat conversation of the current page
+     * 
+     * @param {Array<Object>} messages - The messages, each with role and content
+     */
+    function saveChatMessages(messages) {
+        try {
+            sessionStorage.setItem(getChatStorageKey(), JSON.stringify(messages));
+        } catch (e) {
+            console.log('DokuLLM: Could not store the chat conversation:', e.message);
+        }
+    }
+    
+    /**
+     * Show or hide the chat panel
+     * 
+     * The panel is created on first use and restores the conversation
+     * of the current page from the session storage.
+     */
+    function toggleChatPanel() {
+        const panel = document.getElementById('dokullm-chat');
+        if (panel) {
+            panel.hidden = !panel.hidden;
+            if (!panel.hidden) {
+                panel.querySelector('.dokullm-chat-input').focus();
+            }
+            return;
+        }
+        const editor = document.getElementById('wiki__text');
+        if (editor) {
+            createChatPanel(editor).querySelector('.dokullm-chat-input').focus();
+        }
+    }
+    
+    /**
+     * Create the chat panel
+     * 
+     * The panel holds a conversation about the page with the LLM. Each
+     * turn sends the whole conversation together with the editor text
+     * and the page metadata, so the requests can be refined step by step
+     * ("shorter", "now in Romanian") without changing the page. Any reply
+     * can then be inserted at the cursor or replace the selection.
+     * 
+     * The panel is docked to the side of the page or below the editor;
+     * the choice is remembered by the browser.
+     * 
+     * @param {HTMLTextAreaElement} editor - The editor textarea
+     * @returns {HTMLElement} The panel
+     */
+    function createChatPanel(editor) {
+        const messages = loadChatMessages();
+        
+        const panel = document.createElement('div');
+        panel.id = 'dokullm-chat';
+        panel.className = 'dokullm-chat';
+        
+        // Header with the title and the panel buttons
+        const header = document.createElement('div');
+        header.className = 'dokullm-chat-header';
+        const title = document.createElement('strong');
+        title.textContent = lang.chat_title || 'DokuLLM Chat';
+        header.appendChild(title);
+        
+        const dockButton = document.createElement('button');
+        dockButton.type = 'button';
+        dockButton.className = 'dokullm-chat-dock';
+        const setDock = dock => {
+            panel.classList.toggle('dokullm-chat-side', dock === 'side');
+            dockButton.textContent = dock === 'side' ? '⇩' : '⇨';
+            dockButton.title = dock === 'side' ? (lang.chat_dock_bottom || 'Dock below the editor') : (lang.chat_dock_side || 'Dock to the side');
+            try {
+                localStorage.setItem('dokullm_chat_dock', dock);
+            } catch (e) {
+                // The panel still works, only the choice is not remembered
+            }
+        };
+        dockButton.addEventListener('click', () => setDock(panel.classList.contains('dokullm-chat-side') ? 'bottom' : 'side'));
+        header.appendChild(dockButton);
+        
+        const clearButton = document.createElement('button');
+        clearButton.type = 'button';
+        clearButton.textContent = lang.chat_clear || 'Clear';
+        clearButton.title = lang.chat_clear_title || 'Start a new conversation';
+        clearButton.addEventListener('click', () => {
+            messages.length = 0;
+            saveChatMessages(messages);
+            list.innerHTML = '';
+        });
+        header.appendChild(clearButton);
+        
+        const closeButton = document.createElement('button');
+        closeButton.type = 'button';
+        closeButton.textContent = '×';
+        closeButton.title = lang.close || 'Close';
+        closeButton.addEventListener('click', () => {
+            panel.hidden = true;
+        });
+        header.appendChild(closeButton);
+        
+        // The conversation
+        const list = document.createElement('div');
+        list.className = 'dokullm-chat-messages';
+        
+        // The input form
+        const form = document.createElement('div');
+        form.className = 'dokullm-chat-form';
+        const input = document.createElement('textarea');
+        input.className = 'dokullm-chat-input';
+        input.rows = 2;
+        input.placeholder = lang.chat_placeholder || 'Ask about the page or request changes... (Enter to send, Shift+Enter for a new line)';
+        const sendButton = document.createElement('button');
+        sendButton.type = 'button';
+        sendButton.className = 'toolbutton';
+        sendButton.textContent = lang.send || 'Send';
+        form.appendChild(input);
+        form.appendChild(sendButton);
+        
+        panel.appendChild(header);
+        panel.appendChild(list);
+        panel.appendChild(form);
+        
+        // Send the next turn of the conversation
+        const send = () => {
+            const content = input.value.trim();
+            if (!content || sendButton.disabled) {
+                return;
+            }
+            messages.push({role: 'user', content: content});
+            list.appendChild(createChatMessage('user', content));
+            const reply = createChatMessage('assistant', '');
+            list.appendChild(reply);
+            list.scrollTop = list.scrollHeight;
+            input.value = '';
+            input.disabled = true;
+            sendButton.disabled = true;
+            
+            const formData = new FormData();
+            formData.append('call', 'plugin_dokullm');
+            formData.append('action', 'chat');
+            formData.append('text', editor.value);
+            formData.append('messages', JSON.stringify(messages));
+            appendProfile(formData);
+            const metadata = getMetadata();
+            appendMetadata(formData, metadata);
+            
+            const request = startRequest(form);
+            checkContextSize(editor.value + messages.map(message => message.content).join('\n'), metadata, request)
+            .then(() => {
+                request.touch();
+                return isStreamingEnabled() ? streamRequest(formData, reply.view, request) : fetchResult(formData, request);
+            })
+            .then(({result, thinking, trace}) => {
+                reply.view.update(result, thinking, true);
+                reply.view.showTrace(trace);
+                messages.push({role: 'assistant', content: result});
+                saveChatMessages(messages);
+            })
+            .catch(error => {
+                console.log('DokuLLM: Error during chat:', error.message);
+                // Forget the failed turn, but give the user back the message
+                messages.pop();
+                reply.previousSibling.remove();
+                reply.remove();
+                input.value = content;
+                reportRequestError(error, request);
+            })
+            .finally(() => {
+                request.finish();
+                input.disabled = false;
+                sendButton.disabled = false;
+                input.focus();
+            });
+        };
+        sendButton.addEventListener('click', send);
+        input.addEventListener('keydown', event => {
+            if (event.key === 'Enter' && !event.shiftKey) {
+                event.preventDefault();
+                send();
+            }
+        });
+        
+        // Restore the conversation
+        messages.forEach(message => list.appendChild(createChatMessage(message.role, message.content)));
+        
+        let dock = 'side';
+        try {
+            dock = localStorage.getItem('dokullm_chat_dock') || dock;
+        } catch (e) {
+            // Use the default dock
+        }
+        setDock(dock);
+        
+        // Place the panel after the custom prompt, below the editor
+        const anchor = document.getElementById('dokullm-custom-prompt') || editor;
+        anchor.parentNode.insertBefore(panel, anchor.nextSibling);
+        list.scrollTop = list.scrollHeight;
+        return panel;
+    }
+    
+    /**
+     * Create a chat message element
+     * 
+     * Assistant messages get buttons to insert the reply at the cursor or
+     * replace the selection with it, and a view to show the streamed reply.
+     * 
+     * @param {string} role - The role of the author ('user' or 'assistant')
+     * @param {string} content - The message text
+     * @returns {HTMLElement} The message element, with a view property for assistant messages
+     */
+    function createChatMessage(role, content) {
+        const message = document.createElement('div');
+        message.className = 'dokullm-chat-message dokullm-chat-' + role;
+        
+        const body = document.createElement('div');
+        body.className = 'dokullm-chat-body';
+        body.textContent = content;
+        
+        if (role !== 'assistant') {
+            message.appendChild(body);
+            return message;
+        }
+        
+        const thinkingPanel = createThinkingPanel();
+        thinkingPanel.element.open = false;
+        const tracePanel = createTracePanel();
+        message.appendChild(thinkingPanel.element);
+        message.appendChild(body);
+        message.appendChild(tracePanel.element);
+        
+        const buttons = document.createElement('div');
+        buttons.className = 'dokullm-chat-buttons';
+        buttons.hidden = !content;
+        
+        const insertButton = document.createElement('button');
+        insertButton.type = 'button';
+        insertButton.textContent = lang.chat_insert || 'Insert at cursor';
+        insertButton.addEventListener('click', () => {
+            const editor = document.getElementById('wiki__text');
+            if (!editor) {
+                return;
+            }
+            const range = {start: editor.selectionStart, end: editor.selectionEnd, cursor: editor.selectionStart};
+            applyResult(editor, placeResult(editor.value, 'insert', body.textContent, range), lang.chat_title || 'DokuLLM Chat');
+        });
+        
+        const replaceButton = document.createElement('button');
+        replaceButton.type = 'button';
+        replaceButton.textContent = lang.chat_replace || 'Replace selection';
+        replaceButton.title = lang.chat_replace_title || 'Replace the selected text, or the whole page if nothing is selected';
+        replaceButton.addEventListener('click', () => {
+            const editor = document.getElementById('wiki__text');
+            if (!editor) {
+                return;
+            }
+            replaceSelectedText(editor, body.textContent, lang.chat_title || 'DokuLLM Chat');
+        });
+        
+        buttons.appendChild(insertButton);
+        buttons.appendChild(replaceButton);
+        message.appendChild(buttons);
+        
+        // Show the reply while it is streamed
+        message.view = {
+            update: function(text, thinking, final) {
+                body.textContent = text;
+                thinkingPanel.update(thinking);
+                if (final) {
+                    buttons.hidden = !text;
+                }
+                const list = message.parentNode;
+                if (list) {
+                    list.scrollTop = list.scrollHeight;
+                }
+            },
+            showTrace: function(trace) {
+                tracePanel.update(trace);
+            }
+        };
+        return message;
+    }
+    
+    /**
+     * Show or hide the metadata panel
+     * 
+     * The fields are filled from the directives of the page each time
+     * the panel is shown, so manual edits of the directives are not lost.
+     */
+    function toggleMetadataPanel() {
+        const editor = document.getElementById('wiki__text');
+        let panel = document.getElementById('dokullm-metadata');
+        if (panel && !panel.hidden) {
+            panel.hidden = true;
+            return;
+        }
+        if (!panel) {
+            if (!editor) {
+                return;
+            }
+            panel = createMetadataPanel(editor);
+        }
+        panel.hidden = false;
+        panel.fill(getMetadata());
+    }
+    
+    /**
+     * Create the metadata panel
+     * 
+     * Shows the ~~LLM_TEMPLATE~~, ~~LLM_EXAMPLES~~ and ~~LLM_PREVIOUS~~
+     * directives of the page as fields with page ID autocompletion. The
+     * referenced pages are checked while typing, so a misspelled ID is
+     * noticed before it silently sends an empty context. The example pages
+     * can be reordered. Applying the panel writes the directives back
+     * after the page title, through the edit history and the review of changes.
+     * 
+     * @param {HTMLTextAreaElement} editor - The editor textarea
+     * @returns {HTMLElement} The panel, with a fill(metadata) method
+     */
+    function createMetadataPanel(editor) {
+        const panel = document.createElement('div');
+        panel.id = 'dokullm-metadata';
+        panel.className = 'dokullm-metadata';
+        
+        // Header with the title and the close button
+        const header = document.createElement('div');
+        header.className = 'dokullm-metadata-header';
+        const title = document.createElement('strong');
+        title.textContent = lang.metadata_title || 'Page metadata';
+        header.appendChild(title);
+        const closeButton = document.createElement('button');
+        closeButton.type = 'button';
+        closeButton.textContent = '×';
+        closeButton.title = lang.close || 'Close';
+        closeButton.addEventListener('click', () => {
+            panel.hidden = true;
+        });
+        header.appendChild(closeButton);
+        panel.appendChild(header);
+        
+        // The page IDs suggested while typing, shared by all the fields
+        const datalist = document.createElement('datalist');
+        datalist.id = 'dokullm-pages';
+        panel.appendChild(datalist);
+        
+        // Check the pages shortly after the user stops typing
+        let checkTimer = null;
+        const scheduleCheck = () => {
+            clearTimeout(checkTimer);
+            checkTimer = setTimeout(() => checkMetadataPages(panel), 500);
+        };
+        
+        const templateField = createPageField(datalist, scheduleCheck);
+        const previousField = createPageField(datalist, scheduleCheck);
+        panel.appendChild(createMetadataRow(lang.metadata_template || 'Template', templateField));
+        panel.appendChild(createMetadataRow(lang.metadata_previous || 'Previous document', previousField));
+        
+        // The example pages, in the order they are given to the LLM
+        const examplesList = document.createElement('div');
+        examplesList.className = 'dokullm-metadata-examples';
+        const addExample = (value) => {
+            const field = createPageField(datalist, scheduleCheck);
+            field.input.value = value;
+            const moveUp = document.createElement('button');
+            moveUp.type = 'button';
+            moveUp.textContent = '↑';
+            moveUp.title = lang.metadata_move_up || 'Move up';
+            moveUp.addEventListener('click', () => {
+                if (field.previousElementSibling) {
+                    examplesList.insertBefore(field, field.previousElementSibling);
+                }
+            });
+            const moveDown = document.createElement('button');
+            moveDown.type = 'button';
+            moveDown.textContent = '↓';
+            moveDown.title = lang.metadata_move_down || 'Move down';
+            moveDown.addEventListener('click', () => {
+                if (field.nextElementSibling) {
+                    examplesList.insertBefore(field.nextElementSibling, field);
+                }
+            });
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.textContent = '×';
+            remove.title = lang.metadata_remove || 'Remove';
+            remove.addEventListener('click', () => field.remove());
+            field.insertBefore(remove, field.status);
+            field.insertBefore(moveDown, remove);
+            field.insertBefore(moveUp, moveDown);
+            examplesList.appendChild(field);
+            return field;
+        };
+        const addExampleButton = document.createElement('button');
+        addExampleButton.type = 'button';
+        addExampleButton.textContent = lang.metadata_add_example || 'Add example';
+        addExampleButton.addEventListener('click', () => addExample('').input.focus());
+        const examplesCell = document.createElement('div');
+        examplesCell.appendChild(examplesList);
+        examplesCell.appendChild(addExampleButton);
+        panel.appendChild(createMetadataRow(lang.metadata_examples || 'Examples', examplesCell));
+        
+        // The directives can be written only if the editor holds the whole page
+        const buttons = document.createElement('div');
+        buttons.className = 'dokullm-metadata-buttons';
+        const applyButton = document.createElement('button');
+        applyButton.type = 'button';
+        applyButton.className = 'toolbutton';
+        applyButton.textContent = lang.metadata_apply || 'Apply';
+        buttons.appendChild(applyButton);
+        if (getSectionEdit()) {
+            applyButton.disabled = true;
+            const note = document.createElement('span');
+            note.textContent = lang.metadata_section_edit || 'Edit the whole page to change the metadata.';
+            buttons.appendChild(note);
+        }
+        panel.appendChild(buttons);
+        
+        applyButton.addEventListener('click', () => {
+            const metadata = {
+                template: templateField.input.value.trim(),
+                examples: Array.from(examplesList.children).map(field => field.input.value.trim()).filter(id => id),
+                previous: previousField.input.value.trim()
+            };
+            applyButton.disabled = true;
+            writePageMetadata(editor, metadata)
+                .catch(error => {
+                    console.error('DokuLLM: Error writing the metadata:', error);
+                    showError(error);
+                })
+                .finally(() => {
+                    applyButton.disabled = false;
+                });
+        });
+        
+        panel.fill = function(metadata) {
+            templateField.input.value = metadata.template;
+            previousField.input.value = metadata.previous;
+            examplesList.replaceChildren();
+            metadata.examples.forEach(example => addExample(example));
+            checkMetadataPages(panel);
+        };
+        
+        const toolbar = document.getElementById('dokullm-toolbar');
+        editor.parentNode.insertBefore(panel, toolbar ? toolbar.nextSibling : editor);
+        return panel;
+    }
+    
+    /**
+     * Write the context metadata directives of the page
+     * 
+     * Replaces the ~~LLM_TEMPLATE~~, ~~LLM_EXAMPLES~~ and ~~LLM_PREVIOUS~~
+     * directives and puts the new ones after the page title. Other directives,
+     * like ~~LLM_PROFILE~~, are kept. The change goes through the edit history
+     * and the review of changes.
+     * 
+     * @param {HTMLTextAreaElement} editor - The editor textarea
+     * @param {Object} metadata - The template, examples and previous values
+     * @returns {Promise<boolean>} Promise resolving to true if the change was applied
+     */
+    function writePageMetadata(editor, metadata) {
+        const text = editor.value.replace(/~~LLM_(?:TEMPLATE|EXAMPLES|PREVIOUS):[^~]*~~[ \t]*\n?/g, '');
+        const lines = [];
+        if (metadata.template) {
+            lines.push('~~LLM_TEMPLATE:' + metadata.template + '~~');
+        }
+        const examples = metadata.examples.filter(example => example);
+        if (examples.length > 0) {
+            lines.push('~~LLM_EXAMPLES:' + examples.join(',') + '~~');
+        }
+        if (metadata.previous) {
+            lines.push('~~LLM_PREVIOUS:' + metadata.previous + '~~');
+        }
+        const newValue = lines.length > 0 ? insertMetadataAfterTitle(text, lines.join('\n')) : text;
+        return applyResult(editor, newValue, lang.metadata_title || 'Page metadata');
+    }
+    
+    /**
+     * Create a labelled row of the metadata panel
+     * 
+     * @param {string} label - The label of the row
+     * @param {HTMLElement} content - The fields of the row
+     * @returns {HTMLElement} The row
+     */
+    function createMetadataRow(label, content) {
+        const row = document.createElement('div');
+        row.className = 'dokullm-metadata-row';
+        const labelElement = document.createElement('span');
+        labelElement.className = 'dokullm-metadata-label';
+        labelElement.textContent = label;
+        row.appendChild(labelElement);
+        row.appendChild(content);
+        return row;
+    }
+    
+    /**
+     * Create a page ID field with autocompletion and a status indicator
+     * 
+     * The matching pages are suggested while typing, like in the link
+     * wizard of DokuWiki.
+     * 
+     * @param {HTMLDataListElement} datalist - The list of the suggested page IDs
+     * @param {Function} onChange - Called when the page ID changes
+     * @returns {HTMLElement} The field, with the input and status properties
+     */
+    function createPageField(datalist, onChange) {
+        const field = document.createElement('div');
+        field.className = 'dokullm-page-field';
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'dokullm-page-id';
+        input.setAttribute('list', datalist.id);
+        input.placeholder = lang.metadata_page_placeholder || 'Page ID';
+        const status = document.createElement('span');
+        status.className = 'dokullm-page-status';
+        field.appendChild(input);
+        field.appendChild(status);
+        field.input = input;
+        field.status = status;
+        
+        let searchTimer = null;
+        input.addEventListener('input', () => {
+            status.textContent = '';
+            status.className = 'dokullm-page-status';
+            onChange();
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(() => {
+                searchPages(input.value.trim()).then(pages => {
+                    datalist.replaceChildren();
+                    pages.forEach(page => {
+                        const option = document.createElement('option');
+                        option.value = page.id;
+                        option.label = page.title;
+                        datalist.appendChild(option);
+                    });
+                });
+            }, 250);
+        });
+        return field;
+    }
+    
+    /**
+     * Find the pages matching a part of their ID or title
+     * 
+     * @param {string} query - The searched text
+     * @returns {Promise<Array>} Promise resolving to the pages, each with id and title
+     */
+    function searchPages(query) {
+        if (query.length < 2) {
+            return Promise.resolve([]);
+        }
+        const formData = new FormData();
+        formData.append('call', 'plugin_dokullm');
+        formData.append('action', 'search_pages');
+        formData.append('query', query);
+        return requestJSON(formData)
+        .then(data => data.result)
+        .catch(error => {
+            console.log('DokuLLM: Page search failed:', error.message);
+            return [];
+        });
+    }
+    
+    /**
+     * Check the pages referenced in the metadata panel and show their status
+     * 
+     * Missing pages and pages the user can not read are marked with a warning.
+     * 
+     * @param {HTMLElement} panel - The metadata panel
+     */
+    function checkMetadataPages(panel) {
+        const fields = Array.from(panel.querySelectorAll('.dokullm-page-field')).filter(field => field.input.value.trim());
+        if (fields.length === 0) {
+            return;
+        }
+        const formData = new FormData();
+        formData.append('call', 'plugin_dokullm');
+        formData.append('action', 'check_pages');
+        formData.append('pages', JSON.stringify(fields.map(field => field.input.value.trim())));
+        requestJSON(formData)
+        .then(data => {
+            const statuses = {};
+            data.result.forEach(page => {
+                statuses[page.id] = page.status;
+            });
+            fields.forEach(field => {
+                const status = statuses[field.input.value.trim()];
+                if (!status) {
+                    // The value changed while checking
+                    return;
+                }
+                field.status.className = 'dokullm-page-status dokullm-page-' + status;
+                if (status === 'ok') {
+                    field.status.textContent = '✓';
+                    field.status.title = '';
+                } else {
+                    field.status.textContent = status === 'missing' ? (lang.metadata_page_missing || 'Page not found') : (lang.metadata_page_unreadable || 'Page not readable');
+                    field.status.title = field.status.textContent;
+                }
+            });
+        })
+        .catch(error => {
+            console.log('DokuLLM: Page check failed:', error.message);
+        });
+    }
+    
+    /**
+     * Show or hide the Related panel
+     * 
+     * Showing the panel searches for the content related to the selection
+     * or the current section.
+     */
+    function toggleRelatedPanel() {
+        const editor = document.getElementById('wiki__text');
+        let panel = document.getElementById('dokullm-related');
+        if (panel && !panel.hidden) {
+            panel.hidden = true;
+            return;
+        }
+        if (!editor) {
+            return;
+        }
+        if (!panel) {
+            panel = createRelatedPanel(editor);
+        }
+        panel.hidden = false;
+        panel.search();
+    }
+    
+    /**
+     * Get the text to find related content for
+     * 
+     * This is the selection, if there is one, otherwise the heading
+     * section containing the cursor.
+     * 
+     * @param {HTMLTextAreaElement} editor - The editor textarea
+     * @returns {string} The text
+     */
+    function getRelatedQueryText(editor) {
+        if (editor.selectionStart !== editor.selectionEnd) {
+            return editor.value.substring(editor.selectionStart, editor.selectionEnd);
+        }
+        const offset = extractMetadata(editor.value).length;
+        const section = findSection(editor.value, Math.max(editor.selectionStart, offset), offset);
+        return editor.value.substring(section.bodyStart, section.end).trim() || editor.value;
+    }
+    
+    /**
+     * Create the Related panel
+     * 
+     * Lists the pages and snippets of the ChromaDB index most similar to
+     * the selection or the current section, with their similarity. Each
+     * result can be linked or inserted at the cursor, or used as example
+     * or previous document of the page.
+     * 
+     * @param {HTMLTextAreaElement} editor - The editor textarea
+     * @returns {HTMLElement} The panel, with a search() method
+     */
+    function createRelatedPanel(editor) {
+        const panel = document.createElement('div');
+        panel.id = 'dokullm-related';
+        panel.className = 'dokullm-related';
+        
+        // Header with the title and the panel buttons
+        const header = document.createElement('div');
+        header.className = 'dokullm-related-header';
+        const title = document.createElement('strong');
+        title.textContent = lang.related_title || 'Related pages';
+        header.appendChild(title);
+        const searchButton = document.createElement('button');
+        searchButton.type = 'button';
+        searchButton.textContent = lang.related_search || 'Search';
+        searchButton.title = lang.related_search_title || 'Search for the selection or the current section';
+        header.appendChild(searchButton);
+        const closeButton = document.createElement('button');
+        closeButton.type = 'button';
+        closeButton.textContent = '×';
+        closeButton.title = lang.close || 'Close';
+        closeButton.addEventListener('click', () => {
+            panel.hidden = true;
+        });
+        header.appendChild(closeButton);
+        
+        const list = document.createElement('div');
+        list.className = 'dokullm-related-results';
+        panel.appendChild(header);
+        panel.appendChild(list);
+        
+        // Insert a text at the cursor, through the edit history and the review of changes
+        const insertText = text => {
+            const range = {start: editor.selectionStart, end: editor.selectionEnd, cursor: editor.selectionStart};
+            applyResult(editor, placeResult(editor.value, 'insert', text, range), lang.related_title || 'Related pages');
+        };
+        // Change the context metadata of the page
+        const updateMetadata = change => {
+            const metadata = getMetadata();
+            change(metadata);
+            writePageMetadata(editor, metadata).catch(error => {
+                console.error('DokuLLM: Error writing the metadata:', error);
+                showError(error);
+            });
+        };
+        const sectionEdit = getSectionEdit() !== null;
+        
+        const createResult = result => {
+            const item = document.createElement('div');
+            item.className = 'dokullm-related-result';
+            const heading = document.createElement('div');
+            const link = document.createElement('a');
+            link.href = DOKU_BASE + 'doku.php?id=' + encodeURIComponent(result.id);
+            link.target = '_blank';
+            link.textContent = result.title;
+            link.title = result.id;
+            heading.appendChild(link);
+            if (result.score !== null) {
+                const score = document.createElement('span');
+                score.className = 'dokullm-related-score';
+                score.textContent = Math.round(result.score * 100) + '%';
+                heading.appendChild(score);
+            }
+            const snippet = document.createElement('div');
+            snippet.className = 'dokullm-related-snippet';
+            snippet.textContent = result.snippet;
+            
+            const buttons = document.createElement('div');
+            buttons.className = 'dokullm-related-buttons';
+            const addButton = (label, titleText, handler, disabled = false) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.textContent = label;
+                button.title = disabled ? (lang.metadata_section_edit || 'Edit the whole page to change the metadata.') : titleText;
+                button.disabled = disabled;
+                button.addEventListener('click', handler);
+                buttons.appendChild(button);
+            };
+            addButton(lang.related_link || 'Link', lang.related_link_title || 'Insert a link to the page at the cursor',
+                () => insertText('[[' + result.id + ']]'));
+            addButton(lang.related_snippet || 'Snippet', lang.related_snippet_title || 'Insert the snippet at the cursor',
+                () => insertText(result.snippet));
+            addButton(lang.related_example || 'Example', lang.related_example_title || 'Add the page to the examples of this page',
+                () => updateMetadata(metadata => {
+                    if (!metadata.examples.includes(result.id)) {
+                        metadata.examples.push(result.id);
+                    }
+                }), sectionEdit);
+            addButton(lang.related_previous || 'Previous', lang.related_previous_title || 'Set the page as the previous document of this page',
+                () => updateMetadata(metadata => {
+                    metadata.previous = result.id;
+                }), sectionEdit);
+            
+            item.appendChild(heading);
+            item.appendChild(snippet);
+            item.appendChild(buttons);
+            return item;
+        };
+        
+        panel.search = function() {
+            const text = getRelatedQueryText(editor);
+            if (!text.trim()) {
+                list.textContent = lang.no_text_provided || 'Please select text or enter content to process';
+                return;
+            }
+            list.textContent = lang.searching || 'Searching...';
+            searchButton.disabled = true;
+            const formData = new FormData();
+            formData.append('call', 'plugin_dokullm');
+            formData.append('action', 'find_related');
+            formData.append('text', text);
+            appendProfile(formData);
+            requestJSON(formData)
+            .then(data => {
+                list.replaceChildren();
+                if (data.result.length === 0) {
+                    list.textContent = lang.related_none || 'No related pages found.';
+                }
+                data.result.forEach(result => list.appendChild(createResult(result)));
+            })
+            .catch(error => {
+                console.error('DokuLLM: Error finding related pages:', error);
+                list.textContent = error.message;
+            })
+            .finally(() => {
+                searchButton.disabled = false;
+            });
+        };
+        searchButton.addEventListener('click', () => panel.search());
+        
+        editor.parentNode.insertBefore(panel, editor.nextSibling);
+        return panel;
+    }
+    
+    /**
+     * Get the range of the editor text to process
+     * 
+     * This is the selection, if there is one. Otherwise, if the "Current
+     * section" switch is on, it is the heading section containing the cursor.
+     * When editing a single section of the page, it is the edited section.
+     * Else it is an empty range, meaning the whole page.
+     * 
+     * The heading line of the section is left out, so the LLM does not
+     * rewrite it and 'replace_section' results keep it, unless the section
+     * has no content below its heading.
+     * 
+     * @param {HTMLTextAreaElement} editor - The editor textarea
+     * @returns {{start: number, end: number, cursor: number}} The range and the cursor position
+     */
+    function getProcessingRange(editor) {
+        const range = {
+            start: editor.selectionStart,
+            end: editor.selectionEnd,
+            cursor: editor.selectionStart
+        };
+        if (range.start !== range.end) {
+            return range;
+        }
+        const offset = extractMetadata(editor.value).length;
+        let section = null;
+        if (isToggleEnabled('section', settings.section_mode)) {
+            section = findSection(editor.value, Math.max(range.start, offset), offset);
+        } else if (getSectionEdit()) {
+            // The editor starts with the heading of the edited section
+            section = findSection(editor.value, offset, offset);
+        }
+        if (section) {
+            range.start = section.bodyStart < section.end ? section.bodyStart : section.start;
+            range.end = section.end;
+        }
+        return range;
+    }
+    
+    /**
+     * The editor ranges processed by the running actions
+     */
+    const trackedRanges = [];
+    
+    /**
+     * The editor content the tracked ranges refer to
+     */
+    let trackedValue = null;
+    
+    /**
+     * Start tracking a range of the editor text while it is processed
+     * 
+     * The editor stays editable while an action runs, so the range is moved
+     * along with the edits made before it, see syncTrackedRanges, and marked
+     * in the editor until it is released. An empty range stands for the
+     * whole page, which is tracked from the end of the metadata directives,
+     * so only edits of the page content conflict with the result.
+     * 
+     * @param {HTMLTextAreaElement} editor - The editor textarea
+     * @param {{start: number, end: number, cursor: number}} range - The range to process
+     * @param {boolean} replace - Whether the result replaces the range
+     * @returns {Object} The tracked range, with start, end, cursor, whole, replace and the original text
+     */
+    function trackRange(editor, range, replace) {
+        syncTrackedRanges(editor);
+        const whole = range.start === range.end;
+        const start = whole ? extractMetadata(editor.value).length : range.start;
+        const end = whole ? editor.value.length : range.end;
+        const tracked = {
+            start: start,
+            end: end,
+            cursor: range.cursor,
+            whole: whole,
+            replace: replace,
+            text: editor.value.substring(start, end)
+        };
+        trackedRanges.push(tracked);
+        renderRangeMarks(editor);
+        return tracked;
+    }
+    
+    /**
+     * Stop tracking a range
+     * 
+     * @param {HTMLTextAreaElement} editor - The editor textarea
+     * @param {Object} tracked - The range returned by trackRange
+     */
+    function releaseRange(editor, tracked) {
+        const index = trackedRanges.indexOf(tracked);
+        if (index !== -1) {
+            trackedRanges.splice(index, 1);
+        }
+        renderRangeMarks(editor);
+    }
+    
+    /**
+     * Check whether a range overlaps a range whose result is still to replace it
+     * 
+     * Two actions replacing the same text would overwrite each other's result,
+     * so such actions are not started at the same time.
+     * 
+     * @param {{start: number, end: number}} range - The range to process, empty for the whole page
+     * @returns {boolean} True if the range is being processed by another action
+     */
+    function isRangeBusy(range) {
+        const whole = range.start === range.end;
+        return trackedRanges.some(tracked => tracked.replace
+            && (whole || tracked.whole || (range.start < tracked.end && tracked.start < range.end)));
+    }
+    
+    /**
+     * Check whether the text of a tracked range was edited since it was sent
+     * 
+     * @param {HTMLTextAreaElement} editor - The editor textarea
+     * @param {Object} tracked - The range returned by trackRange
+     * @returns {boolean} True if the text of the range differs from the processed text
+     */
+    function isRangeChanged(editor, tracked) {
+        return editor.value.substring(tracked.start, tracked.end) !== tracked.text;
+    }
+    
+    /**
+     * Move the tracked ranges along with the changes of the editor content
+     * 
+     * The changed part is found by comparing the previous and the current
+     * content from both ends. Ranges after it are shifted, and ranges
+     * overlapping it are extended to cover the new text.
+     * 
+     * @param {HTMLTextAreaElement} editor - The editor textarea
+     */
+    function syncTrackedRanges(editor) {
+        const oldValue = trackedValue;
+        const value = editor.value;
+        trackedValue = value;
+        if (oldValue === null || oldValue === value || !trackedRanges.length) {
+            return;
+        }
+        const length = Math.min(oldValue.length, value.length);
+        let prefix = 0;
+        while (prefix < length && oldValue[prefix] === value[prefix]) {
+            prefix++;
+        }
+        let suffix = 0;
+        while (suffix < length - prefix && oldValue[oldValue.length - 1 - suffix] === value[value.length - 1 - suffix]) {
+            suffix++;
+        }
+        // The changed part of the previous content is prefix..changeEnd
+        const changeEnd = oldValue.length - suffix;
+        const delta = value.length - oldValue.length;
+        trackedRanges.forEach(tracked => {
+            if (changeEnd <= tracked.start) {
+                tracked.start += delta;
+                tracked.end += delta;
+            } else if (prefix < tracked.end) {
+                tracked.start = Math.min(tracked.start, prefix);
+                tracked.end = Math.max(tracked.end, changeEnd) + delta;
+            }
+            if (changeEnd <= tracked.cursor) {
+                tracked.cursor += delta;
+            } else if (prefix < tracked.cursor) {
+                tracked.cursor = prefix;
+            }
+        });
+        renderRangeMarks(editor);
+    }
+    
+    /**
+     * Follow the changes of the editor content for the tracked ranges
+     * 
+     * @param {HTMLTextAreaElement} editor - The editor textarea
+     */
+    function watchTrackedRanges(editor) {
+        trackedValue = editor.value;
+        editor.addEventListener('input', () => syncTrackedRanges(editor));
+        window.addEventListener('resize', () => renderRangeMarks(editor));
+        // Keep the overlays scrolled with the editor, see layoutMirror
+        editor.addEventListener('scroll', () => {
+            document.querySelectorAll('.dokullm-mirror').forEach(overlay => {
+                overlay.scrollTop = editor.scrollTop;
+            });
+        });
+    }
+    
+    /**
+     * Mark the tracked ranges in the editor
+     * 
+     * @param {HTMLTextAreaElement} editor - The editor textarea
+     */
+    function renderRangeMarks(editor) {
+        if (!trackedRanges.length) {
+            const overlay = document.getElementById('dokullm-range-marks');
+            if (overlay) {
+                overlay.remove();
+            }
+            return;
+        }
+        const overlay = layoutMirror(editor, 'dokullm-range-marks');
+        
+        // Merge the overlapping ranges
+        const value = editor.value;
+        const ranges = trackedRanges
+            .map(tracked => [tracked.start, tracked.end])
+            .sort((a, b) => a[0] - b[0]);
+        const merged = [];
+        ranges.forEach(range => {
+            const last = merged[merged.length - 1];
+            if (last && range[0] <= last[1]) {
+                last[1] = Math.max(last[1], range[1]);
+            } else {
+                merged.push(range.slice());
+            }
+        });
+        
+        const nodes = [];
+        let position = 0;
+        merged.forEach(([start, end]) => {
+            nodes.push(document.createTextNode(value.substring(position, start)));
+            const mark = document.createElement('mark');
+            mark.textContent = value.substring(start, end);
+            nodes.push(mark);
+            position = end;
+        });
+        // Keep a trailing line break visible, as in the textarea
+        nodes.push(document.createTextNode(value.substring(position) + ' '));
+        overlay.replaceChildren(...nodes);
+        overlay.scrollTop = editor.scrollTop;
+    }
+    
+    /**
+     * Get an overlay laid out like the editor, creating it if needed
+     * 
+     * A textarea can not style parts of its text, so the range marks and
+     * the suggested continuations are drawn on overlays with the font, the
+     * padding and the size of the editor. The text of the overlay is
+     * transparent, only the marked parts are visible.
+     * 
+     * @param {HTMLTextAreaElement} editor - The editor textarea
+     * @param {string} id - The ID of the overlay
+     * @returns {HTMLElement} The overlay, to be filled with the editor text
+     */
+    function layoutMirror(editor, id) {
+        let overlay = document.getElementById(id);
+        if (!overlay) {
+            overlay = document.createElement('div');
+            overlay.id = id;
+            overlay.className = 'dokullm-mirror';
+            overlay.setAttribute('aria-hidden', 'true');
+            editor.parentNode.insertBefore(overlay, editor.nextSibling);
+        }
+        
+        // Copy the text layout of the editor
+        const style = window.getComputedStyle(editor);
+        ['fontFamily', 'fontSize', 'fontWeight', 'lineHeight', 'letterSpacing', 'wordSpacing', 'tabSize', 'textIndent',
+         'paddingTop', 'paddingBottom', 'paddingLeft', 'borderTopWidth', 'borderRightWidth', 'borderBottomWidth', 'borderLeftWidth'].forEach(property => {
+            overlay.style[property] = style[property];
+        });
+        // Leave room for the scrollbar of the editor
+        const scrollbar = editor.offsetWidth - editor.clientWidth - parseFloat(style.borderLeftWidth) - parseFloat(style.borderRightWidth);
+        overlay.style.paddingRight = (parseFloat(style.paddingRight) + scrollbar) + 'px';
+        overlay.style.top = editor.offsetTop + 'px';
+        overlay.style.left = editor.offsetLeft + 'px';
+        overlay.style.width = editor.offsetWidth + 'px';
+        overlay.style.height = editor.offsetHeight + 'px';
+        return overlay;
+    }
+    
+    /**
+     * The results waiting to be applied to the editor
+     */
+    let resultQueue = Promise.resolve();
+    
+    /**
+     * Apply the result of an action to its tracked range
+     * 
+     * The results are applied one at a time, each to the editor content of
+     * that moment, so a result reviewed in the diff modal does not undo
+     * another one applied meanwhile. The cursor is left where it is, since
+     * the user may be editing another part of the page.
+     * 
+     * If the result replaces the range and the text of the range was edited
+     * while it was processed, the user is asked in a notification before
+     * overwriting it. When declined, the result is shown in a modal instead.
+     * 
+     * @param {HTMLTextAreaElement} editor - The editor textarea
+     * @param {Object} tracked - The range returned by trackRange
+     * @param {string} result - The text returned by the LLM
+     * @param {string} mode - The result mode, 'replace' or a placement mode of placeResult
+     * @param {string} label - The label of the edit in the history
+     * @returns {Promise<boolean>} Promise resolving to true if the result was applied
+     */
+    function applyTrackedResult(editor, tracked, result, mode, label) {
+        const apply = () => {
+            syncTrackedRanges(editor);
+            if (!tracked.replace || !isRangeChanged(editor, tracked)) {
+                return place();
+            }
+            return askNotification((lang.range_conflict || 'The text processed by "%s" was changed in the meantime. Replace it with the result? Your changes to it will be lost.').replace('%s', label),
+                'warning', lang.range_replace || 'Replace', lang.range_keep || 'Keep my changes')
+            .then(replace => {
+                if (!replace) {
+                    console.log('DokuLLM: Result not applied, the processed text was changed');
+                    showModal(result, 'result', label);
+                    return false;
+                }
+                return place();
+            });
+        };
+        const place = () => {
+            // The range may have moved while the user was asked
+            syncTrackedRanges(editor);
+            let newValue;
+            if (mode !== 'replace') {
+                // For the whole page, the result is placed relative to the cursor
+                const range = tracked.whole ? {start: tracked.cursor, end: tracked.cursor, cursor: tracked.cursor} : tracked;
+                newValue = placeResult(editor.value, mode, result, range, label);
+            } else {
+                // The metadata directives are kept when replacing the whole page
+                newValue = editor.value.substring(0, tracked.start) + result + editor.value.substring(tracked.end);
+            }
+            return applyResult(editor, newValue, label);
+        };
+        const applied = resultQueue.then(apply);
+        resultQueue = applied.catch(() => false);
+        return applied;
+    }
+    
+    /**
+     * The number of characters before the cursor sent for a continuation
+     */
+    const COMPLETION_CONTEXT = 4000;
+    
+    /**
+     * The state of the suggested continuation
+     * 
+     * - timer: the pending request, started after a pause in typing
+     * - controller: the abort controller of the running request
+     * - text: the suggested text, empty if none is shown
+     * - position: the cursor position the suggestion was made for
+     * - disabled: set when the profile has no 'complete' prompt
+     */
+    const completion = {timer: null, controller: null, text: '', position: -1, disabled: false};
+    
+    /**
+     * Suggest continuations while typing in the editor
+     * 
+     * After a pause in typing, a continuation is requested and shown as
+     * dimmed text at the cursor. Tab accepts it; typing on, moving the
+     * cursor or Escape dismiss it. The requests are cancelled when typing
+     * resumes.
+     * 
+     * @param {HTMLTextAreaElement} editor - The editor textarea
+     */
+    function watchCompletions(editor) {
+        editor.addEventListener('input', () => {
+            dismissCompletion();
+            if (!completion.disabled && isToggleEnabled('autocomplete', settings.autocomplete)) {
+                completion.timer = setTimeout(() => requestCompletion(editor), parseInt(settings.autocomplete_delay, 10) || 1000);
+            }
+        });
+        // Handle the keys before DokuWiki's editor does
+        editor.addEventListener('keydown', event => {
+            if (!completion.text) {
+                return;
+            }
+            if (event.key === 'Tab' && !event.shiftKey && !event.ctrlKey && !event.altKey && !event.metaKey) {
+                event.preventDefault();
+                event.stopImmediatePropagation();
+                acceptCompletion(editor);
+            } else if (event.key === 'Escape') {
+                event.preventDefault();
+                dismissCompletion();
+            } else if (['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown', 'Home', 'End', 'PageUp', 'PageDown'].includes(event.key)) {
+                dismissCompletion();
+            }
+        }, true);
+        editor.addEventListener('mousedown', dismissCompletion);
+        editor.addEventListener('blur', dismissCompletion);
+    }
+    
+    /**
+     * Request a continuation of the text before the cursor
+     * 
+     * Continuations are only requested at the end of a line, so the
+     * suggestion does not cover the text after the cursor, and after a space
+     * or a punctuation mark, since the suggestion starts with a new word.
+     * The template and the previous page from the page metadata guide the
+     * phrasing, see the 'complete' prompt.
+     * 
+     * @param {HTMLTextAreaElement} editor - The editor textarea
+     */
+    function requestCompletion(editor) {
+        completion.timer = null;
+        const position = editor.selectionStart;
+        const before = editor.value.substring(0, position);
+        const next = editor.value.charAt(position);
+        if (position !== editor.selectionEnd || (next && next !== '\n') || !/[\s.,;:!?)]$/.test(before) || !before.trim()) {
+            return;
+        }
+        
+        const formData = new FormData();
+        formData.append('call', 'plugin_dokullm');
+        formData.append('action', 'complete');
+        formData.append('text', before.slice(-COMPLETION_CONTEXT));
+        appendProfile(formData);
+        appendMetadata(formData, getMetadata());
+        
+        const controller = new AbortController();
+        completion.controller = controller;
+        requestJSON(formData, controller.signal)
+        .then(data => {
+            // The suggestions are short on purpose, reaching their limit is expected
+            recordUsage(data.usage, false);
+            // Keep only the first line, the suggestion must fit at the end of the line
+            const suggestion = removeBetweenXmlTags(data.result, 'think')[1].split('\n')[0].trim();
+            if (!suggestion || controller.signal.aborted || editor.selectionStart !== position || editor.value.substring(0, position) !== before) {
+                return;
+            }
+            // Separate the suggestion from a punctuation mark before it
+            const separator = /[.,;:!?)]$/.test(before) && /^[\w(]/.test(suggestion) ? ' ' : '';
+            showCompletion(editor, separator + suggestion, position);
+        })
+        .catch(error => {
+            if (error.name === 'AbortError') {
+                return;
+            }
+            console.log('DokuLLM: Error while requesting a continuation:', error.message);
+            // Stop requesting continuations if the profile has no 'complete' prompt
+            if (error.type === 'config') {
+                completion.disabled = true;
+                showError(error);
+            }
+        })
+        .finally(() => {
+            if (completion.controller === controller) {
+                completion.controller = null;
+            }
+        });
+    }
+    
+    /**
+     * Show a suggested continuation as dimmed text at the cursor
+     * 
+     * @param {HTMLTextAreaElement} editor - The editor textarea
+     * @param {string} text - The suggested text
+     * @param {number} position - The cursor position
+     */
+    function showCompletion(editor, text, position) {
+        completion.text = text;
+        completion.position = position;
+        const overlay = layoutMirror(editor, 'dokullm-completion');
+        const ghost = document.createElement('span');
+        ghost.className = 'dokullm-completion-text';
+        ghost.textContent = text;
+        overlay.replaceChildren(
+            document.createTextNode(editor.value.substring(0, position)),
+            ghost,
+            document.createTextNode(editor.value.substring(position) + ' ')
+        );
+        overlay.scrollTop = editor.scrollTop;
+    }
+    
+    /**
+     * Insert the suggested continuation at the cursor
+     * 
+     * @param {HTMLTextAreaElement} editor - The editor textarea
+     */
+    function acceptCompletion(editor) {
+        const text = completion.text;
+        const position = completion.position;
+        dismissCompletion();
+        setEditorValue(editor, editor.value.substring(0, position) + text + editor.value.substring(position), lang.autocomplete || 'Autocomplete');
+        editor.setSelectionRange(position + text.length, position + text.length);
+    }
+    
+    /**
+     * Remove the suggested continuation and cancel the pending request
+     */
+    function dismissCompletion() {
+        if (completion.timer) {
+            clearTimeout(completion.timer);
+            completion.timer = null;
+        }
+        if (completion.controller) {
+            completion.controller.abort();
+            completion.controller = null;
+        }
+        completion.text = '';
+        completion.position = -1;
+        const overlay = document.getElementById('dokullm-completion');
+        if (overlay) {
+            overlay.remove();
+        }
+    }
+    
+    /**
+     * Find the unfilled placeholders of a template in the text
+     * 
+     * Placeholders are names in curly braces, like {name}, as in the
+     * templates and the prompts. DokuWiki's {{media}} syntax is not a
+     * placeholder. The pattern is the one of LlmClient::findPlaceholders,
+     * given by the backend.
+     * 
+     * @param {string} text - The text to search
+     * @returns {Array<Object>} The placeholders in the text order, with name, start and end
+     */
+    function findTemplatePlaceholders(text) {
+        const placeholders = [];
+        if (!settings.placeholder_pattern || !text.includes('{')) {
+            return placeholders;
+        }
+        const pattern = new RegExp(settings.placeholder_pattern, 'g');
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            placeholders.push({name: match[1], start: match.index, end: match.index + match[0].length});
+        }
+        return placeholders;
+    }
+    
+    /**
+     * Highlight the placeholders and jump between them
+     * 
+     * F8 selects the next placeholder after the cursor and Shift+F8 the
+     * previous one, so a template can be filled in without searching for
+     * the remaining placeholders.
+     * 
+     * @param {HTMLTextAreaElement} editor - The editor textarea
+     */
+    function watchPlaceholders(editor) {
+        editor.addEventListener('input', () => schedulePlaceholderMarks(editor));
+        window.addEventListener('resize', () => schedulePlaceholderMarks(editor));
+        editor.addEventListener('keydown', event => {
+            if (event.key === 'F8' && !event.ctrlKey && !event.altKey && !event.metaKey) {
+                event.preventDefault();
+                selectPlaceholder(editor, event.shiftKey ? -1 : 1);
+            }
+        });
+        renderPlaceholderMarks(editor);
+    }
+    
+    /**
+     * Select the next or the previous placeholder, wrapping around the text
+     * 
+     * @param {HTMLTextAreaElement} editor - The editor textarea
+     * @param {number} direction - 1 for the next placeholder, -1 for the previous one
+     * @returns {boolean} True if a placeholder was selected
+     */
+    function selectPlaceholder(editor, direction) {
+        const placeholders = findTemplatePlaceholders(editor.value);
+        if (!placeholders.length) {
+            return false;
+        }
+        let placeholder;
+        if (direction > 0) {
+            placeholder = placeholders.find(item => item.start >= editor.selectionEnd) || placeholders[0];
+        } else {
+            placeholder = placeholders.slice().reverse().find(item => item.end <= editor.selectionStart) || placeholders[placeholders.length - 1];
+        }
+        editor.focus();
+        editor.setSelectionRange(placeholder.start, placeholder.end);
+        // Browsers scroll to the selection when the textarea gets the focus
+        editor.blur();
+        editor.focus();
+        return true;
+    }
+    
+    /**
+     * The delay in milliseconds before the placeholder marks follow an edit
+     */
+    const PLACEHOLDER_MARKS_DELAY = 300;
+    
+    /**
+     * The pending update of the placeholder marks
+     */
+    let placeholderMarksTimer = null;
+    
+    /**
+     * Update the placeholder marks after a pause in editing
+     * 
+     * The marks are hidden meanwhile, since they no longer match the text.
+     * 
+     * @param {HTMLTextAreaElement} editor - The editor textarea
+     */
+    function schedulePlaceholderMarks(editor) {
+        const overlay = document.getElementById('dokullm-placeholder-marks');
+        if (overlay) {
+            overlay.hidden = true;
+        }
+        clearTimeout(placeholderMarksTimer);
+        placeholderMarksTimer = setTimeout(() => renderPlaceholderMarks(editor), PLACEHOLDER_MARKS_DELAY);
+    }
+    
+    /**
+     * Mark the placeholders in the editor
+     * 
+     * @param {HTMLTextAreaElement} editor - The editor textarea
+     */
+    function renderPlaceholderMarks(editor) {
+        clearTimeout(placeholderMarksTimer);
+        placeholderMarksTimer = null;
+        const placeholders = findTemplatePlaceholders(editor.value);
+        if (!placeholders.length) {
+            const overlay = document.getElementById('dokullm-placeholder-marks');
+            if (overlay) {
+                overlay.remove();
+            }
+            return;
+        }
+        const overlay = layoutMirror(editor, 'dokullm-placeholder-marks');
+        overlay.hidden = false;
+        
+        const value = editor.value;
+        const nodes = [];
+        let position = 0;
+        placeholders.forEach(placeholder => {
+            nodes.push(document.createTextNode(value.substring(position, placeholder.start)));
+            const mark = document.createElement('mark');
+            mark.textContent = value.substring(placeholder.start, placeholder.end);
+            nodes.push(mark);
+            position = placeholder.end;
+        });
+        // Keep a trailing line break visible, as in the textarea
+        nodes.push(document.createTextNode(value.substring(position) + ' '));
+        overlay.replaceChildren(...nodes);
+        overlay.scrollTop = editor.scrollTop;
+    }
+    
+    /**
+     * Suggest the values of the placeholders from free-form notes
+     * 
+     * Opens a modal where the notes are written, prefilled with the
+     * selected text. The values suggested by the LLM are shown in a list
+     * where each of them can be edited or left out, and the accepted
+     * values replace all the occurrences of their placeholders, through
+     * the edit history and the review of changes.
+     */
+    function fillPlaceholders() {
+        const editor = document.getElementById('wiki__text');
+        if (!editor) {
+            return;
+        }
+        const names = [...new Set(findTemplatePlaceholders(editor.value).map(placeholder => placeholder.name))];
+        if (!names.length) {
+            showNotification(lang.placeholders_none || 'The page has no placeholders to fill.', 'info');
+            return;
+        }
+        
+        const modal = document.createElement('div');
+        modal.className = 'dokullm-modal';
+        const modalContent = document.createElement('div');
+        modalContent.className = 'dokullm-modal-content dokullm-placeholders';
+        
+        const title = document.createElement('h3');
+        title.textContent = lang.placeholders_fill || 'Fill placeholders';
+        title.style.marginTop = '0';
+        
+        const notes = document.createElement('textarea');
+        notes.className = 'dokullm-placeholders-notes';
+        notes.rows = 6;
+        notes.placeholder = lang.placeholders_notes || 'Notes with the values of the placeholders';
+        notes.value = getSelectedText(editor);
+        
+        const list = document.createElement('div');
+        list.className = 'dokullm-placeholders-list';
+        
+        const buttons = document.createElement('div');
+        buttons.className = 'dokullm-placeholders-buttons';
+        const suggestButton = document.createElement('button');
+        suggestButton.type = 'button';
+        suggestButton.textContent = lang.placeholders_suggest || 'Suggest values';
+        const applyButton = document.createElement('button');
+        applyButton.type = 'button';
+        applyButton.textContent = lang.placeholders_apply || 'Apply';
+        applyButton.disabled = true;
+        const closeButton = document.createElement('button');
+        closeButton.type = 'button';
+        closeButton.textContent = lang.close || 'Close';
+        closeButton.addEventListener('click', () => modal.remove());
+        buttons.appendChild(suggestButton);
+        buttons.appendChild(applyButton);
+        buttons.appendChild(closeButton);
+        
+        // Show a row for each placeholder, checked if it has a value
+        const render = (values) => {
+            list.replaceChildren(...names.map(name => {
+                const row = document.createElement('div');
+                row.className = 'dokullm-placeholder';
+                const label = document.createElement('label');
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.checked = !!values[name];
+                const code = document.createElement('code');
+                code.textContent = '{' + name + '}';
+                label.appendChild(checkbox);
+                label.appendChild(code);
+                const input = document.createElement('input');
+                input.type = 'text';
+                input.value = values[name] || '';
+                input.addEventListener('input', () => {
+                    checkbox.checked = input.value !== '';
+                });
+                row.appendChild(label);
+                row.appendChild(input);
+                row.field = {name: name, checkbox: checkbox, input: input};
+                return row;
+            }));
+            applyButton.disabled = false;
+        };
+        
+        suggestButton.addEventListener('click', () => {
+            const restoreButton = setButtonBusy(suggestButton, lang.processing || 'Processing...');
+            const request = startRequest(buttons);
+            const formData = new FormData();
+            formData.append('call', 'plugin_dokullm');
+            formData.append('action', 'fill_placeholders');
+            formData.append('text', editor.value);
+            formData.append('notes', notes.value);
+            formData.append('placeholders', JSON.stringify(names));
+            appendProfile(formData);
+            appendMetadata(formData, getMetadata());
+            requestJSON(formData, request.signal)
+            .then(data => {
+                recordUsage(data.usage);
+                render(data.result || {});
+            })
+            .catch(error => {
+                console.log('DokuLLM: Error while filling the placeholders:', error.message);
+                reportRequestError(error, request);
+            })
+            .finally(() => {
+                request.finish();
+                restoreButton();
+            });
+        });
+        
+        applyButton.addEventListener('click', () => {
+            const values = {};
+            list.querySelectorAll('.dokullm-placeholder').forEach(row => {
+                if (row.field.checkbox.checked) {
+                    values[row.field.name] = row.field.input.value;
+                }
+            });
+            // Replace the placeholders still in the page, it may have been edited meanwhile
+            let newValue = editor.value;
+            findTemplatePlaceholders(newValue).reverse().forEach(placeholder => {
+                if (Object.prototype.hasOwnProperty.call(values, placeholder.name)) {
+                    newValue = newValue.substring(0, placeholder.start) + values[placeholder.name] + newValue.substring(placeholder.end);
+                }
+            });
+            modal.remove();
+            applyResult(editor, newValue, lang.placeholders_fill || 'Fill placeholders');
+        });
+        
+        // Show the placeholders before any suggestion, so the values can also be typed
+        render({});
+        modalContent.appendChild(title);
+        modalContent.appendChild(notes);
+        modalContent.appendChild(list);
+        modalContent.appendChild(buttons);
+        modal.appendChild(modalContent);
+        document.body.appendChild(modal);
+        notes.focus();
+    }
+    
+    /**
+     * Detect DokuWiki's section edit mode
+     * 
+     * When editing a single section (do=edit&range=...), the editor holds
+     * only that section and the rest of the page is kept in the hidden
+     * prefix and suffix fields of the edit form.
+     * 
+     * @returns {{prefix: string, suffix: string, range: string}|null} The page parts around the editor, or null for full page edits
+     */
+    function getSectionEdit() {
+        const form = document.getElementById('dw__editform');
+        if (!form) {
+            return null;
+        }
+        const prefix = form.querySelector('input[name="prefix"]');
+        const suffix = form.querySelector('input[name="suffix"]');
+        const range = new URLSearchParams(window.location.search).get('range') || '';
+        // DokuWiki adds a dot to the prefix to keep its trailing whitespace
+        const prefixText = prefix ? prefix.value.replace(/\.$/, '') : '';
+        const suffixText = suffix ? suffix.value : '';
+        if (!range && !prefixText && !suffixText) {
+            return null;
+        }
+        return {prefix: prefixText, suffix: suffixText, range: range};
+    }
+    
+    /**
+     * Get the currently selected text in the textarea
+     * 
+     * Uses the textarea's selectionStart and selectionEnd properties
+     * to extract the selected portion of text.
+     * 
+     * @param {HTMLTextAreaElement} textarea - The textarea element
+     * @returns {string} The selected text
+     */
+    function getSelectedText(textarea) {
+        const start = textarea.selectionStart;
+        const end = textarea.selectionEnd;
+        return textarea.value.substring(start, end);
+    }
+    
+    /**
+     * Replace the selected text in the textarea with new text
+     * 
+     * When replacing the entire content, preserves metadata directives
+     * at the beginning of the page.
+     * 
+     * Complex logic includes:
+     * 1. Determining if text is selected or if it's a full content replacement
+     * 2. Preserving metadata directives when doing full content replacement
+     * 3. Properly replacing only selected text when applicable
+     * 4. Managing cursor position after text replacement
+     * 5. Maintaining focus on the textarea
+     * 
+     * The change goes through applyResult, so it may be reviewed first.
+     * 
+     * @param {HTMLTextAreaElement} textarea - The textarea element
+     * @param {string} newText - The new text to insert
+     * @param {string} label - The label of the edit in the history
+     * @returns {Promise<boolean>} Promise resolving to true if the change was applied
+     */
+    function replaceSelectedText(textarea, newText, label = '') {
+        const start = textarea.selectionStart;
+        const end = textarea.selectionEnd;
+        const text = textarea.value;
+        
+        // If there's no selection (start === end), it's not a replacement of selected text
+        if (start === end) {
+            // No selection, so we're processing the full text
+            const metadata = extractMetadata(text);
+            return applyResult(textarea, metadata + newText, label).then(applied => {
+                textarea.focus();
+                return applied;
+            });
+        }
+        
+        // There is a selection, replace only the selected text
+        return applyResult(textarea, text.substring(0, start) + newText + text.substring(end), label).then(applied => {
+            if (applied) {
+                // Set cursor position after inserted text (the text after the selection is unchanged)
+                const newCursorPos = textarea.value.length - (text.length - end);
+                textarea.setSelectionRange(newCursorPos, newCursorPos);
+            }
+            textarea.focus();
+            return applied;
+        });
+    }
+    
+    /**
+     * Compute the editor text with the result placed according to a mode
+     * 
+     * The supported placement modes are:
+     * - append: at the end of the page
+     * - prepend: at the beginning of the page, after the metadata directives
+     * - insert: at the cursor position (the start of the selection)
+     * - after: directly after the selection, as a separate paragraph
+     * - section_end: at the end of the heading section containing the cursor
+     * - new_section: as a new section after the current one, with the label as heading
+     * - replace_section: instead of the content of the current section (including its
+     *   subsections), keeping its heading
+     * 
+     * The 'show' and 'replace' modes are handled by the caller.
+     * 
+     * @param {string} text - The current editor text
+     * @param {string} mode - The placement mode
+     * @param {string} result - The text returned by the LLM
+     * @param {{start: number, end: number, cursor: number}} range - The processed range and the cursor position
+     * @param {string} label - The label of the action, used as heading for new sections
+     * @returns {string} The new editor text
+     * @throws {Error} If the placement mode is unknown
+     */
+    function placeResult(text, mode, result, range, label) {
+        const metadata = extractMetadata(text);
+        const cursor = Math.max(range.start, metadata.length);
+        const section = findSection(text, cursor, metadata.length);
+        switch (mode) {
+            case 'append':
+                return insertBlock(text, text.length, result);
+            case 'prepend':
+                return insertBlock(text, metadata.length, result);
+            case 'insert': {
+                // The cursor may be inside the processed section
+                const position = range.cursor === undefined ? cursor : Math.max(range.cursor, metadata.length);
+                return text.substring(0, position) + result + text.substring(position);
+            }
+            case 'after':
+                return insertBlock(text, Math.max(range.end, cursor), result);
+            case 'section_end':
+                return insertBlock(text, section.end, result);
+            case 'new_section': {
+                // Add a sibling of the current section, or a top level section if there is none
+                const level = section.level || 2;
+                const marks = '='.repeat(7 - level);
+                const heading = marks + ' ' + (label || lang.new_section_title || 'Result') + ' ' + marks;
+                return insertBlock(text, section.end, heading + '\n' + result);
+            }
+            case 'replace_section': {
+                // Keep the heading on the line right above the new content
+                const after = text.substring(section.end);
+                return text.substring(0, section.bodyStart) + result.replace(/^\n+|\n+$/g, '') + (after ? '\n\n' + after : '\n');
+            }
+            default:
+                throw new Error((lang.unknown_result_mode || 'Unknown result mode: ') + mode);
+        }
+    }
+    
+    /**
+     * Insert a block of text at a position, as a separate paragraph
+     * 
+     * The empty lines around the position are normalized, so the block
+     * is always separated by one empty line from the surrounding text.
+     * 
+     * @param {string} text - The text to insert into
+     * @param {number} position - The position to insert at
+     * @param {string} block - The block to insert
+     * @returns {string} The resulting text
+     */
+    function insertBlock(text, position, block) {
+        const before = text.substring(0, position).replace(/\n*$/, '');
+        const after = text.substring(position).replace(/^\n*/, '');
+        return (before ? before + '\n\n' : '') + block.replace(/^\n+|\n+$/g, '') + (after ? '\n\n' + after : '\n');
+    }
+    
+    /**
+     * Find the heading section containing a position
+     * 
+     * A section starts with a DokuWiki heading and ends before the next
+     * heading of the same or a higher level, so it includes its subsections.
+     * The text before the first heading is a section of level 0.
+     * 
+     * @param {string} text - The page text
+     * @param {number} position - The position inside the section
+     * @param {number} offset - The position where the page content starts
+     * @returns {{start: number, bodyStart: number, end: number, level: number, title: string}} The section
+     */
+    function findSection(text, position, offset = 0) {
+        const headingRegex = /^[ \t]*(={2,})([^\n]+?)=+[ \t]*$/gm;
+        const headings = [];
+        let match;
+        while ((match = headingRegex.exec(text)) !== null) {
+            if (match.index < offset) {
+                continue;
+            }
+            // '======' is level 1 and '==' is level 5
+            const level = Math.min(5, Math.max(1, 7 - match[1].length));
+            // The body starts on the line after the heading
+            const lineEnd = match.index + match[0].length;
+            headings.push({
+                start: match.index,
+                bodyStart: text.charAt(lineEnd) === '\n' ? lineEnd + 1 : lineEnd,
+                level: level,
+                title: match[2].trim()
+            });
+        }
+        
+        // The last heading before the position, if any, starts the section
+        let section = {start: offset, bodyStart: offset, level: 0, title: ''};
+        for (const heading of headings) {
+            if (heading.start > position) {
+                break;
+            }
+            section = heading;
+        }
+        
+        // The section ends at the next heading of the same or a higher level
+        const next = headings.find(heading => heading.start > section.start && (section.level === 0 || heading.level <= section.level));
+        return Object.assign({}, section, {end: next ? next.start : text.length});
+    }
+    
+    /**
+     * Create a toolbar switch stored in the browser
+     * 
+     * The state of the switch is kept in the local storage, so it is
+     * remembered between pages. Until the user changes it, the switch
+     * uses the given default value.
+     * 
+     * @param {string} name - The name of the switch
+     * @param {string} labelText - The label of the switch
+     * @param {string} titleText - The tooltip of the switch
+     * @param {boolean} defaultValue - The default state
+     * @returns {HTMLElement} The switch element
+     */
+    function createToggle(name, labelText, titleText, defaultValue) {
+        const label = document.createElement('label');
+        label.className = 'dokullm-toggle';
+        label.title = titleText;
+        
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = isToggleEnabled(name, defaultValue);
+        checkbox.addEventListener('change', () => {
+            try {
+                localStorage.setItem('dokullm_' + name, checkbox.checked ? '1' : '0');
+            } catch (e) {
+                console.log('DokuLLM: Unable to store the switch state:', e.message);
+            }
+        });
+        
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(' ' + labelText));
+        return label;
+    }
+    
+    /**
+     * Check whether a toolbar switch is enabled
+     * 
+     * @param {string} name - The name of the switch
+     * @param {boolean} defaultValue - The state used if the user never changed the switch
+     * @returns {boolean} True if the switch is enabled
+     */
+    function isToggleEnabled(name, defaultValue) {
+        let stored = null;
+        try {
+            stored = localStorage.getItem('dokullm_' + name);
+        } catch (e) {
+            // Local storage may be unavailable, use the default value
+        }
+        return stored === null ? !!defaultValue : stored === '1';
+    }
+    
+    /**
+     * Apply a result to the editor, optionally after reviewing the changes
+     * 
+     * When the review switch is enabled, the changes between the current
+     * editor content and the new content are shown in a modal where each
+     * of them can be accepted or rejected. Only the accepted changes are
+     * applied. Otherwise the new content is applied directly.
+     * 
+     * @param {HTMLTextAreaElement} editor - The editor textarea
+     * @param {string} newValue - The proposed editor content
+     * @param {string} label - The label of the edit in the history
+     * @returns {Promise<boolean>} Promise resolving to true if any change was applied
+     */
+    function applyResult(editor, newValue, label) {
+        if (!isToggleEnabled('review', settings.review_changes) || editor.value === newValue) {
+            setEditorValue(editor, newValue, label);
+            return Promise.resolve(true);
+        }
+        return showDiffModal(editor.value, newValue, label).then(finalValue => {
+            if (finalValue === null) {
+                console.log('DokuLLM: Changes discarded after review');
+                return false;
+            }
+            setEditorValue(editor, finalValue, label);
+            return true;
+        });
+    }
+    
+    /**
+     * Show the changes between two texts and let the user choose which to apply
+     * 
+     * Each change (hunk) can be toggled by clicking on it. Long unchanged
+     * parts are shortened to a few lines of context.
+     * 
+     * @param {string} oldText - The current text
+     * @param {string} newText - The proposed text
+     * @param {string} titleText - The title of the modal
+     * @returns {Promise<string|null>} Promise resolving to the text with the accepted changes, or null if cancelled
+     */
+    function showDiffModal(oldText, newText, titleText) {
+        return new Promise(resolve => {
+            const segments = computeDiff(oldText, newText);
+            const hunks = segments.filter(segment => segment.type === 'hunk');
+            hunks.forEach(hunk => {
+                hunk.accepted = true;
+            });
+            
+            const modal = document.createElement('div');
+            modal.className = 'dokullm-modal';
+            const modalContent = document.createElement('div');
+            modalContent.className = 'dokullm-modal-content dokullm-diff';
+            
+            const title = document.createElement('h3');
+            title.textContent = (lang.review_title || 'Review changes') + (titleText ? ': ' + titleText : '');
+            title.style.marginTop = '0';
+            
+            const summary = document.createElement('p');
+            summary.className = 'dokullm-diff-summary';
+            const updateSummary = () => {
+                const accepted = hunks.filter(hunk => hunk.accepted).length;
+                summary.textContent = (lang.review_summary || '%1 of %2 changes accepted. Click a change to accept or reject it.')
+                    .replace('%1', accepted).replace('%2', hunks.length);
+            };
+            
+            // Render the text with the changes marked
+            const content = document.createElement('div');
+            content.className = 'dokullm-diff-content';
+            segments.forEach(segment => {
+                if (segment.type === 'equal') {
+                    content.appendChild(document.createTextNode(shortenContext(segment.text)));
+                    return;
+                }
+                const hunkElement = document.createElement('span');
+                hunkElement.className = 'dokullm-diff-hunk';
+                hunkElement.title = lang.review_toggle || 'Click to accept or reject this change';
+                if (segment.removed) {
+                    const del = document.createElement('del');
+                    del.textContent = segment.removed;
+                    hunkElement.appendChild(del);
+                }
+                if (segment.added) {
+                    const ins = document.createElement('ins');
+                    ins.textContent = segment.added;
+                    hunkElement.appendChild(ins);
+                }
+                hunkElement.addEventListener('click', () => {
+                    segment.accepted = !segment.accepted;
+                    hunkElement.classList.toggle('dokullm-diff-rejected', !segment.accepted);
+                    updateSummary();
+                });
+                segment.element = hunkElement;
+                content.appendChild(hunkElement);
+            });
+            
+            const close = (value) => {
+                modal.remove();
+                resolve(value);
+            };
+            
+            const buttons = document.createElement('div');
+            buttons.className = 'dokullm-diff-buttons';
+            const addButton = (text, handler) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.textContent = text;
+                button.addEventListener('click', handler);
+                buttons.appendChild(button);
+            };
+            const setAll = (accepted) => {
+                hunks.forEach(hunk => {
+                    hunk.accepted = accepted;
+                    hunk.element.classList.toggle('dokullm-diff-rejected', !accepted);
+                });
+                updateSummary();
+            };
+            addButton(lang.review_accept_all || 'Accept all', () => setAll(true));
+            addButton(lang.review_reject_all || 'Reject all', () => setAll(false));
+            addButton(lang.review_apply || 'Apply', () => {
+                close(segments.map(segment => {
+                    if (segment.type === 'equal') {
+                        return segment.text;
+                    }
+                    return segment.accepted ? segment.added : segment.removed;
+                }).join(''));
+            });
+            addButton(lang.cancel || 'Cancel', () => close(null));
+            
+            updateSummary();
+            modalContent.appendChild(title);
+            modalContent.appendChild(summary);
+            modalContent.appendChild(content);
+            modalContent.appendChild(buttons);
+            modal.appendChild(modalContent);
+            document.body.appendChild(modal);
+        });
+    }
+    
+    /**
+     * Show the variants of a result side by side and let the user choose one
+     * 
+     * Each variant has a "Use this one" button, unless the result is only
+     * shown. The Regenerate button requests new variants with the same
+     * inputs, with its own Cancel button.
+     * 
+     * @param {string[]} variants - The variants returned by the backend
+     * @param {string} titleText - The title of the modal
+     * @param {boolean} canUse - Whether a variant can be chosen to be placed in the page
+     * @param {Function} regenerate - Function receiving a request created by startRequest and returning a promise of new variants
+     * @returns {Promise<string|null>} Promise resolving to the chosen variant, or null if closed
+     */
+    function showVariantsModal(variants, titleText, canUse, regenerate) {
+        return new Promise(resolve => {
+            const modal = document.createElement('div');
+            modal.className = 'dokullm-modal';
+            const modalContent = document.createElement('div');
+            modalContent.className = 'dokullm-modal-content dokullm-variants';
+            
+            const title = document.createElement('h3');
+            title.textContent = (lang.variants_title || 'Variants') + (titleText ? ': ' + titleText : '');
+            title.style.marginTop = '0';
+            
+            const list = document.createElement('div');
+            list.className = 'dokullm-variants-list';
+            
+            const close = (value) => {
+                modal.remove();
+                resolve(value);
+            };
+            
+            // Show each variant in its own column
+            const render = () => {
+                list.replaceChildren(...variants.map((variant, index) => {
+                    const column = document.createElement('div');
+                    column.className = 'dokullm-variant';
+                    const heading = document.createElement('strong');
+                    heading.textContent = (lang.variant || 'Variant %s').replace('%s', index + 1);
+                    const content = document.createElement('div');
+                    content.className = 'dokullm-variant-content';
+                    content.textContent = variant;
+                    column.appendChild(heading);
+                    column.appendChild(content);
+                    if (canUse) {
+                        const useButton = document.createElement('button');
+                        useButton.type = 'button';
+                        useButton.textContent = lang.variant_use || 'Use this one';
+                        useButton.addEventListener('click', () => close(variant));
+                        column.appendChild(useButton);
+                    }
+                    return column;
+                }));
+            };
+            
+            const buttons = document.createElement('div');
+            buttons.className = 'dokullm-variants-buttons';
+            const regenerateButton = document.createElement('button');
+            regenerateButton.type = 'button';
+            regenerateButton.textContent = lang.variants_regenerate || 'Regenerate';
+            regenerateButton.title = lang.variants_regenerate_title || 'Request new variants with the same text and instructions';
+            regenerateButton.addEventListener('click', () => {
+                const restoreButton = setButtonBusy(regenerateButton, lang.processing || 'Processing...');
+                const request = startRequest(buttons);
+                list.classList.add('dokullm-variants-loading');
+                regenerate(request)
+                .then(newVariants => {
+                    variants = newVariants;
+                    render();
+                })
+                .catch(error => {
+                    console.log('DokuLLM: Error while regenerating the variants:', error.message);
+                    reportRequestError(error, request);
+                })
+                .finally(() => {
+                    request.finish();
+                    list.classList.remove('dokullm-variants-loading');
+                    restoreButton();
+                });
+            });
+            const closeButton = document.createElement('button');
+            closeButton.type = 'button';
+            closeButton.textContent = lang.close || 'Close';
+            closeButton.addEventListener('click', () => close(null));
+            buttons.appendChild(regenerateButton);
+            buttons.appendChild(closeButton);
+            
+            render();
+            modalContent.appendChild(title);
+            modalContent.appendChild(list);
+            modalContent.appendChild(buttons);
+            modal.appendChild(modalContent);
+            document.body.appendChild(modal);
+        });
+    }
+    
+    /**
+     * Shorten a long unchanged text to its first and last lines
+     * 
+     * @param {string} text - The unchanged text
+     * @returns {string} The text to display
+     */
+    function shortenContext(text) {
+        const lines = text.split('\n');
+        if (lines.length <= 7) {
+            return text;
+        }
+        return lines.slice(0, 3).join('\n') + '\n[…]\n' + lines.slice(-3).join('\n');
+    }
+    
+    /**
+     * Compute the changes between two texts
+     * 
+     * The texts are first compared line by line. Blocks of changed lines
+     * are then compared word by word, so small corrections show up as
+     * small changes. The result is a list of segments, either unchanged
+     * text ({type: 'equal', text}) or a change ({type: 'hunk', removed, added}).
+     * 
+     * @param {string} oldText - The original text
+     * @param {string} newText - The changed text
+     * @returns {Array} The list of segments
+     */
+    function computeDiff(oldText, newText) {
+        const splitLines = text => text.match(/[^\n]*\n|[^\n]+$/g) || [];
+        const splitWords = text => text.match(/\s+|[\p{L}\p{N}_]+|[^\s\p{L}\p{N}_]/gu) || [];
+        
+        const segments = [];
+        const addEqual = text => {
+            const last = segments[segments.length - 1];
+            if (last && last.type === 'equal') {
+                last.text += text;
+            } else {
+                segments.push({type: 'equal', text: text});
+            }
+        };
+        const addChange = (removed, added) => {
+            const last = segments[segments.length - 1];
+            if (last && last.type === 'hunk') {
+                last.removed += removed;
+                last.added += added;
+            } else {
+                segments.push({type: 'hunk', removed: removed, added: added});
+            }
+        };
+        
+        // Collect consecutive changed lines and compare them word by word
+        let removedLines = '';
+        let addedLines = '';
+        const flushLines = () => {
+            if (removedLines && addedLines) {
+                diffSequences(splitWords(removedLines), splitWords(addedLines)).forEach(op => {
+                    if (op.type === 'equal') {
+                        addEqual(op.value);
+                    } else {
+                        addChange(op.type === 'delete' ? op.value : '', op.type === 'insert' ? op.value : '');
+                    }
+                });
+            } else if (removedLines || addedLines) {
+                addChange(removedLines, addedLines);
+            }
+            removedLines = '';
+            addedLines = '';
+        };
+        
+        diffSequences(splitLines(oldText), splitLines(newText)).forEach(op => {
+            if (op.type === 'equal') {
+                flushLines();
+                addEqual(op.value);
+            } else if (op.type === 'delete') {
+                removedLines += op.value;
+            } else {
+                addedLines += op.value;
+            }
+        });
+        flushLines();
+        
+        return segments;
+    }
+    
+    /**
+     * Compare two sequences of strings
+     * 
+     * Implements the Myers O(ND) difference algorithm. Only the part of
+     * the search state reachable at each step is kept for backtracking.
+     * If the sequences differ too much, they are reported as completely
+     * replaced to limit the memory usage.
+     * 
+     * @param {Array<string>} a - The original sequence
+     * @param {Array<string>} b - The changed sequence
+     * @returns {Array<Object>} The edit script as {type: 'equal'|'delete'|'insert', value}
+     */
+    function diffSequences(a, b) {
+        const n = a.length;
+        const m = b.length;
+        const maxD = Math.min(n + m, 2000);
+        const offset = maxD + 1;
+        const v = new Int32Array(2 * maxD + 3);
+        const trace = [];
+        let found = false;
+        
+        search:
+        for (let d = 0; d <= maxD; d++) {
+            // Keep the diagonals -d-1 .. d+1 for backtracking
+            trace.push(v.slice(offset - d - 1, offset + d + 2));
+            for (let k = -d; k <= d; k += 2) {
+                let x;
+                if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+                    x = v[offset + k + 1];
+                } else {
+                    x = v[offset + k - 1] + 1;
+                }
+                let y = x - k;
+                while (x < n && y < m && a[x] === b[y]) {
+                    x++;
+                    y++;
+                }
+                v[offset + k] = x;
+                if (x >= n && y >= m) {
+                    found = true;
+                    break search;
+                }
+            }
+        }
+        
+        // Too many differences, report everything as replaced
+        if (!found) {
+            return a.map(value => ({type: 'delete', value: value}))
+                .concat(b.map(value => ({type: 'insert', value: value})));
+        }
+        
+        // Walk back through the trace to build the edit script
+        const ops = [];
+        let x = n;
+        let y = m;
+        for (let d = trace.length - 1; d >= 0; d--) {
+            const state = trace[d];
+            const get = k => state[k + d + 1];
+            const k = x - y;
+            const prevK = (k === -d || (k !== d && get(k - 1) < get(k + 1))) ? k + 1 : k - 1;
+            const prevX = get(prevK);
+            const prevY = prevX - prevK;
+            while (x > prevX && y > prevY) {
+                ops.push({type: 'equal', value: a[x - 1]});
+                x--;
+                y--;
+            }
+            if (d > 0) {
+                if (x === prevX) {
+                    ops.push({type: 'insert', value: b[y - 1]});
+                } else {
+                    ops.push({type: 'delete', value: a[x - 1]});
+                }
+            }
+            x = prevX;
+            y = prevY;
+        }
+        return ops.reverse();
+    }
+    
+    // History of the edits applied by DokuLLM
+    const editHistory = {
+        undo: [],
+        redo: []
+    };
+    
+    /**
+     * Set the editor content, recording the change in the edit history
+     * 
+     * All edits applied by DokuLLM go through this function, so they can
+     * be undone and redone with the DokuLLM history controls even though
+     * assigning the textarea value clears the browser's native undo stack.
+     * 
+     * @param {HTMLTextAreaElement} editor - The editor textarea
+     * @param {string} newValue - The new editor content
+     * @param {string} label - The label of the edit in the history (action name)
+     */
+    function setEditorValue(editor, newValue, label) {
+        if (editor.value === newValue) {
+            return;
+        }
+        editHistory.undo.push({
+            label: label || 'DokuLLM',
+            time: new Date(),
+            before: editor.value,
+            after: newValue
+        });
+        // Keep only the most recent edits
+        const size = parseInt(settings.history_size, 10) || 20;
+        while (editHistory.undo.length > size) {
+            editHistory.undo.shift();
+        }
+        editHistory.redo = [];
+        editor.value = newValue;
+        // Move the ranges of the actions still running
+        syncTrackedRanges(editor);
+        renderPlaceholderMarks(editor);
+        updateHistoryControls();
+    }
+    
+    /**
+     * Undo the most recent DokuLLM edit
+     * 
+     * Restores the editor content from before the edit. If the content was
+     * changed manually after the edit, the user is asked for confirmation
+     * in a notification, since these changes would be lost.
+     * 
+     * @returns {Promise<boolean>} Promise resolving to true if an edit was undone
+     */
+    function undoEdit() {
+        return moveHistoryEntry(editHistory.undo, editHistory.redo, 'after', 'before');
+    }
+    
+    /**
+     * Redo the most recently undone DokuLLM edit
+     * 
+     * @returns {Promise<boolean>} Promise resolving to true if an edit was redone
+     */
+    function redoEdit() {
+        return moveHistoryEntry(editHistory.redo, editHistory.undo, 'before', 'after');
+    }
+    
+    /**
+     * Move an entry between the undo and redo stacks, updating the editor
+     * 
+     * @param {Array} from - The stack to take the entry from
+     * @param {Array} to - The stack to put the entry on
+     * @param {string} expected - The entry state the editor should currently contain
+     * @param {string} target - The entry state to restore
+     * @returns {Promise<boolean>} Promise resolving to true if the entry was moved
+     */
+    function moveHistoryEntry(from, to, expected, target) {
+        const editor = document.getElementById('wiki__text');
+        if (!editor || !from.length) {
+            return Promise.resolve(false);
+        }
+        const entry = from[from.length - 1];
+        const confirmed = editor.value === entry[expected] ? Promise.resolve(true) :
+            askNotification(lang.history_conflict || 'The text was changed after this DokuLLM edit. These changes will be lost. Continue?',
+                'warning', lang.history_continue || 'Continue', lang.cancel || 'Cancel');
+        return confirmed.then(move => {
+            // The history may have changed while the user was asked
+            if (!move || from[from.length - 1] !== entry) {
+                return false;
+            }
+            from.pop();
+            to.push(entry);
+            editor.value = entry[target];
+            syncTrackedRanges(editor);
+            renderPlaceholderMarks(editor);
+            editor.focus();
+            updateHistoryControls();
+            return true;
+        });
+    }
+    
+    /**
+     * Create the undo/redo controls for DokuLLM edits
+     * 
+     * Creates the Undo AI and Redo AI buttons and a button toggling
+     * the list of recent edits. Clicking an edit in the list undoes
+     * it along with all the edits made after it.
+     * 
+     * @returns {HTMLElement} The container with the history controls
+     */
+    function createHistoryControls() {
+        const container = document.createElement('span');
+        container.className = 'dokullm-history';
+        
+        const undoButton = document.createElement('button');
+        undoButton.type = 'button';
+        undoButton.className = 'toolbutton dokullm-history-undo';
+        undoButton.textContent = lang.undo || 'Undo AI';
+        undoButton.title = lang.undo_title || 'Undo the last DokuLLM edit (Ctrl+Alt+Z)';
+        undoButton.addEventListener('click', undoEdit);
+        
+        const redoButton = document.createElement('button');
+        redoButton.type = 'button';
+        redoButton.className = 'toolbutton dokullm-history-redo';
+        redoButton.textContent = lang.redo || 'Redo AI';
+        redoButton.title = lang.redo_title || 'Redo the last undone DokuLLM edit (Ctrl+Alt+Y)';
+        redoButton.addEventListener('click', redoEdit);
+        
+        const listButton = document.createElement('button');
+        listButton.type = 'button';
+        listButton.className = 'toolbutton dokullm-history-toggle';
+        listButton.textContent = '▾';
+        listButton.title = lang.history_title || 'Recent DokuLLM edits';
+        
+        const list = document.createElement('ul');
+        list.className = 'dokullm-history-list';
+        list.hidden = true;
+        listButton.addEventListener('click', () => {
+            list.hidden = !list.hidden;
+        });
+        
+        container.appendChild(undoButton);
+        container.appendChild(redoButton);
+        container.appendChild(listButton);
+        container.appendChild(list);
+        
+        // Defer the update until the controls are in the document
+        setTimeout(updateHistoryControls, 0);
+        return container;
+    }
+    
+    /**
+     * Update the state of the history controls and the list of recent edits
+     */
+    function updateHistoryControls() {
+        const container = document.querySelector('.dokullm-history');
+        if (!container) {
+            return;
+        }
+        container.querySelector('.dokullm-history-undo').disabled = !editHistory.undo.length;
+        container.querySelector('.dokullm-history-redo').disabled = !editHistory.redo.length;
+        container.querySelector('.dokullm-history-toggle').disabled = !editHistory.undo.length;
+        
+        // List the most recent edits first
+        const list = container.querySelector('.dokullm-history-list');
+        list.innerHTML = '';
+        editHistory.undo.slice().reverse().forEach((entry, index) => {
+            const item = document.createElement('li');
+            item.textContent = entry.label + ' – ' + entry.time.toLocaleTimeString();
+            item.title = lang.history_undo_to || 'Undo this edit and all later edits';
+            item.addEventListener('click', () => {
+                list.hidden = true;
+                // Undo the edits one after another, stopping if one is not undone
+                const undoNext = (count) => {
+                    if (count > 0) {
+                        undoEdit().then(undone => undone && undoNext(count - 1));
+                    }
+                };
+                undoNext(index + 1);
+            });
+            list.appendChild(item);
+        });
+        if (!editHistory.undo.length) {
+            list.hidden = true;
+        }
+    }
+    
+    /**
+     * Handle the keyboard shortcuts for the edit history
      * 
-     * Complex logic includes:
-     * 1. Determining if text is selected or if it's a full content replacement
-     * 2. Preserving metadata directives when doing full content replacement
-     * 3. Properly replacing only selected text when applicable
-     * 4. Managing cursor position after text replacement
-     * 5. Maintaining focus on the textarea
+     * Ctrl+Alt+Z undoes and Ctrl+Alt+Y redoes the last DokuLLM edit.
      * 
-     * @param {HTMLTextAreaElement} textarea - The textarea element
-     * @param {string} newText - The new text to insert
+     * @param {KeyboardEvent} event - The keydown event
      */
-    function replaceSelectedText(textarea, newText) {
-        // Use stored selection range if available, otherwise use current selection
-        const start = currentSelectionRange ? currentSelectionRange.start : textarea.selectionStart;
-        const end = currentSelectionRange ? currentSelectionRange.end : textarea.selectionEnd;
-        const text = textarea.value;
-        
-        // Reset the stored selection range
-        currentSelectionRange = null;
-        
-        // If there's no selection (start === end), it's not a replacement of selected text
-        if (start === end) {
-            // No selection, so we're processing the full text
-            const metadata = extractMetadata(text);
-            textarea.value = metadata + newText;
-        } else {
-            // There is a selection, replace only the selected text
-            textarea.value = text.substring(0, start) + newText + text.substring(end);
-            
-            // Set cursor position after inserted text
-            const newCursorPos = start + newText.length;
-            textarea.setSelectionRange(newCursorPos, newCursorPos);
+    function handleHistoryShortcuts(event) {
+        if (!event.ctrlKey || !event.altKey) {
+            return;
+        }
+        const key = (event.key || '').toLowerCase();
+        if (key === 'z' && editHistory.undo.length) {
+            event.preventDefault();
+            undoEdit();
+        } else if (key === 'y' && editHistory.redo.length) {
+            event.preventDefault();
+            redoEdit();
         }
-        
-        textarea.focus();
     }
     
     /**
@@ -830,33 +5437,45 @@
      * @returns {string} The metadata directives
      */
     function extractMetadata(text) {
-        const metadataRegex = /^(~~LLM_[A-Z]+:[^~]+~~\s*)*/;
+        const metadataRegex = /^(~~LLM_[A-Z][A-Z0-9_]*:[^~]+~~\s*)*/;
         const match = text.match(metadataRegex);
         return match ? match[0] : '';
     }
     
     /**
-     * Reset a button to its original state
+     * Add the page metadata to the form data of a request
      * 
-     * Restores the button's text content and enables it.
+     * The example pages are sent one per line and the other directives
+     * as a JSON object.
      * 
-     * @param {HTMLButtonElement} button - The button to reset
-     * @param {string} originalText - The original button text
+     * @param {FormData} formData - The form data of the request
+     * @param {Object} metadata - The metadata, see getMetadata()
      */
-    function resetButton(button, originalText) {
-        button.textContent = originalText;
-        button.disabled = false;
+    function appendMetadata(formData, metadata) {
+        for (const [key, value] of Object.entries(metadata)) {
+            if (Array.isArray(value)) {
+                formData.append(key, value.join('\n'));
+            } else if (value && typeof value === 'object') {
+                formData.append(key, JSON.stringify(value));
+            } else if (value) {
+                formData.append(key, value);
+            }
+        }
     }
     
     /**
      * Get page metadata for DokuLLM context
      * 
      * Extracts template and example page information from page metadata
-     * directives in the page content.
+     * directives in the page content. When editing a single section, the
+     * rest of the page is searched too.
      * 
      * Looks for:
      * - ~~LLM_TEMPLATE:page_id~~ for template page reference
      * - ~~LLM_EXAMPLES:page1,page2~~ for example page references
+     * - ~~LLM_PREVIOUS:page_id~~ for the previous document reference
+     * - Any other ~~LLM_KEY:value~~ directive, returned in directives with
+     *   a lowercase key, to fill the {key} placeholder of the prompts
      * 
      * Complex logic includes:
      * 1. Initializing metadata structure with default values
@@ -865,17 +5484,18 @@
      * 4. Parsing comma-separated example page lists
      * 5. Trimming whitespace from extracted values
      * 
-     * @returns {Object} Metadata object with template and examples
+     * @returns {Object} Metadata object with template, examples, previous and directives
      */
     function getMetadata() {
         const metadata = {
             template: '',
             examples: [],
-            previous: ''
+            previous: '',
+            directives: {}
         };
         
-        // Look for metadata in the page content
-        const pageContent = document.getElementById('wiki__text')?.value || '';
+        // Look for metadata in the page content, including the parts outside an edited section
+        const pageContent = getPageText();
         
         // Extract template page from metadata
         const templateMatch = pageContent.match(/~~LLM_TEMPLATE:([^~]+)~~/);
@@ -895,6 +5515,14 @@
             metadata.previous = previousReportMatch[1].trim();
         }
         
+        // Forward the other directives, the first one of each key wins
+        for (const match of pageContent.matchAll(/~~LLM_([A-Z][A-Z0-9_]*):([^~]+)~~/g)) {
+            const key = match[1].toLowerCase();
+            if (!['template', 'examples', 'previous'].includes(key) && !(key in metadata.directives)) {
+                metadata.directives[key] = match[2].trim();
+            }
+        }
+        
         return metadata;
     }
     
@@ -922,10 +5550,12 @@
     }
 
     /**
-     * Find and insert template metadata
+     * Find the templates matching the page and let the user choose one
      * 
-     * Searches for an appropriate template based on the current content
-     * and inserts the LLM_TEMPLATE metadata at the top of the text.
+     * Searches for the templates most similar to the current content and
+     * shows them, with their similarity, in a modal where they can be
+     * previewed and filtered by namespace. The chosen template is set in
+     * the LLM_TEMPLATE metadata at the top of the text.
      * 
      * Shows loading indicators during the search operation.
      * 
@@ -938,91 +5568,290 @@
             console.log('DokuLLM: Editor not found for template search');
             return;
         }
-        
-        // Disable the entire toolbar and prompt input
-        const toolbar = document.getElementById('dokullm-toolbar');
-        const promptContainer = document.getElementById('dokullm-custom-prompt');
-        const promptInput = promptContainer ? promptContainer.querySelector('.dokullm-prompt-input') : null;
-        const buttons = toolbar.querySelectorAll('button:not(.dokullm-modal-close)');
-        
-        // Store original states for restoration
-        const originalStates = {
-            promptInput: promptInput ? promptInput.disabled : false,
-            buttons: []
-        };
-        
-        // Disable prompt input if it exists
-        if (promptInput) {
-            originalStates.promptInput = promptInput.disabled;
-            promptInput.disabled = true;
-        }
-        
-        // Disable all buttons and store their original states
-        buttons.forEach(button => {
-            originalStates.buttons.push({
-                element: button,
-                text: button.textContent,
-                disabled: button.disabled
-            });
-            button.textContent = lang.searching || 'Searching...';
-            button.disabled = true;
+        searchTemplates(editor, '').then(templates => {
+            if (templates === null) {
+                return;
+            }
+            if (templates.length === 0) {
+                console.log('DokuLLM: No template found');
+                showNotification(lang.no_template_found || 'No suitable template found.', 'info');
+                return;
+            }
+            showTemplateCandidates(editor, templates);
         });
-        editor.readOnly = true;
+    }
+    
+    /**
+     * Search for the templates most similar to the editor content
+     * 
+     * @param {HTMLTextAreaElement} editor - The editor textarea
+     * @param {string} namespace - The namespace of the templates, empty for all
+     * @returns {Promise<Array|null>} Promise resolving to the templates (id, title, score), or null on error
+     */
+    function searchTemplates(editor, namespace) {
+        // Disable the entire toolbar, the prompt input and the editor
+        const unlockToolbar = lockToolbar(lang.searching || 'Searching...');
         console.log('DokuLLM: Showing loading indicator for template search');
         
-        // Get the current text to use for template search
-        const currentText = editor.value;
+        // Allow cancelling the search from the toolbar
+        const request = startRequest(document.getElementById('dokullm-toolbar'));
         
         // Send AJAX request to find template
         console.log('DokuLLM: Sending AJAX request to find template');
         const formData = new FormData();
         formData.append('call', 'plugin_dokullm');
         formData.append('action', 'find_template');
-        formData.append('text', currentText);
+        formData.append('text', editor.value);
+        formData.append('namespace', namespace);
+        appendProfile(formData);
         
-        fetch(DOKU_BASE + 'lib/exe/ajax.php', {
-            method: 'POST',
-            body: formData
-        })
-        .then(response => {
-            console.log('DokuLLM: Received template search response');
-            return response.json();
-        })
+        return requestJSON(formData, request.signal)
         .then(data => {
-            if (data.error) {
-                console.log('DokuLLM: Error finding template:', data.error);
-                throw new Error(data.error);
-            }
-            
-            if (data.result && data.result.template) {
-                console.log('DokuLLM: Template found:', data.result.template);
-                // Insert template metadata at the top of the text, but after title if present
-                const metadataLine = `~~LLM_TEMPLATE:${data.result.template}~~`;
-                editor.value = insertMetadataAfterTitle(editor.value, metadataLine);
-                    
-                // Show success message
-                alert(lang.template_found + data.result.template);
-            } else {
-                console.log('DokuLLM: No template found');
-                alert(lang.no_template_found || 'No suitable template found.');
-            }
+            console.log('DokuLLM: Received template search response');
+            return data.result.templates || [];
         })
         .catch(error => {
             console.log('DokuLLM: Error during template search:', error.message);
-            alert((lang.backend_error || 'Network response was not ok: ') + error.message);
+            reportRequestError(error, request);
+            return null;
         })
         .finally(() => {
             console.log('DokuLLM: Restoring toolbar and enabling editor');
-            // Re-enable the toolbar and prompt input
-            if (promptInput) {
-                promptInput.disabled = originalStates.promptInput;
+            request.finish();
+            // Re-enable the toolbar, the prompt input and the editor
+            unlockToolbar();
+        });
+    }
+    
+    /**
+     * Get the content of a template page
+     * 
+     * @param {string} templateId - The template page ID
+     * @returns {Promise<string>} Promise resolving to the page content
+     */
+    function getTemplateContent(templateId) {
+        const formData = new FormData();
+        formData.append('call', 'plugin_dokullm');
+        formData.append('action', 'get_template');
+        formData.append('template', templateId);
+        return requestJSON(formData)
+        .then(data => data.result.content);
+    }
+    
+    /**
+     * Set the LLM_TEMPLATE metadata of the page
+     * 
+     * Replaces the existing directive, or inserts a new one at the top of
+     * the text, after the title if present.
+     * 
+     * @param {HTMLTextAreaElement} editor - The editor textarea
+     * @param {string} templateId - The template page ID
+     */
+    function setTemplateMetadata(editor, templateId) {
+        const metadataLine = `~~LLM_TEMPLATE:${templateId}~~`;
+        const newValue = /~~LLM_TEMPLATE:[^~]*~~/.test(editor.value) ?
+            editor.value.replace(/~~LLM_TEMPLATE:[^~]*~~/, metadataLine) :
+            insertMetadataAfterTitle(editor.value, metadataLine);
+        setEditorValue(editor, newValue, lang.find_template || 'Find Template');
+        console.log('DokuLLM: Template set:', templateId);
+    }
+    
+    /**
+     * Show the template candidates in a modal
+     * 
+     * The candidates are listed with their similarity, the most similar
+     * first. Selecting one shows a preview of its content, rendered like
+     * a wiki page. The list can be searched again in a namespace, and the
+     * selected template can be previewed next to the editor before using it.
+     * 
+     * @param {HTMLTextAreaElement} editor - The editor textarea
+     * @param {Array} templates - The candidates, each with id, title and score
+     */
+    function showTemplateCandidates(editor, templates) {
+        const contents = {};
+        let selected = null;
+        
+        const modal = document.createElement('div');
+        modal.className = 'dokullm-modal';
+        const modalContent = document.createElement('div');
+        modalContent.className = 'dokullm-modal-content dokullm-templates';
+        const closeButton = document.createElement('button');
+        closeButton.textContent = lang.close || 'Close';
+        closeButton.className = 'dokullm-modal-close';
+        closeButton.addEventListener('click', () => modal.remove());
+        const title = document.createElement('h3');
+        title.textContent = lang.template_candidates || 'Choose a template';
+        title.style.marginTop = '0';
+        
+        // Search again in a namespace
+        const filter = document.createElement('div');
+        filter.className = 'dokullm-templates-filter';
+        const namespaceInput = document.createElement('input');
+        namespaceInput.type = 'text';
+        namespaceInput.placeholder = lang.template_namespace || 'Namespace (optional)';
+        const filterButton = document.createElement('button');
+        filterButton.type = 'button';
+        filterButton.textContent = lang.template_filter || 'Filter';
+        filter.appendChild(namespaceInput);
+        filter.appendChild(filterButton);
+        
+        const body = document.createElement('div');
+        body.className = 'dokullm-templates-body';
+        const list = document.createElement('ul');
+        list.className = 'dokullm-templates-list';
+        const preview = document.createElement('div');
+        preview.className = 'dokullm-templates-preview dokuwiki';
+        body.appendChild(list);
+        body.appendChild(preview);
+        
+        const buttons = document.createElement('div');
+        buttons.className = 'dokullm-templates-buttons';
+        const useButton = document.createElement('button');
+        useButton.type = 'button';
+        useButton.textContent = lang.template_use || 'Use template';
+        const inlineButton = document.createElement('button');
+        inlineButton.type = 'button';
+        inlineButton.textContent = lang.template_preview_inline || 'Preview next to the editor';
+        buttons.appendChild(useButton);
+        buttons.appendChild(inlineButton);
+        
+        // Show the content of the selected template
+        const select = (template, item) => {
+            selected = template;
+            list.querySelectorAll('li').forEach(element => element.classList.toggle('dokullm-selected', element === item));
+            preview.textContent = lang.loading || 'Loading...';
+            const content = contents[template.id] ? Promise.resolve(contents[template.id]) : getTemplateContent(template.id);
+            content.then(text => {
+                contents[template.id] = text;
+                if (selected === template) {
+                    renderWikiText(preview, text);
+                }
+            })
+            .catch(error => {
+                preview.textContent = error.message;
+            });
+        };
+        
+        const fillList = candidates => {
+            list.replaceChildren();
+            preview.replaceChildren();
+            selected = null;
+            if (candidates.length === 0) {
+                const empty = document.createElement('li');
+                empty.textContent = lang.no_template_found || 'No suitable template found.';
+                list.appendChild(empty);
             }
-            originalStates.buttons.forEach(buttonState => {
-                buttonState.element.textContent = buttonState.text;
-                buttonState.element.disabled = buttonState.disabled;
+            candidates.forEach((template, index) => {
+                const item = document.createElement('li');
+                item.tabIndex = 0;
+                const name = document.createElement('strong');
+                name.textContent = template.title;
+                const id = document.createElement('small');
+                id.textContent = template.id;
+                const score = document.createElement('span');
+                score.className = 'dokullm-templates-score';
+                score.textContent = template.score === null ? '' : Math.round(template.score * 100) + '%';
+                item.appendChild(score);
+                item.appendChild(name);
+                item.appendChild(document.createElement('br'));
+                item.appendChild(id);
+                item.addEventListener('click', () => select(template, item));
+                item.addEventListener('keydown', event => {
+                    if (event.key === 'Enter') {
+                        select(template, item);
+                    }
+                });
+                list.appendChild(item);
+                if (index === 0) {
+                    select(template, item);
+                }
+            });
+            useButton.disabled = inlineButton.disabled = candidates.length === 0;
+        };
+        
+        filterButton.addEventListener('click', () => {
+            searchTemplates(editor, namespaceInput.value.trim()).then(candidates => {
+                if (candidates !== null) {
+                    fillList(candidates);
+                }
             });
-            editor.readOnly = false;
         });
+        namespaceInput.addEventListener('keydown', event => {
+            if (event.key === 'Enter') {
+                event.preventDefault();
+                filterButton.click();
+            }
+        });
+        useButton.addEventListener('click', () => {
+            if (selected) {
+                setTemplateMetadata(editor, selected.id);
+                modal.remove();
+            }
+        });
+        inlineButton.addEventListener('click', () => {
+            if (selected && contents[selected.id] !== undefined) {
+                showTemplatePreview(editor, selected, contents[selected.id]);
+                modal.remove();
+            }
+        });
+        
+        modalContent.appendChild(closeButton);
+        modalContent.appendChild(title);
+        modalContent.appendChild(filter);
+        modalContent.appendChild(body);
+        modalContent.appendChild(buttons);
+        modal.appendChild(modalContent);
+        document.body.appendChild(modal);
+        fillList(templates);
+    }
+    
+    /**
+     * Show the content of a template above the editor
+     * 
+     * Lets the user compare the template with the page before setting it
+     * as the template of the page.
+     * 
+     * @param {HTMLTextAreaElement} editor - The editor textarea
+     * @param {Object} template - The template, with id and title
+     * @param {string} content - The template content
+     */
+    function showTemplatePreview(editor, template, content) {
+        const existing = document.getElementById('dokullm-template-preview');
+        if (existing) {
+            existing.remove();
+        }
+        const preview = document.createElement('div');
+        preview.id = 'dokullm-template-preview';
+        preview.className = 'dokullm-stream-preview';
+        
+        const header = document.createElement('div');
+        header.className = 'dokullm-stream-header';
+        const title = document.createElement('strong');
+        title.textContent = (lang.template_preview || 'Template preview: ') + template.title;
+        const useButton = document.createElement('button');
+        useButton.type = 'button';
+        useButton.textContent = lang.template_use || 'Use template';
+        useButton.addEventListener('click', () => {
+            setTemplateMetadata(editor, template.id);
+            preview.remove();
+        });
+        const closeButton = document.createElement('button');
+        closeButton.type = 'button';
+        closeButton.className = 'dokullm-stream-close';
+        closeButton.textContent = '×';
+        closeButton.title = lang.close || 'Close';
+        closeButton.addEventListener('click', () => preview.remove());
+        header.appendChild(title);
+        header.appendChild(useButton);
+        header.appendChild(closeButton);
+        
+        const body = document.createElement('div');
+        body.className = 'dokullm-stream-content';
+        body.textContent = content;
+        
+        preview.appendChild(header);
+        preview.appendChild(body);
+        editor.parentNode.insertBefore(preview, editor);
     }
     
     /**
@@ -1034,16 +5863,17 @@
      * Shows loading indicators during the fetch operation.
      * 
      * Complex logic includes:
-     * 1. Managing UI state during template loading (loading indicator, readonly)
+     * 1. Managing UI state during template loading (loading indicator)
      * 2. Constructing and sending AJAX requests for template content
      * 3. Handling response processing and error conditions
      * 4. Inserting template content at the correct cursor position
-     * 5. Managing cursor position after content insertion
+     * 5. Selecting the first placeholder, or placing the cursor, after content insertion
      * 6. Restoring UI state after template insertion
      * 
      * @param {string} templateId - The template page ID
+     * @param {Event} event - The click event
      */
-    function insertTemplateContent(templateId) {
+    function insertTemplateContent(templateId, event) {
         console.log('DokuLLM: Inserting template content for:', templateId);
         const editor = document.getElementById('wiki__text');
         if (!editor) {
@@ -1052,12 +5882,12 @@
         }
         
         // Show loading indicator
-        const toolbar = document.getElementById('dokullm-toolbar');
-        const originalContent = toolbar.innerHTML;
-        toolbar.innerHTML = '<span>' + (lang.loading_template || 'Loading template...') + '</span>';
-        editor.readOnly = true;
+        const unlockToolbar = lockToolbar(lang.loading_template || 'Loading template...', event ? event.target : null);
         console.log('DokuLLM: Showing loading indicator for template');
         
+        // Allow cancelling the request from the toolbar
+        const request = startRequest(document.getElementById('dokullm-toolbar'));
+        
         // Send AJAX request to get template content
         console.log('DokuLLM: Sending AJAX request to get template content');
         const formData = new FormData();
@@ -1065,46 +5895,40 @@
         formData.append('action', 'get_template');
         formData.append('template', templateId);
         
-        fetch(DOKU_BASE + 'lib/exe/ajax.php', {
-            method: 'POST',
-            body: formData
-        })
-        .then(response => {
-            console.log('DokuLLM: Received template response');
-            return response.json();
-        })
+        requestJSON(formData, request.signal)
         .then(data => {
-            if (data.error) {
-                console.log('DokuLLM: Error retrieving template:', data.error);
-                throw new Error(data.error);
-            }
-            
             console.log('DokuLLM: Template retrieved successfully, content length:', data.result.content.length);
             // Insert template content at cursor position or at the beginning
             const cursorPos = editor.selectionStart;
             const text = editor.value;
-            editor.value = text.substring(0, cursorPos) + data.result.content + text.substring(cursorPos);
+            setEditorValue(editor, text.substring(0, cursorPos) + data.result.content + text.substring(cursorPos), lang.insert_template || 'Insert Template');
             
-            // Set cursor position after inserted content
+            // Select the first placeholder of the inserted content, or set the cursor after it
             const newCursorPos = cursorPos + data.result.content.length;
-            editor.setSelectionRange(newCursorPos, newCursorPos);
+            const placeholder = findTemplatePlaceholders(data.result.content)[0];
+            if (placeholder) {
+                editor.setSelectionRange(cursorPos + placeholder.start, cursorPos + placeholder.end);
+            } else {
+                editor.setSelectionRange(newCursorPos, newCursorPos);
+            }
             editor.focus();
         })
         .catch(error => {
             console.log('DokuLLM: Error during template insertion:', error.message);
-            alert((lang.backend_error || 'Network response was not ok: ') + error.message);
+            reportRequestError(error, request);
         })
         .finally(() => {
             console.log('DokuLLM: Restoring toolbar and enabling editor');
-            toolbar.innerHTML = originalContent;
-            editor.readOnly = false;
+            request.finish();
+            unlockToolbar();
         });
     }
     
     /**
      * Fetch action definitions from the API endpoint
      * 
-     * Makes an AJAX request to get the DokuLLM action definitions from the backend
+     * Makes an AJAX request to get the DokuLLM action definitions from the backend,
+     * for the requested profile or the default profile of the page
      * 
      * @returns {Promise<Array>} Promise that resolves to an array of action definitions
      */
@@ -1113,23 +5937,10 @@
             const formData = new FormData();
             formData.append('call', 'plugin_dokullm');
             formData.append('action', 'get_actions');
+            appendProfile(formData);
             
-            fetch(DOKU_BASE + 'lib/exe/ajax.php', {
-                method: 'POST',
-                body: formData
-            })
-            .then(response => {
-                if (!response.ok) {
-                    return response.text().then(text => {
-                        throw new Error((lang.backend_error || 'Network response was not ok: ') + response.status + ' ' + response.statusText + ' - ' + text);
-                    });
-                }
-                return response.json();
-            })
+            requestJSON(formData)
             .then(data => {
-                if (data.error) {
-                    throw new Error(data.error);
-                }
                 resolve(data.result);
             })
             .catch(error => {
@@ -1137,6 +5948,187 @@
             });
         });
     }
+    
+    /**
+     * Get the text of the whole page
+     * 
+     * When editing a single section, the rest of the page is added from
+     * the hidden fields of the edit form.
+     * 
+     * @returns {string} The page text
+     */
+    function getPageText() {
+        const sectionEdit = getSectionEdit();
+        const editorContent = document.getElementById('wiki__text')?.value || '';
+        return sectionEdit ? sectionEdit.prefix + editorContent + sectionEdit.suffix : editorContent;
+    }
+    
+    /**
+     * Get the profile set by a ~~LLM_PROFILE:name~~ directive of the page
+     * 
+     * The directive is ignored if the configuration does not allow pages
+     * to choose their profile.
+     * 
+     * @returns {string} The profile name, empty if the page has no directive
+     */
+    function getPageProfile() {
+        if (!(settings.page_overrides || []).includes('profile')) {
+            return '';
+        }
+        const match = getPageText().match(/~~LLM_PROFILE:([^~]+)~~/);
+        return match ? match[1].trim() : '';
+    }
+    
+    /**
+     * Get the storage key of the profile chosen by the current user
+     * 
+     * @returns {string} The localStorage key
+     */
+    function getProfileStorageKey() {
+        return 'dokullm_profile_' + (settings.user || '');
+    }
+    
+    /**
+     * Get the profile chosen by the current user in the toolbar
+     * 
+     * @returns {string} The profile name, empty if none was chosen or the local storage is unavailable
+     */
+    function loadChosenProfile() {
+        try {
+            return localStorage.getItem(getProfileStorageKey()) || '';
+        } catch (e) {
+            // Local storage may be unavailable, use the default profile
+            return '';
+        }
+    }
+    
+    /**
+     * Remember the profile chosen by the current user in the toolbar
+     * 
+     * @param {string} profile - The profile name, empty to forget the choice
+     */
+    function saveChosenProfile(profile) {
+        try {
+            if (profile) {
+                localStorage.setItem(getProfileStorageKey(), profile);
+            } else {
+                localStorage.removeItem(getProfileStorageKey());
+            }
+        } catch (e) {
+            console.log('DokuLLM: Unable to store the profile choice:', e.message);
+        }
+    }
+    
+    /**
+     * Get the profile requested for the DokuLLM requests of this page
+     * 
+     * The page directive wins over the profile chosen in the toolbar. An
+     * empty value lets the server use the default profile of the page,
+     * from the namespace mapping or the configuration.
+     * 
+     * @returns {string} The profile name, empty for the default profile
+     */
+    function getRequestedProfile() {
+        return getPageProfile() || loadChosenProfile();
+    }
+    
+    /**
+     * Add the page ID and the requested profile to the form data of a request
+     * 
+     * @param {FormData} formData - The form data of the request
+     */
+    function appendProfile(formData) {
+        formData.append('id', JSINFO.id);
+        const profile = getRequestedProfile();
+        if (profile) {
+            formData.append('profile', profile);
+        }
+    }
+    
+    /**
+     * Create the profile selector of the DokuLLM toolbar
+     * 
+     * The selector is filled by loadProfiles(). Choosing a profile
+     * remembers it for the current user and reloads the actions.
+     * 
+     * @returns {HTMLSelectElement} The selector
+     */
+    function createProfileSelect() {
+        const select = document.createElement('select');
+        select.className = 'dokullm-profile';
+        select.title = lang.profile_title || 'DokuLLM profile, the set of actions and prompts to use';
+        select.setAttribute('aria-label', lang.profile || 'Profile');
+        select.hidden = true;
+        select.addEventListener('change', () => {
+            saveChosenProfile(select.value);
+            console.log('DokuLLM: Profile changed to', select.value || 'automatic');
+            getActions()
+                .then(showActions)
+                .catch(error => {
+                    console.error('DokuLLM: Error fetching action definitions:', error);
+                    showError(error);
+                });
+        });
+        return select;
+    }
+    
+    /**
+     * Fill the profile selector with the profiles the user can read
+     * 
+     * A remembered choice which is no longer available is forgotten. The
+     * selector is disabled when the page sets its profile, and hidden when
+     * there is nothing to choose from.
+     * 
+     * @param {HTMLSelectElement} select - The profile selector
+     * @returns {Promise} Promise resolved when the selector is filled, even if the profiles are not available
+     */
+    function loadProfiles(select) {
+        const formData = new FormData();
+        formData.append('call', 'plugin_dokullm');
+        formData.append('action', 'get_profiles');
+        formData.append('id', JSINFO.id);
+        return requestJSON(formData)
+        .then(data => {
+            const profiles = data.result.profiles;
+            const names = profiles.map(profile => profile.name);
+            const choice = loadChosenProfile();
+            if (choice && !names.includes(choice)) {
+                console.log('DokuLLM: The chosen profile is not available anymore:', choice);
+                saveChosenProfile('');
+            }
+            
+            const automatic = document.createElement('option');
+            automatic.value = '';
+            automatic.textContent = (lang.profile_automatic || 'Automatic (%s)').replace('%s', data.result.default);
+            select.appendChild(automatic);
+            profiles.forEach(profile => {
+                const option = document.createElement('option');
+                option.value = profile.name;
+                option.textContent = profile.name;
+                option.title = profile.title;
+                select.appendChild(option);
+            });
+            
+            const pageProfile = getPageProfile();
+            if (pageProfile) {
+                if (!names.includes(pageProfile)) {
+                    const option = document.createElement('option');
+                    option.value = pageProfile;
+                    option.textContent = pageProfile;
+                    select.appendChild(option);
+                }
+                select.value = pageProfile;
+                select.disabled = true;
+                select.title = lang.profile_page_title || 'The profile is set by the page';
+            } else {
+                select.value = loadChosenProfile();
+            }
+            select.hidden = !pageProfile && profiles.length < 2;
+        })
+        .catch(error => {
+            console.error('DokuLLM: Error loading the profiles:', error);
+        });
+    }
 
     /**
      * Remove everything between two XML tags from a text
@@ -1164,4 +6156,50 @@
         return [contentBetweenTags, restOfText];
     }
 
+    /**
+     * Split a partially received text into tagged and untagged content
+     * 
+     * Works like removeBetweenXmlTags, but also handles text that is still
+     * being streamed: the content after an unclosed opening tag is counted
+     * as tagged content, and a trailing partial tag is held back until the
+     * rest of it arrives.
+     * 
+     * @param {string} text - The text received so far
+     * @param {string} tagName - The name of the XML tag to extract content from
+     * @param {boolean} complete - Whether the text is complete (nothing is held back)
+     * @returns {Array} An array with two elements: [contentBetweenTags, restOfText]
+     */
+    function splitStreamedTags(text, tagName, complete = false) {
+        const openTag = new RegExp(`<${tagName}[^>]*>`);
+        const closeTag = `</${tagName}>`;
+        let contentBetweenTags = '';
+        let restOfText = '';
+        let rest = text;
+        
+        // Remove a trailing fragment which could be the start of the given tag
+        const holdBack = (str, tag) => {
+            const pos = str.lastIndexOf('<');
+            return !complete && pos !== -1 && tag.startsWith(str.substring(pos)) ? str.substring(0, pos) : str;
+        };
+        
+        while (rest.length) {
+            const match = rest.match(openTag);
+            if (!match) {
+                restOfText += holdBack(rest, `<${tagName}>`);
+                break;
+            }
+            restOfText += rest.substring(0, match.index);
+            const inside = rest.substring(match.index + match[0].length);
+            const closePos = inside.indexOf(closeTag);
+            if (closePos === -1) {
+                contentBetweenTags += holdBack(inside, closeTag);
+                break;
+            }
+            contentBetweenTags += inside.substring(0, closePos);
+            rest = inside.substring(closePos + closeTag.length);
+        }
+        
+        return [contentBetweenTags, restOfText.replace(/^\s+/, '')];
+    }
+
 })();